@@ -1,5 +1,6 @@
-const fs = require('fs');
-const path = require('path');
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
 
 // Read the development index.html
 const devIndex = fs.readFileSync('index.html', 'utf8');
@@ -7,9 +8,36 @@ const devIndex = fs.readFileSync('index.html', 'utf8');
 // Replace development paths with production paths
 const prodIndex = devIndex
     .replace('src/css/styles.css', 'css/styles.css')
-    .replace('src/js/main.js', 'js/main.js');
+    .replace('src/js/main.js', 'js/main.js')
+    .replace('data-env="development"', 'data-env="production"');
 
 // Write the production version to dist/
 fs.writeFileSync('dist/index.html', prodIndex);
 
-console.log('✅ Production index.html created in dist/'); 
\ No newline at end of file
+console.log('✅ Production index.html created in dist/');
+
+// Run the data pipeline headlessly so the browser loads processed JSON instead of the CSV
+async function buildDataBundle() {
+    // The app modules expect d3 as a global, as it is in the browser
+    globalThis.d3 = await import('d3');
+
+    const importDist = file => import(pathToFileURL(path.resolve('dist/js/data', file)).href);
+    const { MillenniumDataProcessor } = await importDist('DataProcessor.js');
+    const { DataBundle } = await importDist('DataBundle.js');
+
+    // Defaults resolve against dist/, i.e. dist/data/raw and dist/data/config
+    const processor = new MillenniumDataProcessor({ useWorker: false, useCache: false });
+    await processor.loadData();
+
+    const output = path.join('dist', 'data', 'processed', 'millennium.json');
+    const json = DataBundle.stringify(processor.toBundle());
+    fs.mkdirSync(path.dirname(output), { recursive: true });
+    fs.writeFileSync(output, json);
+
+    console.log(`✅ Processed data bundle created in ${output} (${Math.round(json.length / 1024)} KB)`);
+}
+
+buildDataBundle().catch(error => {
+    console.error('❌ Failed to build processed data bundle:', error);
+    process.exit(1);
+});
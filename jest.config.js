@@ -0,0 +1,11 @@
+// Source files are native ES modules, so Jest runs them untransformed
+// (npm test starts Node with --experimental-vm-modules for that)
+export default {
+    testEnvironment: 'node',
+    setupFiles: ['<rootDir>/tests/setup.js'],
+    transform: {},
+    collectCoverageFrom: [
+        'src/js/**/*.js',
+        '!src/js/main.js'
+    ]
+};
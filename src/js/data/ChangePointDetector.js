@@ -0,0 +1,280 @@
+/**
+ * Change Point Detector
+ * Binary segmentation on any { year, value } series, looking for shifts in level,
+ * in growth rate or in volatility (variance of growth)
+ */
+
+import { IndicatorRegistry } from './IndicatorRegistry.js';
+
+const TYPES = {
+    level: { label: 'level shift', transform: 'none', cost: 'mean' },
+    growth: { label: 'growth shift', transform: 'growth', cost: 'mean' },
+    variance: { label: 'volatility shift', transform: 'growth', cost: 'variance' }
+};
+
+export class ChangePointDetector {
+    /**
+     * @param {Object} options
+     * @param {number} options.minSegment - Shortest segment (in observations) either side of a break
+     * @param {number} options.penalty - Multiplier on the BIC-style penalty; higher finds fewer breaks
+     * @param {number} options.maxChangePoints - Upper bound on breaks per series and type
+     * @param {number} options.mergeWindow - Hits this many years apart or closer are merged
+     */
+    constructor(options = {}) {
+        this.minSegment = options.minSegment || 10;
+        this.penalty = options.penalty || 3;
+        this.maxChangePoints = options.maxChangePoints || 8;
+        this.mergeWindow = options.mergeWindow ?? 5;
+    }
+
+    static get types() {
+        return Object.keys(TYPES);
+    }
+
+    /**
+     * Detect change points in one series
+     * @param {Array} series - [{ year, value }] sorted by year
+     * @param {Object} options
+     * @param {string} options.indicator - Indicator key, copied onto results
+     * @param {Array} options.types - Any of 'level', 'growth', 'variance'
+     * @returns {Array} [{ year, indicator, type, label, direction, magnitude, before, after, confidence, description }]
+     */
+    detect(series, { indicator = null, types = ['level'] } = {}) {
+        const results = [];
+
+        types.forEach(type => {
+            if (!TYPES[type]) {
+                throw new Error(`Unknown change point type: ${type}`);
+            }
+
+            const points = this.transform(series, TYPES[type].transform);
+            if (points.length < this.minSegment * 2) return;
+
+            this.segment(points, TYPES[type].cost).forEach(split => {
+                results.push(this.describeSplit(points, split, type, indicator));
+            });
+        });
+
+        return this.dedupe(results);
+    }
+
+    /**
+     * Run detection over several indicators of processed rows
+     * @param {Array} rows - Processed rows ({ year, <indicator>: number|null })
+     * @param {Array} specs - [{ indicator, types }]
+     * @returns {Array} Merged change points sorted by year
+     */
+    detectAll(rows, specs) {
+        const all = specs.flatMap(({ indicator, types }) => {
+            const series = rows
+                .filter(row => row[indicator] !== null && row[indicator] !== undefined && !row.fills?.[indicator])
+                .map(row => ({ year: row.year, value: row[indicator] }));
+            return this.detect(series, { indicator, types });
+        });
+
+        return all.sort((a, b) => a.year - b.year);
+    }
+
+    /**
+     * Year-on-year growth in percent (log differences) between consecutive observed years
+     */
+    transform(series, transform) {
+        if (transform !== 'growth') {
+            return series.filter(d => isFinite(d.value));
+        }
+
+        const growth = [];
+        for (let i = 1; i < series.length; i++) {
+            const prev = series[i - 1];
+            const curr = series[i];
+            if (curr.year - prev.year === 1 && prev.value > 0 && curr.value > 0) {
+                growth.push({ year: curr.year, value: Math.log(curr.value / prev.value) * 100 });
+            }
+        }
+        return growth;
+    }
+
+    /**
+     * Binary segmentation: repeatedly split the segment whose best split gains most,
+     * while the gain beats the penalty
+     * @returns {Array} Splits { index, gain, penalty } where index is the first point after the break
+     */
+    segment(points, costType) {
+        const values = points.map(d => d.value);
+        const cost = this.costFunction(values, costType);
+        const penalty = this.getPenalty(values, costType);
+
+        const splits = [];
+        const queue = [[0, values.length]];
+
+        while (queue.length > 0 && splits.length < this.maxChangePoints) {
+            let best = null;
+
+            queue.forEach(([start, end], queueIndex) => {
+                const candidate = this.bestSplit(cost, start, end);
+                if (candidate && (!best || candidate.gain > best.gain)) {
+                    best = { ...candidate, start, end, queueIndex };
+                }
+            });
+
+            if (!best || best.gain <= penalty) break;
+
+            splits.push({ index: best.index, gain: best.gain, penalty });
+            queue.splice(best.queueIndex, 1, [best.start, best.index], [best.index, best.end]);
+        }
+
+        return splits.sort((a, b) => a.index - b.index);
+    }
+
+    bestSplit(cost, start, end) {
+        const total = cost(start, end);
+        let best = null;
+
+        for (let i = start + this.minSegment; i <= end - this.minSegment; i++) {
+            const gain = total - cost(start, i) - cost(i, end);
+            if (!best || gain > best.gain) {
+                best = { index: i, gain };
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Segment cost in O(1) from prefix sums
+     * mean: sum of squared deviations (normal model, shifting mean)
+     * variance: n * log(variance) (normal model, shifting variance)
+     */
+    costFunction(values, costType) {
+        const sum = [0];
+        const sumSq = [0];
+        values.forEach((v, i) => {
+            sum.push(sum[i] + v);
+            sumSq.push(sumSq[i] + v * v);
+        });
+
+        return (start, end) => {
+            const n = end - start;
+            if (n <= 0) return 0;
+            const s = sum[end] - sum[start];
+            const ss = sumSq[end] - sumSq[start];
+            const squaredDeviation = Math.max(ss - (s * s) / n, 0);
+
+            if (costType === 'variance') {
+                return n * Math.log(Math.max(squaredDeviation / n, 1e-8));
+            }
+            return squaredDeviation;
+        };
+    }
+
+    getPenalty(values, costType) {
+        const logN = Math.log(values.length);
+        if (costType === 'variance') {
+            return this.penalty * logN;
+        }
+        // Scale by a robust noise estimate so the penalty is unit-free
+        const diffs = values.slice(1).map((v, i) => Math.abs(v - values[i]));
+        const mad = d3.median(diffs) || d3.deviation(values) || 1;
+        const sigma = mad / (0.6745 * Math.SQRT2);
+        return this.penalty * logN * Math.max(sigma * sigma, 1e-8);
+    }
+
+    describeSplit(points, split, type, indicator) {
+        const before = points.slice(Math.max(0, split.index - this.minSegment), split.index).map(d => d.value);
+        const after = points.slice(split.index, split.index + this.minSegment).map(d => d.value);
+        const year = points[split.index].year;
+
+        const stats = TYPES[type].cost === 'variance'
+            ? { before: d3.deviation(before), after: d3.deviation(after) }
+            : { before: d3.mean(before), after: d3.mean(after) };
+
+        const magnitude = TYPES[type].cost === 'variance'
+            ? stats.after / stats.before
+            : stats.after - stats.before;
+        const direction = TYPES[type].cost === 'variance'
+            ? (magnitude > 1 ? 'increase' : 'decrease')
+            : (magnitude > 0 ? 'increase' : 'decrease');
+
+        return {
+            year,
+            indicator,
+            type,
+            label: TYPES[type].label,
+            direction,
+            magnitude,
+            before: stats.before,
+            after: stats.after,
+            confidence: Math.max(0, Math.min(1, 1 - split.penalty / split.gain)),
+            description: this.describe(type, indicator, direction, stats)
+        };
+    }
+
+    describe(type, indicator, direction, stats) {
+        const subject = indicator ? `${IndicatorRegistry.get(indicator)?.label || indicator} ` : '';
+        const unit = TYPES[type].transform === 'growth' ? '%' : '';
+        const verb = direction === 'increase' ? 'rose' : 'fell';
+
+        if (type === 'variance') {
+            return `${subject}volatility ${verb} (growth s.d. ${stats.before.toFixed(1)}% to ${stats.after.toFixed(1)}%)`;
+        }
+        const what = type === 'growth' ? 'growth' : 'level';
+        return `${subject}${what} ${verb} from ${stats.before.toFixed(1)}${unit} to ${stats.after.toFixed(1)}${unit}`;
+    }
+
+    /**
+     * Merge hits for the same indicator that fall within mergeWindow years of the first hit
+     * of their cluster, keeping the most confident and recording the types merged into it
+     * Windows are measured from the cluster's first year, not the kept hit's, so a run of
+     * close hits can't chain into one break spanning more than mergeWindow years
+     */
+    dedupe(changePoints) {
+        const sorted = changePoints.slice().sort((a, b) => a.year - b.year);
+        const merged = [];
+        let clusterStart = null;
+
+        sorted.forEach(point => {
+            const last = merged[merged.length - 1];
+            if (last && last.indicator === point.indicator && point.year - clusterStart <= this.mergeWindow) {
+                const keep = point.confidence > last.confidence ? point : last;
+                merged[merged.length - 1] = {
+                    ...keep,
+                    mergedTypes: Array.from(new Set([...(last.mergedTypes || [last.type]), point.type]))
+                };
+            } else {
+                clusterStart = point.year;
+                merged.push(point);
+            }
+        });
+
+        return merged;
+    }
+
+    /**
+     * Match detected change points against curated historical events
+     * @param {Array} changePoints - Detected change points
+     * @param {Array} events - [{ year, description, ... }]
+     * @param {number} tolerance - Largest gap in years that still counts as a match
+     * @returns {Object} { matched: [{ event, changePoint, lag }], unmatchedEvents, unexplained }
+     */
+    static compareWithEvents(changePoints, events, tolerance = 10) {
+        const matched = [];
+        const used = new Set();
+
+        events.forEach(event => {
+            const candidates = changePoints
+                .filter(cp => !used.has(cp) && Math.abs(cp.year - event.year) <= tolerance)
+                .sort((a, b) => Math.abs(a.year - event.year) - Math.abs(b.year - event.year) || b.confidence - a.confidence);
+
+            if (candidates.length > 0) {
+                used.add(candidates[0]);
+                matched.push({ event, changePoint: candidates[0], lag: candidates[0].year - event.year });
+            }
+        });
+
+        return {
+            matched,
+            unmatchedEvents: events.filter(event => !matched.some(m => m.event === event)),
+            unexplained: changePoints.filter(cp => !used.has(cp))
+        };
+    }
+}
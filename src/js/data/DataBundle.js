@@ -0,0 +1,124 @@
+/**
+ * Data Bundle
+ * Compact, pre-processed form of MillenniumDataProcessor output, written by build-prod.js
+ * and loaded by the browser in place of parsing and processing the raw CSV
+ *
+ * Packing drops what can be rebuilt from the enriched rows - each period's data and
+ * change points, the unfilled raw rows and each row's period - stores enriched rows and
+ * series values column-wise, and rounds non-integer values to 8 significant digits
+ */
+
+export const BUNDLE_FORMAT = 'uk-millennium-processed';
+export const BUNDLE_VERSION = 1;
+
+// dist/data/processed/ in production; src/data/processed/ if a developer builds one locally
+export const DEFAULT_BUNDLE_URL = new URL('../../data/processed/millennium.json', import.meta.url).href;
+
+// Copy of an object without some of its fields
+const omit = (object, keys) => Object.fromEntries(Object.entries(object).filter(([key]) => !keys.includes(key)));
+
+export class DataBundle {
+    /**
+     * @param {Object} data - Output of MillenniumDataProcessor.processRawData()
+     * @param {Object} indicatorColumns - Indicator key -> dataset column, as resolved by the processor
+     * @returns {Object} Bundle
+     */
+    static pack(data, indicatorColumns) {
+        const { periods, enriched, series } = data;
+        const rest = omit(data, ['raw', 'periods', 'enriched', 'series']);
+
+        // Row fields in a fixed order; 'period' is stored as its key
+        const columns = Array.from(new Set(enriched.flatMap(row => Object.keys(row))));
+
+        return {
+            format: BUNDLE_FORMAT,
+            version: BUNDLE_VERSION,
+            builtAt: new Date().toISOString(),
+            indicatorColumns,
+            ...rest,
+            enriched: {
+                columns,
+                rows: enriched.map(row => columns.map(column => (
+                    column === 'period' ? row.period?.key ?? null : row[column] ?? null
+                )))
+            },
+            series: Object.fromEntries(Object.entries(series).map(([id, { values, ...entry }]) => [id, {
+                ...entry,
+                years: values.map(d => d.year),
+                values: values.map(d => d.value)
+            }])),
+            periods: Object.fromEntries(Object.entries(periods).map(([key, period]) => [key, omit(period, ['data', 'changePoints'])]))
+        };
+    }
+
+    /**
+     * Serialise a bundle without whitespace, rounding non-integer numbers
+     * @param {Object} bundle - Result of pack()
+     * @returns {string} JSON
+     */
+    static stringify(bundle) {
+        return JSON.stringify(bundle, (key, value) => (
+            typeof value === 'number' && !Number.isInteger(value) ? Number(value.toPrecision(8)) : value
+        ));
+    }
+
+    /**
+     * Rebuild processor output from a bundle
+     * @param {Object} bundle - Parsed bundle JSON
+     * @returns {Object} { data, indicatorColumns }
+     */
+    static unpack(bundle) {
+        if (!bundle || bundle.format !== BUNDLE_FORMAT) {
+            throw new Error('Not a processed data bundle');
+        }
+        if (bundle.version !== BUNDLE_VERSION) {
+            throw new Error(`Data bundle version ${bundle.version} is not supported (expected ${BUNDLE_VERSION})`);
+        }
+
+        const { builtAt, indicatorColumns, periods, enriched, series } = bundle;
+        const data = omit(bundle, ['format', 'version', 'builtAt', 'indicatorColumns', 'periods', 'enriched', 'series']);
+        const indicators = Object.keys(indicatorColumns);
+
+        data.enriched = enriched.rows.map(values => {
+            const row = Object.fromEntries(enriched.columns.map((column, i) => [column, values[i]]));
+            const period = periods[row.period];
+            row.period = period
+                ? { key: row.period, start: period.start, end: period.end, name: period.name }
+                : { key: 'other', name: 'Other', start: row.year, end: row.year };
+            return row;
+        });
+
+        data.series = Object.fromEntries(Object.entries(series).map(([id, { years, values, ...entry }]) => [id, {
+            ...entry,
+            values: years.map((year, i) => ({ year, value: values[i] }))
+        }]));
+
+        // Raw rows hold observed values only; filled values are flagged on the enriched rows
+        const raw = data.enriched.map(row => {
+            const rawRow = { year: row.year };
+            indicators.forEach(key => {
+                rawRow[key] = row.fills?.[key] ? null : row[key];
+            });
+            return rawRow;
+        });
+
+        const rebuiltPeriods = Object.fromEntries(Object.entries(periods).map(([key, period]) => {
+            const rows = data.enriched.filter(d => d.year >= period.start && d.year <= period.end);
+            return [key, {
+                ...period,
+                data: rows,
+                changePoints: rows.filter(d => d.changePoint).map(d => d.changePoint)
+            }];
+        }));
+
+        return {
+            data: {
+                ...data,
+                raw,
+                periods: rebuiltPeriods,
+                provenance: { ...data.provenance, bundleBuiltAt: builtAt }
+            },
+            indicatorColumns
+        };
+    }
+}
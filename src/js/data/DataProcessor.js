@@ -3,57 +3,260 @@
  * Handles loading and processing of Bank of England millennium dataset
  */
 
+import { createDataSource, DataSource, DEFAULT_DATA_SOURCE, readText } from './DataSources.js';
+import { IndicatorRegistry } from './IndicatorRegistry.js';
+import { DataValidator } from './DataValidator.js';
+import { GapFiller } from './GapFiller.js';
+import { ChangePointDetector } from './ChangePointDetector.js';
+import { DerivedMetrics } from './DerivedMetrics.js';
+import { PeriodCatalogue, DEFAULT_PERIOD_CONFIG } from './PeriodCatalogue.js';
+import { EventCatalogue, DEFAULT_EVENT_CONFIG } from './EventCatalogue.js';
+import { SectorShares, DEFAULT_SECTOR_CONFIG } from './SectorShares.js';
+import { ProcessedDataCache } from './ProcessedDataCache.js';
+import { DataBundle, DEFAULT_BUNDLE_URL } from './DataBundle.js';
+import { ValueConverter } from './ValueConverter.js';
+
+// Pipeline stages reported to onProgress, in order
+const PROGRESS_STAGES = {
+    loading: 'Loading dataset',
+    parsing: 'Parsing rows',
+    validating: 'Validating',
+    filling: 'Filling gaps',
+    enriching: 'Computing derived metrics',
+    changePoints: 'Detecting change points',
+    segmenting: 'Segmenting periods',
+    done: 'Ready'
+};
+
+// Constructor options that can be handed to the worker (functions and instances can't)
+const WORKER_OPTIONS = ['gapStrategies', 'maxGap', 'changePoints', 'changePointSpecs', 'useCache'];
+
+// Years kept by processRawData() unless options.timeRange says otherwise
+export const DEFAULT_TIME_RANGE = [1209, 2016];
+
 export class MillenniumDataProcessor {
-    constructor() {
+    constructor(options = {}) {
+        this.options = options;
         this.rawData = null;
         this.processedData = null;
-        this.keyIndicators = {
-            // Real GDP of England at market prices (2013 prices) - actual values in £mn
-            gdpReal: 'Real GDP of England at market prices',
-            // Population data
-            population: 'Population (GB+NI)',
-            populationEngland: 'Population (England)',
-            // Price and wage data
-            cpi: 'Consumer price index',
-            wages: 'Real consumption wages',
-            // Government and finance
-            govSpending: 'Public sector Total Managed Expenditure.1',
-            publicDebt: 'UK Public sector debt.1',
-            interestRates: 'Bank Rate',
-            // Trade
-            tradeBalance: 'Trade deficit.1',
-            // Modern indicators (available later)
-            unemployment: 'Unemployment rate',
-            housePrice: 'House price index'
-        };
+        this.provenance = null;
+        this.sheets = [];
+        
+        // Where to load the dataset from - see DataSources.js for the supported types
+        this.dataSource = options.dataSource || DEFAULT_DATA_SOURCE;
+        
+        // Indicator definitions (source columns, units, display formats)
+        this.indicators = IndicatorRegistry;
+        this.indicatorColumns = {};
+        this.validator = new DataValidator(this.indicators);
+        this.qualityReport = null;
+        this.derivedMetrics = new DerivedMetrics(this.indicators);
+        
+        // Missing-value handling: per-indicator strategies default to the registry's gapStrategy
+        this.gapFiller = new GapFiller({
+            registry: this.indicators,
+            strategies: options.gapStrategies,
+            maxGap: options.maxGap
+        });
         
-        console.log('🔍 Key indicators mapped:', this.keyIndicators);
+        // Structural breaks: which indicators to scan and for what kind of shift
+        this.changePointDetector = new ChangePointDetector(options.changePoints);
+        this.changePointSpecs = options.changePointSpecs || [
+            { indicator: 'gdpReal', types: ['growth', 'variance'] },
+            { indicator: 'population', types: ['growth'] },
+            { indicator: 'cpi', types: ['growth', 'variance'] },
+            { indicator: 'interestRates', types: ['level'] },
+            { indicator: 'unemployment', types: ['level'] }
+        ];
+        this.changePoints = null;
         
-        // Define our narrative periods
-        this.periods = {
-            medieval: { start: 1209, end: 1500, name: 'Medieval Times' },
-            awakening: { start: 1500, end: 1750, name: 'Great Awakening' },
-            industrial: { start: 1750, end: 1900, name: 'Industrial Explosion' },
-            crisis: { start: 1900, end: 1950, name: 'Crisis & Transformation' },
-            modern: { start: 1950, end: 2016, name: 'Modern Service Economy' }
-        };
+        // Years to keep, and the indicators getDataForPeriod() returns by default (null = all fields)
+        this.timeRange = DEFAULT_TIME_RANGE;
+        this.selectedIndicators = null;
+        this.configure(options);
+        
+        // Narrative periods come from config (src/data/config/periods.json by default)
+        this.periodSource = options.periods || DEFAULT_PERIOD_CONFIG;
+        this.periodCatalogue = null;
+        this.periods = {};
+        
+        // Historical events likewise (src/data/config/events.json by default)
+        this.eventSource = options.events || DEFAULT_EVENT_CONFIG;
+        this.eventCatalogue = null;
+        
+        // Which workbook series give each sector's share (src/data/config/sectors.json by default)
+        this.sectorSource = options.sectors || DEFAULT_SECTOR_CONFIG;
+        this.sectorConfig = null;
+        
+        // Processed output is cached in IndexedDB across page loads (no-op where unavailable)
+        this.cache = options.cache || new ProcessedDataCache({ enabled: options.useCache });
+        
+        // Processing runs in a Web Worker where the browser supports module workers
+        this.useWorker = options.useWorker !== false;
+        this.onProgress = options.onProgress || null;
+    }
+    
+    static get progressStages() {
+        return Object.keys(PROGRESS_STAGES);
+    }
+    
+    /**
+     * Set the time range and indicator selection; a new time range applies from the next
+     * loadData() or reprocess()
+     * @param {Object} options
+     * @param {Array} options.timeRange - [startYear, endYear]
+     * @param {Array} options.selectedIndicators - Registered indicator keys, or null for all fields
+     */
+    configure({ timeRange, selectedIndicators } = {}) {
+        if (timeRange !== undefined) {
+            this.timeRange = MillenniumDataProcessor.validateTimeRange(timeRange);
+        }
+        
+        if (selectedIndicators !== undefined) {
+            const unknown = (selectedIndicators || []).filter(key => !this.indicators.has(key));
+            if (unknown.length > 0) {
+                throw new Error(`Unknown indicators: ${unknown.join(', ')}`);
+            }
+            this.selectedIndicators = selectedIndicators ? [...selectedIndicators] : null;
+        }
     }
     
-    async loadData() {
+    /**
+     * Check a [startYear, endYear] pair
+     * @param {Array} timeRange - [startYear, endYear]
+     * @returns {Array} The same range
+     */
+    static validateTimeRange(timeRange) {
+        if (!Array.isArray(timeRange) || timeRange.length !== 2 || !timeRange.every(Number.isInteger)) {
+            throw new Error(`Time range must be [startYear, endYear], got ${JSON.stringify(timeRange)}`);
+        }
+        if (timeRange[0] > timeRange[1]) {
+            throw new Error(`Time range starts after it ends: ${timeRange[0]}-${timeRange[1]}`);
+        }
+        return [...timeRange];
+    }
+    
+    /**
+     * Tell the onProgress listener which stage the pipeline has reached
+     * @param {string} stage - Key of PROGRESS_STAGES
+     * @param {Object} details - Extra fields, e.g. { rowsParsed, totalRows }
+     */
+    reportProgress(stage, details = {}) {
+        if (!this.onProgress) return;
+        
+        const stages = MillenniumDataProcessor.progressStages;
+        this.onProgress({
+            stage,
+            label: PROGRESS_STAGES[stage],
+            step: stages.indexOf(stage) + 1,
+            steps: stages.length,
+            ...details
+        });
+    }
+    
+    /**
+     * Load the period catalogue; loadData() does this on first use
+     * @param {Object|string} source - Period config object, URL or { path }
+     * @returns {Promise<PeriodCatalogue>}
+     */
+    async loadPeriods(source = this.periodSource) {
+        this.periodCatalogue = await PeriodCatalogue.load(source);
+        this.periods = this.periodCatalogue.toPeriodMap();
+        console.log(`🏛️ Loaded ${this.periodCatalogue.periods().length} periods`);
+        return this.periodCatalogue;
+    }
+    
+    /**
+     * Load the event catalogue; loadData() does this on first use
+     * @param {Object|string} source - Event config object, URL or { path }
+     * @returns {Promise<EventCatalogue>}
+     */
+    async loadEvents(source = this.eventSource) {
+        this.eventCatalogue = await EventCatalogue.load(source);
+        console.log(`📜 Loaded ${this.eventCatalogue.events().length} historical events`);
+        return this.eventCatalogue;
+    }
+    
+    /**
+     * Load the sector share config; loadData() does this on first use
+     * @param {Object|string} source - Sector config object, URL or { path }
+     * @returns {Promise<Object>} Config
+     */
+    async loadSectors(source = this.sectorSource) {
+        this.sectorConfig = await SectorShares.loadConfig(source);
+        return this.sectorConfig;
+    }
+    
+    async loadData(source = this.dataSource) {
+        if (this.useWorker && MillenniumDataProcessor.canUseWorker(source)) {
+            try {
+                return await this.loadDataInWorker(source);
+            } catch (error) {
+                console.warn('⚠️ Worker processing failed, processing on the main thread instead:', error.message);
+            }
+        }
+        
         try {
-            console.log('📊 Loading UK Millennium Dataset...');
+            const dataSource = await createDataSource(source);
+            console.log(`📊 Loading UK Millennium Dataset from ${dataSource.describe()}...`);
+            this.reportProgress('loading');
+            
+            if (!this.periodCatalogue) {
+                await this.loadPeriods();
+            }
+            if (!this.eventCatalogue) {
+                await this.loadEvents();
+            }
+            if (!this.sectorConfig) {
+                await this.loadSectors();
+            }
+            
+            // Reuse the processed output from an earlier visit if nothing that feeds it has changed;
+            // a source that reports its version (ETag, modification time) isn't even downloaded
+            const cacheKey = dataSource.getLocation();
+            const version = this.cache.enabled ? await dataSource.getVersion() : null;
+            const versionHash = version
+                ? await ProcessedDataCache.hash(this.getCacheFingerprint({ version }))
+                : null;
+            const cachedVersion = versionHash ? await this.cache.get(cacheKey, versionHash) : null;
             
-            // Load the headlines CSV file - use different paths for dev vs production
-            const isDevelopment = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1';
-            const dataPath = isDevelopment ? 'src/data/raw/millenniumofdata_v3_headlines.csv' : 'data/raw/millenniumofdata_v3_headlines.csv';
-            const csvData = await d3.csv(dataPath);
+            if (cachedVersion) {
+                console.log(`⚡ Using processed data cached ${cachedVersion.storedAt} (source version ${version})`);
+                this.restoreProcessedData(cachedVersion);
+                this.reportProgress('done');
+                return this.processedData;
+            }
+            
+            const { rows, sheets = [], provenance } = await dataSource.load();
+            if (rows.length === 0) {
+                throw new Error(`${dataSource.describe()} returned no rows`);
+            }
             
-            console.log(`✅ Loaded ${csvData.length} rows of data`);
-            console.log('📋 Available columns:', Object.keys(csvData[0]));
+            console.log(`✅ Loaded ${rows.length} rows of data`);
+            console.log('📋 Available columns:', Object.keys(rows[0]));
             
-            this.rawData = csvData;
-            this.processedData = this.processRawData();
+            this.rawData = rows;
+            this.sheets = sheets;
+            this.provenance = provenance;
             
+            // Sources without a version are matched on a hash of their contents instead
+            const cacheHash = versionHash || (this.cache.enabled
+                ? await ProcessedDataCache.hash(this.getCacheFingerprint({ rows, sheets }))
+                : null);
+            const cached = version ? null : await this.cache.get(cacheKey, cacheHash);
+            
+            if (cached) {
+                console.log(`⚡ Using processed data cached ${cached.storedAt}`);
+                this.restoreProcessedData(cached);
+            } else {
+                this.processedData = this.processRawData();
+                await this.cache.set(cacheKey, cacheHash, {
+                    data: this.processedData,
+                    indicatorColumns: this.indicatorColumns
+                });
+            }
+            
+            this.reportProgress('done');
             return this.processedData;
             
         } catch (error) {
@@ -62,104 +265,375 @@ export class MillenniumDataProcessor {
         }
     }
     
+    /**
+     * Process the dataset again, e.g. after configure() changed the time range: from the rows
+     * in memory where there are some, otherwise by loading the source again (the cache saves
+     * the work if this configuration was processed before)
+     * @returns {Promise<Object>} Processed data
+     */
+    async reprocess() {
+        if (!this.rawData) {
+            return this.loadData();
+        }
+        
+        this.processedData = this.processRawData();
+        this.reportProgress('done');
+        return this.processedData;
+    }
+    
+    /**
+     * Load the pre-processed bundle written by the production build instead of processing the CSV
+     * @param {string} url - Bundle URL (default: data/processed/millennium.json next to the app)
+     * @returns {Promise<Object>} Processed data
+     */
+    async loadBundle(url = DEFAULT_BUNDLE_URL) {
+        this.reportProgress('loading');
+        
+        const bundle = JSON.parse(await readText(new URL(url, globalThis.location?.href).href));
+        const { data, indicatorColumns } = DataBundle.unpack(bundle);
+        
+        // The bundle was processed for one time range; any other needs the raw data
+        const bundleRange = data.summary.timeRange || DEFAULT_TIME_RANGE;
+        if (bundleRange[0] !== this.timeRange[0] || bundleRange[1] !== this.timeRange[1]) {
+            throw new Error(`Data bundle covers ${bundleRange.join('-')}, not the requested ${this.timeRange.join('-')} - rebuild it with build-prod.js`);
+        }
+        
+        await this.loadPeriods(data.periodConfig);
+        await this.loadEvents(data.eventConfig);
+        this.rawData = null;
+        this.sheets = [];
+        this.indicatorColumns = indicatorColumns;
+        
+        console.log(`📦 Loaded processed data bundle built ${bundle.builtAt}`);
+        this.reportProgress('done');
+        return this.adoptProcessedData(data);
+    }
+    
+    /**
+     * Bundle of the current processed data, for the production build
+     * @returns {Object} Result of DataBundle.pack()
+     */
+    toBundle() {
+        if (!this.processedData) {
+            throw new Error('No processed data to bundle - call loadData() first');
+        }
+        return DataBundle.pack(this.processedData, this.indicatorColumns);
+    }
+    
+    /**
+     * Whether loadData() can hand a source to the worker: module workers must exist and the
+     * source config must survive structured cloning (DataSource instances don't)
+     * @param {Object|DataSource} source - Source config
+     * @returns {boolean}
+     */
+    static canUseWorker(source) {
+        return typeof Worker !== 'undefined' && !(source instanceof DataSource);
+    }
+    
+    /**
+     * Run loadData() in DataWorker.js and adopt its output
+     * Progress messages from the worker are passed to onProgress
+     * @param {Object} source - Source config (structured-cloneable)
+     * @returns {Promise<Object>} Processed data
+     */
+    async loadDataInWorker(source) {
+        if (!this.periodCatalogue) {
+            await this.loadPeriods();
+        }
+        if (!this.eventCatalogue) {
+            await this.loadEvents();
+        }
+        if (!this.sectorConfig) {
+            await this.loadSectors();
+        }
+        
+        const options = Object.fromEntries(WORKER_OPTIONS
+            .filter(key => this.options[key] !== undefined)
+            .map(key => [key, this.options[key]]));
+        options.periods = this.periodCatalogue.config;
+        options.events = this.eventCatalogue.config;
+        options.sectors = this.sectorConfig;
+        options.timeRange = this.timeRange;
+        
+        const worker = new Worker(new URL('./DataWorker.js', import.meta.url), { type: 'module' });
+        console.log('🧵 Processing dataset in a Web Worker...');
+        
+        try {
+            const result = await new Promise((resolve, reject) => {
+                worker.onmessage = ({ data: message }) => {
+                    if (message.type === 'progress') this.onProgress?.(message.progress);
+                    if (message.type === 'result') resolve(message);
+                    if (message.type === 'error') reject(new Error(message.message));
+                };
+                worker.onerror = event => {
+                    event.preventDefault?.();
+                    reject(new Error(event.message || 'Data worker failed to start'));
+                };
+                worker.postMessage({ type: 'load', source, options });
+            });
+            
+            this.rawData = null;
+            this.sheets = [];
+            this.indicatorColumns = result.indicatorColumns;
+            return this.adoptProcessedData(result.data);
+        } finally {
+            worker.terminate();
+        }
+    }
+    
+    /**
+     * Take on processed output produced elsewhere (cache, worker) as if processRawData() had run here
+     * @param {Object} data - Processed output
+     * @returns {Object} The same data
+     */
+    adoptProcessedData(data) {
+        this.qualityReport = data.quality;
+        this.changePoints = data.changePoints;
+        this.provenance = data.provenance;
+        this.processedData = data;
+        return data;
+    }
+    
+    /**
+     * Everything that determines the processed output, hashed to key the cache
+     * @param {Object} source - What identifies the source's contents: { version } from
+     *   DataSource.getVersion(), or the loaded { rows, sheets } where there is no version
+     * @returns {Object} JSON-serialisable fingerprint
+     */
+    getCacheFingerprint({ version = null, rows = null, sheets = [] }) {
+        return {
+            version,
+            rows,
+            sheets: sheets.map(sheet => ({ id: sheet.id, rows: sheet.rows })),
+            periods: this.periodCatalogue.config,
+            events: this.eventCatalogue.config,
+            sectors: this.sectorConfig,
+            formulas: this.indicators.derivedKeys().map(key => [key, this.indicators.get(key).formula]),
+            gapStrategies: this.indicators.keys().map(key => [key, this.gapFiller.getStrategy(key)]),
+            maxGap: this.gapFiller.maxGap,
+            changePointSpecs: this.changePointSpecs,
+            timeRange: this.timeRange
+        };
+    }
+    
+    /**
+     * Adopt processed output from the cache as if processRawData() had produced it
+     * The raw rows may not have been read, so the cached indicator columns are used
+     * @param {Object} cached - Cache entry: { data: { data, indicatorColumns }, storedAt }
+     */
+    restoreProcessedData({ data: { data, indicatorColumns }, storedAt }) {
+        this.rawData = null;
+        this.sheets = [];
+        this.indicatorColumns = indicatorColumns;
+        return this.adoptProcessedData({ ...data, provenance: { ...data.provenance, cachedAt: storedAt } });
+    }
+    
+    /**
+     * Map each registered indicator onto a dataset column
+     */
+    resolveIndicatorColumns() {
+        const unitsRow = this.rawData.find(row => row['Description'] === 'Units') || null;
+        this.indicatorColumns = this.indicators.resolveColumns(Object.keys(this.rawData[0]), unitsRow);
+        return this.indicatorColumns;
+    }
+    
     processRawData() {
         console.log('🔄 Processing raw data...');
-        console.log('📋 First few rows of raw data:', this.rawData.slice(0, 3));
-        console.log('📋 Available columns:', Object.keys(this.rawData[0]));
+        
+        // Map each registered indicator onto a dataset column
+        this.resolveIndicatorColumns();
         
         // Convert strings to numbers and handle missing values
-        const processed = this.rawData.map((row, index) => {
-            const year = parseInt(row['Description']); // First column is actually year
-            if (isNaN(year)) {
-                if (index < 5) console.log(`⚠️ Skipping non-year row ${index}:`, row['Description']);
-                return null; // Skip non-year rows
+        const invalidValues = [];
+        const totalRows = this.rawData.length;
+        this.reportProgress('parsing', { rowsParsed: 0, totalRows });
+        
+        const parsed = this.rawData.map((row, index) => {
+            if (index > 0 && index % 100 === 0) {
+                this.reportProgress('parsing', { rowsParsed: index, totalRows });
             }
             
+            const year = parseInt(row['Description']); // First column is actually year
+            if (isNaN(year)) return null; // Skip non-year rows (Units, notes)
+            
             const processedRow = { year };
             
             // Process each indicator
-            Object.entries(this.keyIndicators).forEach(([key, columnName]) => {
-                const rawValue = row[columnName];
-                const value = this.parseValue(rawValue);
-                processedRow[key] = value;
+            Object.entries(this.indicatorColumns).forEach(([key, columnName]) => {
+                const rawValue = columnName ? row[columnName] : null;
+                processedRow[key] = this.parseValue(rawValue);
                 
-                // Debug logging for population specifically
-                if (key === 'population' && year >= 1209 && year <= 1220) {
-                    console.log(`📊 Year ${year} population: raw="${rawValue}" parsed="${value}"`);
-                }
-                
-                // Debug logging for population in early years
-                if (key === 'population' && year >= 1209 && year <= 1250) {
-                    console.log(`📊 Year ${year} population: raw="${rawValue}" parsed="${value}"`);
+                if (processedRow[key] === null && this.isUnparseable(rawValue)) {
+                    invalidValues.push({ indicator: key, year, raw: rawValue });
                 }
             });
             
             return processedRow;
-        }).filter(row => row !== null && row.year >= 1209 && row.year <= 2016);
-        
-        console.log(`🎯 Processed ${processed.length} years of data (${processed[0]?.year}-${processed[processed.length-1]?.year})`);
-        
-        // Check medieval period data specifically
-        const medievalData = processed.filter(d => d.year >= 1209 && d.year <= 1500);
-        const populationData = medievalData.filter(d => d.population !== null);
-        console.log(`🏰 Medieval period: ${medievalData.length} years, ${populationData.length} with population data`);
-        if (populationData.length > 0) {
-            console.log(`📈 Sample population data:`, populationData.slice(0, 5));
-        }
+        }).filter(row => row !== null);
+        
+        // Check the schema and values before anything downstream relies on them
+        this.reportProgress('validating', { rowsParsed: totalRows, totalRows });
+        this.qualityReport = this.validator.validate(parsed, this.indicatorColumns, invalidValues);
+        console.log(`🩺 Data quality: ${DataValidator.summarise(this.qualityReport)}`);
+        
+        // Fill gaps and derive metrics over every year, so gaps and lookback formulas (growth
+        // rates, CAGRs, rebased indices) at the start of the time range draw on earlier years;
+        // raw keeps the observed values only, filled values are flagged per row
+        this.reportProgress('filling');
+        const filled = this.gapFiller.fill(parsed, Object.keys(this.indicatorColumns));
+        this.qualityReport.gaps.forEach(gap => {
+            gap.strategy = this.gapFiller.getStrategy(gap.indicator);
+            gap.filled = gap.strategy !== 'none' && gap.years <= this.gapFiller.maxGap;
+        });
         
         // Calculate derived metrics and identify change points
-        const enriched = this.enrichData(processed);
+        const enrichedAll = this.enrichData(filled);
+        
+        // Then keep the requested years
+        const inRange = row => this.isInTimeRange(row.year);
+        const processed = parsed.filter(inRange);
+        const enriched = enrichedAll.filter(inRange);
+        this.clipChangePoints();
+        console.log(`🎯 Processed ${enriched.length} years of data (${enriched[0]?.year}-${enriched[enriched.length-1]?.year})`);
         
         // Segment data by periods
+        this.reportProgress('segmenting');
         const segmented = this.segmentByPeriods(enriched);
         
+        // Sector shares from the sectoral series, era-level estimates where there are none
+        const series = this.buildSeriesCatalogue();
+        const sectorShares = SectorShares.build(this.sectorConfig, {
+            series,
+            periodCatalogue: this.periodCatalogue,
+            years: enriched.map(row => row.year)
+        });
+        
         return {
             raw: processed,
             enriched: enriched,
             periods: segmented,
-            summary: this.generateDataSummary(enriched)
+            summary: this.generateDataSummary(enriched),
+            series,
+            sectorShares,
+            // Price indices for every year, so values outside the range still convert
+            prices: ValueConverter.extractPrices(enrichedAll),
+            quality: this.qualityReport,
+            changePoints: this.changePoints,
+            periodConfig: this.periodCatalogue.config,
+            eventConfig: this.eventCatalogue.config,
+            provenance: this.provenance
+        };
+    }
+    
+    isInTimeRange(year) {
+        const [startYear, endYear] = this.timeRange;
+        return year >= startYear && year <= endYear;
+    }
+    
+    /**
+     * Keep the change points inside the time range; they are detected over every year so
+     * that breaks near the range edges are found with the same data either side
+     */
+    clipChangePoints() {
+        const detected = this.changePoints.detected.filter(cp => this.isInTimeRange(cp.year));
+        const historical = this.changePoints.historical.filter(cp => this.isInTimeRange(cp.year));
+        this.changePoints = {
+            detected,
+            historical,
+            comparison: ChangePointDetector.compareWithEvents(detected, historical)
         };
     }
     
+    /**
+     * Index every column of every loaded sheet as a series with a stable ID
+     * ('<sheet id>.<column slug>', e.g. 'A1.real_gdp_of_england_at_market_prices')
+     * When only the headline CSV is loaded it is indexed as sheet A1; values outside the
+     * time range are left out
+     * @returns {Object} Series keyed by ID: { id, sheet, sheetName, column, units, values: [{ year, value }] }
+     */
+    buildSeriesCatalogue() {
+        const headlineId = this.provenance?.headline || 'A1';
+        const sheets = this.sheets.length > 0
+            ? this.sheets
+            : [{ id: headlineId, name: 'A1. Headline series', rows: this.rawData, yearColumn: 'Description', unitsRow: 'Units' }];
+        const series = {};
+        
+        sheets.forEach(sheet => {
+            if (sheet.rows.length === 0) return;
+            
+            const columns = sheet.rows.columns || Object.keys(sheet.rows[0]);
+            const yearColumn = sheet.yearColumn || columns[0];
+            const unitsRow = sheet.rows.find(row => String(row[yearColumn]).trim() === sheet.unitsRow);
+            
+            columns.filter(column => column !== yearColumn && column.trim() !== '').forEach(column => {
+                const values = [];
+                sheet.rows.forEach(row => {
+                    const year = parseInt(row[yearColumn]);
+                    const value = this.parseValue(row[column]);
+                    if (!isNaN(year) && value !== null && this.isInTimeRange(year)) values.push({ year, value });
+                });
+                if (values.length === 0) return;
+                
+                let id = MillenniumDataProcessor.seriesId(sheet.id, column);
+                for (let n = 2; series[id]; n++) {
+                    id = `${MillenniumDataProcessor.seriesId(sheet.id, column)}_${n}`;
+                }
+                
+                series[id] = {
+                    id,
+                    sheet: sheet.id,
+                    sheetName: sheet.name,
+                    column: column.trim(),
+                    units: unitsRow ? String(unitsRow[column] || '').trim() || null : null,
+                    values
+                };
+            });
+        });
+        
+        console.log(`📚 Indexed ${Object.keys(series).length} series from ${sheets.length} sheet(s)`);
+        return series;
+    }
+    
+    static seriesId(sheetId, column) {
+        const slug = column.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+        return `${sheetId}.${slug}`;
+    }
+    
     parseValue(str) {
         if (!str || str === '' || str === 'n/a') return null;
         const num = parseFloat(str);
         return isNaN(num) ? null : num;
     }
     
+    isUnparseable(str) {
+        return typeof str === 'string' && str.trim() !== '' && str.trim() !== 'n/a' && isNaN(parseFloat(str));
+    }
+    
+    /**
+     * How a processed value was produced
+     * @param {Object} row - Enriched row
+     * @param {string} indicator - Indicator key
+     * @returns {string|null} Fill method ('linear', 'logLinear', 'carryForward') or null when observed
+     */
+    getFillMethod(row, indicator) {
+        return row?.fills?.[indicator] || null;
+    }
+    
     enrichData(data) {
         console.log('🔬 Enriching data with calculated metrics...');
+        this.reportProgress('enriching');
         
-        // Calculate growth rates for key indicators
-        const enriched = data.map((row, index) => {
-            const enrichedRow = { ...row };
-            
-            if (index > 0) {
-                const prevRow = data[index - 1];
-                
-                // GDP growth rate (where data exists)
-                if (row.gdpReal && prevRow.gdpReal) {
-                    enrichedRow.gdpGrowthRate = ((row.gdpReal - prevRow.gdpReal) / prevRow.gdpReal) * 100;
-                }
-                
-                // Population growth rate
-                if (row.population && prevRow.population) {
-                    enrichedRow.populationGrowthRate = ((row.population - prevRow.population) / prevRow.population) * 100;
-                }
-                
-                // Inflation rate (CPI change)
-                if (row.cpi && prevRow.cpi) {
-                    enrichedRow.inflationRate = ((row.cpi - prevRow.cpi) / prevRow.cpi) * 100;
-                }
-            }
-            
+        const enriched = data.map(row => ({
+            ...row,
             // Add period classification
-            enrichedRow.period = this.classifyPeriod(row.year);
-            
-            return enrichedRow;
-        });
+            period: this.classifyPeriod(row.year)
+        }));
+        
+        // Growth rates, per-capita figures, ratios - every registered formula
+        this.derivedMetrics.compute(enriched);
         
         // Identify dramatic change points
+        this.reportProgress('changePoints');
         const changePoints = this.identifyChangePoints(enriched);
         enriched.forEach(row => {
             row.changePoint = changePoints.find(cp => cp.year === row.year) || null;
@@ -169,58 +643,59 @@ export class MillenniumDataProcessor {
     }
     
     classifyPeriod(year) {
-        for (const [key, period] of Object.entries(this.periods)) {
-            if (year >= period.start && year <= period.end) {
-                return { key, ...period };
-            }
+        const period = this.periodCatalogue.classify(year);
+        if (period) {
+            return { key: period.key, start: period.start, end: period.end, name: period.name };
         }
         return { key: 'other', name: 'Other', start: year, end: year };
     }
     
+    /**
+     * Detect structural breaks in the configured indicators and line them up against
+     * the historical events tagged 'turning-point' in the event catalogue
+     * @param {Array} data - Enriched rows
+     * @returns {Array} Detected and historical change points sorted by year
+     */
     identifyChangePoints(data) {
-        const changePoints = [];
-        
-        // Look for GDP acceleration points
-        const gdpData = data.filter(d => d.gdpReal && d.gdpGrowthRate);
-        
-        // Simple change point detection - look for periods where growth rate doubles
-        for (let i = 20; i < gdpData.length - 20; i++) {
-            const window = 10;
-            const beforeAvg = d3.mean(gdpData.slice(i - window, i), d => d.gdpGrowthRate);
-            const afterAvg = d3.mean(gdpData.slice(i, i + window), d => d.gdpGrowthRate);
-            
-            if (afterAvg > beforeAvg * 1.5 && beforeAvg > 0) {
-                changePoints.push({
-                    year: gdpData[i].year,
-                    type: 'growth_acceleration',
-                    magnitude: afterAvg / beforeAvg,
-                    description: `GDP growth accelerated from ${beforeAvg.toFixed(1)}% to ${afterAvg.toFixed(1)}%`
-                });
-            }
-        }
+        const detected = this.changePointDetector.detectAll(data, this.changePointSpecs);
         
-        // Add known historical change points
-        const historicalChangePoints = [
-            { year: 1348, type: 'crisis', description: 'Black Death pandemic' },
-            { year: 1694, type: 'innovation', description: 'Bank of England founded' },
-            { year: 1750, type: 'transformation', description: 'Industrial Revolution begins' },
-            { year: 1914, type: 'crisis', description: 'World War I begins' },
-            { year: 1929, type: 'crisis', description: 'Great Depression begins' },
-            { year: 1971, type: 'transformation', description: 'End of Bretton Woods system' },
-            { year: 2008, type: 'crisis', description: 'Global Financial Crisis' }
-        ];
+        // Curated turning points the narrative refers to
+        const historicalChangePoints = this.eventCatalogue.query({ tags: ['turning-point'] })
+            .map(event => ({ year: event.year, type: event.category, description: event.event, eventId: event.id }));
         
-        changePoints.push(...historicalChangePoints);
+        this.changePoints = {
+            detected,
+            historical: historicalChangePoints,
+            comparison: ChangePointDetector.compareWithEvents(detected, historicalChangePoints)
+        };
+        console.log(`📐 Detected ${detected.length} change points, ${this.changePoints.comparison.matched.length} of ${historicalChangePoints.length} historical events matched`);
         
-        return changePoints.sort((a, b) => a.year - b.year);
+        return [...detected, ...historicalChangePoints].sort((a, b) => a.year - b.year);
+    }
+    
+    /**
+     * Run change point detection on any indicator or series on demand
+     * @param {string} indicator - Indicator key or series ID
+     * @param {Array} types - Any of 'level', 'growth', 'variance'
+     * @param {Object} options - Detector options (minSegment, penalty, maxChangePoints, mergeWindow)
+     * @returns {Array} Change points
+     */
+    detectChangePoints(indicator, types = ['level'], options = null) {
+        const series = this.getTimeSeriesForIndicator(indicator)?.filter(d => !d.fill);
+        if (!series) return [];
+        
+        const detector = options ? new ChangePointDetector(options) : this.changePointDetector;
+        return detector.detect(series, { indicator, types });
     }
     
     segmentByPeriods(data) {
         const segmented = {};
         
-        Object.entries(this.periods).forEach(([key, period]) => {
+        // Every configured period, including nested and overlapping ones
+        this.periodCatalogue.periods().forEach(({ key, subPeriods, ...period }) => {
             segmented[key] = {
                 ...period,
+                subPeriods,
                 data: data.filter(d => d.year >= period.start && d.year <= period.end),
                 changePoints: data.filter(d => d.changePoint && d.year >= period.start && d.year <= period.end)
                                   .map(d => d.changePoint)
@@ -242,9 +717,10 @@ export class MillenniumDataProcessor {
     }
     
     assessDataQuality(periodData) {
-        const indicators = Object.keys(this.keyIndicators);
+        const indicators = this.getIndicatorKeys();
         const availabilityScores = indicators.map(indicator => {
-            const nonNullCount = periodData.filter(d => d[indicator] !== null).length;
+            // Filled values don't count as coverage
+            const nonNullCount = periodData.filter(d => d[indicator] !== null && !this.getFillMethod(d, indicator)).length;
             return nonNullCount / periodData.length;
         });
         
@@ -256,7 +732,7 @@ export class MillenniumDataProcessor {
     }
     
     getAvailableIndicators(periodData) {
-        const indicators = Object.keys(this.keyIndicators);
+        const indicators = this.getIndicatorKeys();
         return indicators.filter(indicator => {
             const nonNullCount = periodData.filter(d => d[indicator] !== null).length;
             return nonNullCount > 0;
@@ -305,7 +781,8 @@ export class MillenniumDataProcessor {
         const summary = {
             totalYears: data.length,
             yearRange: [data[0].year, data[data.length - 1].year],
-            indicators: Object.keys(this.keyIndicators),
+            timeRange: this.timeRange,
+            indicators: this.getIndicatorKeys(),
             periods: Object.keys(this.periods),
             dramaticChanges: []
         };
@@ -336,8 +813,30 @@ export class MillenniumDataProcessor {
         return summary;
     }
     
+    getIndicatorKeys() {
+        return this.indicators.sourceKeys();
+    }
+    
+    /**
+     * Register a formula metric and compute it onto the loaded data
+     * @param {string} key - Field name for the new metric
+     * @param {Object} definition - Indicator definition with a formula, e.g. { label: 'Debt per head', formula: 'publicDebtNominal / population', format: 'number' }
+     * @returns {Array|null} The metric's time series, or null before data is loaded
+     */
+    addDerivedMetric(key, definition) {
+        if (!definition || typeof definition.formula !== 'string') {
+            throw new Error(`Derived metric '${key}' needs a formula`);
+        }
+        DerivedMetrics.parse(definition.formula);
+        this.indicators.register(key, definition);
+        
+        if (!this.processedData) return null;
+        this.derivedMetrics.compute(this.processedData.enriched, [key]);
+        return this.getTimeSeriesForIndicator(key);
+    }
+    
     // Utility methods for visualizations
-    getDataForPeriod(periodKey, indicators = null) {
+    getDataForPeriod(periodKey, indicators = this.selectedIndicators) {
         if (!this.processedData || !this.processedData.periods[periodKey]) {
             return null;
         }
@@ -358,10 +857,40 @@ export class MillenniumDataProcessor {
         });
     }
     
+    /**
+     * List every series available from the loaded sheets (without values)
+     * @param {string} sheetId - Optional sheet to restrict to
+     * @returns {Array} Series metadata
+     */
+    getSeriesCatalogue(sheetId = null) {
+        if (!this.processedData) return [];
+        
+        return Object.values(this.processedData.series)
+            .filter(series => !sheetId || series.sheet === sheetId)
+            .map(({ values, ...meta }) => ({
+                ...meta,
+                firstYear: values[0].year,
+                lastYear: values[values.length - 1].year,
+                observations: values.length
+            }));
+    }
+    
+    /**
+     * Time series for a registered indicator or derived field, or for any sheet series by ID
+     * @param {string} indicator - Indicator key (e.g. 'gdpReal') or series ID (e.g. 'A18.population_total')
+     * @param {number} startYear - Optional first year
+     * @param {number} endYear - Optional last year
+     * @returns {Array|null} [{ year, value, fill }] - fill names the gap-filling method, null when observed
+     */
     getTimeSeriesForIndicator(indicator, startYear = null, endYear = null) {
         if (!this.processedData) return null;
         
-        let data = this.processedData.enriched.filter(d => d[indicator] !== null);
+        const series = this.processedData.series[indicator];
+        let data = series
+            ? series.values
+            : this.processedData.enriched
+                .filter(d => d[indicator] !== null && d[indicator] !== undefined)
+                .map(d => ({ year: d.year, value: d[indicator], fill: this.getFillMethod(d, indicator) }));
         
         if (startYear) {
             data = data.filter(d => d.year >= startYear);
@@ -371,7 +900,46 @@ export class MillenniumDataProcessor {
             data = data.filter(d => d.year <= endYear);
         }
         
-        return data.map(d => ({ year: d.year, value: d[indicator] }));
+        return data.map(d => ({ year: d.year, value: d.value, fill: d.fill || null }));
+    }
+    
+    /**
+     * How an indicator changed over a catalogued event, see EventCatalogue.measureImpact()
+     * @param {string|Object} event - Event ID or event ({ year, endYear })
+     * @param {string} indicator - Indicator key or series ID
+     * @returns {Object|null} { before, after, change, percentChange }
+     */
+    getEventImpact(event, indicator) {
+        const historicalEvent = typeof event === 'string' ? this.eventCatalogue?.get(event) : event;
+        if (!historicalEvent) {
+            throw new Error(`Unknown event: ${event}`);
+        }
+        
+        const series = this.getTimeSeriesForIndicator(indicator);
+        return series ? EventCatalogue.measureImpact(series, historicalEvent) : null;
+    }
+    
+    /**
+     * Price-index converter over the loaded data (see ValueConverter)
+     * @returns {ValueConverter|null}
+     */
+    getValueConverter() {
+        return this.processedData ? ValueConverter.forData(this.processedData) : null;
+    }
+    
+    /**
+     * Convert a nominal amount from one year's prices to another's
+     * @param {number} amount - Nominal amount in fromYear
+     * @param {number} fromYear - Year the amount is in
+     * @param {number} toYear - Target year (default: latest year of the index)
+     * @param {Object} options - { deflator: 'cpi' | 'gdpDeflator', missing: 'null' | 'nearest' | 'throw' }
+     * @returns {number|null} Converted amount, or null where the index is missing
+     */
+    convertValue(amount, fromYear, toYear = null, options = {}) {
+        if (!this.processedData) {
+            throw new Error('No data loaded - call loadData() first');
+        }
+        return this.getValueConverter().convertValue(amount, fromYear, toYear, options);
     }
 }
 
@@ -0,0 +1,341 @@
+/**
+ * UK Millennium Data Sources
+ * Pluggable loaders that hand raw rows (and their provenance) to the data processor
+ */
+
+// Default dataset location, resolved relative to this module so the same path
+// works from src/ during development, from dist/ in production and from Node
+export const DEFAULT_DATA_SOURCE = {
+    type: 'csv',
+    url: new URL('../../data/raw/millenniumofdata_v3_headlines.csv', import.meta.url).href,
+    vintage: 'v3'
+};
+
+/**
+ * Base class for all data sources
+ * Subclasses implement read() and return the parsed rows
+ */
+export class DataSource {
+    constructor(config = {}) {
+        this.config = config;
+        this.type = config.type || 'unknown';
+    }
+
+    /**
+     * Load rows from the source
+     * @returns {Promise<Object>} { rows, provenance }
+     */
+    async load() {
+        const rows = await this.read();
+
+        if (!Array.isArray(rows)) {
+            throw new Error(`${this.describe()} did not return an array of rows`);
+        }
+
+        return {
+            rows,
+            provenance: this.getProvenance(rows)
+        };
+    }
+
+    async read() {
+        throw new Error(`${this.constructor.name} must implement read()`);
+    }
+
+    /**
+     * Cheap identifier of the source's current contents (ETag, Last-Modified, file size and
+     * modification time), so a cached result can be reused without reading the rows
+     * @returns {Promise<string|null>} Version, or null when only reading the source would tell
+     */
+    async getVersion() {
+        return null;
+    }
+
+    /**
+     * Location of the source (URL, path or name) for logging and provenance
+     * @returns {string}
+     */
+    getLocation() {
+        return this.config.url || this.config.path || this.config.name || this.type;
+    }
+
+    describe() {
+        return `${this.type} source (${this.getLocation()})`;
+    }
+
+    getProvenance(rows) {
+        const location = this.getLocation();
+        return {
+            type: this.type,
+            url: location,
+            vintage: this.config.vintage || DataSource.inferVintage(location),
+            rowCount: rows.length,
+            loadedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Infer dataset vintage from a file name such as millenniumofdata_v3_headlines.csv
+     * @param {string} location - URL, path or name of the source
+     * @returns {string|null} Vintage label (e.g. 'v3') or null
+     */
+    static inferVintage(location) {
+        const match = /[_-](v\d+)[_.-]/i.exec(String(location || ''));
+        return match ? match[1].toLowerCase() : null;
+    }
+
+    /**
+     * Parse CSV or JSON text into rows
+     * @param {string} text - Raw file contents
+     * @param {string} format - 'csv' or 'json'
+     * @param {number} skipRows - Lines to drop before the CSV header (sheet titles, notes)
+     * @returns {Array} Parsed rows
+     */
+    static parseText(text, format, skipRows = 0) {
+        if (format === 'json') {
+            const parsed = JSON.parse(text);
+            return Array.isArray(parsed) ? parsed : parsed.rows;
+        }
+        if (skipRows > 0) {
+            text = text.split(/\r?\n/).slice(skipRows).join('\n');
+        }
+        return d3.csvParse(text);
+    }
+
+    static formatFromName(name, fallback = 'csv') {
+        if (/\.json$/i.test(name || '')) return 'json';
+        if (/\.csv$/i.test(name || '')) return 'csv';
+        return fallback;
+    }
+}
+
+/**
+ * CSV file served over HTTP
+ */
+export class CsvUrlSource extends DataSource {
+    async getVersion() {
+        return readVersion(new URL(this.config.url, globalThis.location?.href).href);
+    }
+
+    async read() {
+        const text = await d3.text(this.config.url);
+        return DataSource.parseText(text, 'csv', this.config.skipRows);
+    }
+}
+
+/**
+ * JSON file served over HTTP - either an array of rows or { rows: [...] }
+ */
+export class JsonUrlSource extends DataSource {
+    async getVersion() {
+        return readVersion(new URL(this.config.url, globalThis.location?.href).href);
+    }
+
+    async read() {
+        const json = await d3.json(this.config.url);
+        return Array.isArray(json) ? json : json?.rows;
+    }
+}
+
+/**
+ * Rows already held in memory (tests, notebooks, pre-parsed data)
+ */
+export class InlineSource extends DataSource {
+    getLocation() {
+        return this.config.name || 'inline';
+    }
+
+    async read() {
+        return this.config.rows;
+    }
+}
+
+/**
+ * Browser File or Blob, e.g. from a file input or drag-and-drop
+ */
+export class FileSource extends DataSource {
+    getLocation() {
+        return this.config.file?.name || this.config.name || 'blob';
+    }
+
+    async read() {
+        const { file } = this.config;
+        const format = this.config.format
+            || (file.type === 'application/json' ? 'json' : DataSource.formatFromName(file.name));
+        const text = await file.text();
+        return DataSource.parseText(text, format);
+    }
+}
+
+/**
+ * File on the local filesystem - Node only (Jest, export scripts)
+ */
+export class NodeFileSource extends DataSource {
+    async getVersion() {
+        const { pathToFileURL } = await import('url');
+        return readVersion(pathToFileURL(this.config.path).href);
+    }
+
+    async read() {
+        const { readFile } = await import('fs/promises');
+        const text = await readFile(this.config.path, 'utf8');
+        const format = this.config.format || DataSource.formatFromName(this.config.path);
+        return DataSource.parseText(text, format, this.config.skipRows);
+    }
+}
+
+/**
+ * Multi-sheet export of the full millennium workbook: one CSV per sheet plus a manifest
+ *
+ * Manifest format (manifest.json, sheet files resolved relative to it):
+ * {
+ *   "vintage": "v3",
+ *   "headline": "A1",
+ *   "sheets": [
+ *     { "id": "A1", "name": "A1. Headline series", "file": "millenniumofdata_v3_headlines.csv" },
+ *     { "id": "A18", "name": "A18. Population 1680+", "file": "A18.csv", "skipRows": 3, "yearColumn": "Year" }
+ *   ]
+ * }
+ * skipRows drops title lines above the header, yearColumn defaults to the first column
+ * and unitsRow names the row holding units (default 'Units')
+ */
+export class WorkbookSource extends DataSource {
+    getLocation() {
+        return this.config.url || this.config.path;
+    }
+
+    async getManifestUrl() {
+        if (this.config.path) {
+            const { pathToFileURL } = await import('url');
+            return pathToFileURL(this.config.path).href;
+        }
+        return new URL(this.config.url, globalThis.location?.href).href;
+    }
+
+    /**
+     * Versions of the manifest and of every sheet it lists; null if any of them has none
+     */
+    async getVersion() {
+        const manifestUrl = await this.getManifestUrl();
+        const manifest = JSON.parse(await readText(manifestUrl));
+        const versions = await Promise.all([
+            readVersion(manifestUrl),
+            ...(manifest.sheets || []).map(sheet => readVersion(new URL(sheet.file, manifestUrl).href))
+        ]);
+        return versions.every(Boolean) ? versions.join('|') : null;
+    }
+
+    async load() {
+        const manifestUrl = await this.getManifestUrl();
+        const manifest = JSON.parse(await readText(manifestUrl));
+
+        if (!Array.isArray(manifest.sheets) || manifest.sheets.length === 0) {
+            throw new Error(`Workbook manifest ${this.getLocation()} lists no sheets`);
+        }
+
+        const sheets = await Promise.all(manifest.sheets.map(async sheet => {
+            const url = new URL(sheet.file, manifestUrl).href;
+            const rows = DataSource.parseText(await readText(url), DataSource.formatFromName(sheet.file), sheet.skipRows);
+            return {
+                id: sheet.id,
+                name: sheet.name || sheet.id,
+                yearColumn: sheet.yearColumn || null,
+                unitsRow: sheet.unitsRow || 'Units',
+                rows,
+                provenance: { url, rowCount: rows.length }
+            };
+        }));
+
+        const headlineId = manifest.headline || sheets[0].id;
+        const headline = sheets.find(sheet => sheet.id === headlineId);
+        if (!headline) {
+            throw new Error(`Workbook manifest ${this.getLocation()} has no headline sheet '${headlineId}'`);
+        }
+
+        return {
+            rows: headline.rows,
+            sheets,
+            provenance: {
+                ...this.getProvenance(headline.rows),
+                vintage: manifest.vintage || this.config.vintage || DataSource.inferVintage(headline.provenance.url),
+                headline: headlineId,
+                sheetCount: sheets.length
+            }
+        };
+    }
+}
+
+/**
+ * Read a text file from an http(s) URL or, under Node, a file: URL
+ * Also used for config files that sit next to the data (see PeriodCatalogue)
+ * @param {string} url - Absolute URL
+ * @returns {Promise<string>} File contents
+ */
+export async function readText(url) {
+    if (url.startsWith('file:')) {
+        const { readFile } = await import('fs/promises');
+        const { fileURLToPath } = await import('url');
+        return readFile(fileURLToPath(url), 'utf8');
+    }
+    return d3.text(url);
+}
+
+/**
+ * Version of a file without reading it: the ETag or Last-Modified header of a HEAD request,
+ * or under Node the size and modification time of a file: URL
+ * @param {string} url - Absolute URL
+ * @returns {Promise<string|null>} Version, or null if the server sends neither header
+ */
+export async function readVersion(url) {
+    try {
+        if (url.startsWith('file:')) {
+            const { stat } = await import('fs/promises');
+            const { fileURLToPath } = await import('url');
+            const { size, mtimeMs } = await stat(fileURLToPath(url));
+            return `${size}-${mtimeMs}`;
+        }
+
+        const response = await fetch(url, { method: 'HEAD', cache: 'no-cache' });
+        if (!response.ok) return null;
+        return response.headers.get('ETag') || response.headers.get('Last-Modified');
+    } catch (error) {
+        console.warn(`⚠️ Could not check the version of ${url}:`, error.message);
+        return null;
+    }
+}
+
+const SOURCE_TYPES = {
+    csv: CsvUrlSource,
+    json: JsonUrlSource,
+    inline: InlineSource,
+    file: FileSource,
+    path: NodeFileSource,
+    workbook: WorkbookSource
+};
+
+/**
+ * Build a data source from a configuration object
+ * file: URLs are routed to the filesystem loader so defaults also work under Node
+ * @param {Object|DataSource} config - Source config ({ type, url | path | rows | file, vintage }) or an existing source
+ * @returns {Promise<DataSource>} Data source instance
+ */
+export async function createDataSource(config = DEFAULT_DATA_SOURCE) {
+    if (config instanceof DataSource) return config;
+
+    if (!config || !SOURCE_TYPES[config.type]) {
+        throw new Error(`Unknown data source type: ${config?.type}`);
+    }
+
+    if (config.url && config.url.startsWith('file:') && config.type !== 'workbook') {
+        const { fileURLToPath } = await import('url');
+        return new NodeFileSource({
+            ...config,
+            type: 'path',
+            path: fileURLToPath(config.url),
+            format: config.format || (config.type === 'json' ? 'json' : 'csv')
+        });
+    }
+
+    const SourceClass = SOURCE_TYPES[config.type];
+    return new SourceClass(config);
+}
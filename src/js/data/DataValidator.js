@@ -0,0 +1,155 @@
+/**
+ * Data Validator
+ * Schema and plausibility checks for the loaded dataset, producing a structured
+ * quality report the UI can show instead of logging every oddity to the console
+ */
+
+import { IndicatorRegistry } from './IndicatorRegistry.js';
+
+export class DataValidator {
+    constructor(registry = IndicatorRegistry) {
+        this.registry = registry;
+    }
+
+    /**
+     * Validate parsed rows against the indicator registry
+     * @param {Array} rows - Parsed year rows ({ year, <indicator>: number|null })
+     * @param {Object} indicatorColumns - Indicator key to resolved column name (null when missing)
+     * @param {Array} invalidValues - Non-empty cells that failed to parse ({ indicator, year, raw })
+     * @returns {Object} Quality report
+     */
+    validate(rows, indicatorColumns, invalidValues = []) {
+        const indicators = Object.keys(indicatorColumns);
+        const years = rows.map(row => row.year);
+
+        const report = {
+            checkedAt: new Date().toISOString(),
+            rowCount: rows.length,
+            yearRange: years.length > 0 ? [d3.min(years), d3.max(years)] : null,
+            missingColumns: this.findMissingColumns(indicatorColumns),
+            invalidValues,
+            outOfRange: this.findOutOfRange(rows, indicators),
+            duplicateYears: this.findDuplicateYears(years),
+            nonMonotonicYears: this.findNonMonotonicYears(years),
+            missingYears: this.findMissingYears(years),
+            gaps: this.findGaps(rows, indicators)
+        };
+
+        report.errorCount = report.missingColumns.length
+            + report.duplicateYears.length
+            + report.nonMonotonicYears.length;
+        report.warningCount = report.invalidValues.length
+            + report.outOfRange.length
+            + report.missingYears.length
+            + report.gaps.length;
+        report.valid = report.errorCount === 0;
+
+        return report;
+    }
+
+    findMissingColumns(indicatorColumns) {
+        return Object.entries(indicatorColumns)
+            .filter(([, column]) => column === null)
+            .map(([indicator]) => ({
+                indicator,
+                expected: this.registry.get(indicator).columns.map(column => column.name)
+            }));
+    }
+
+    findOutOfRange(rows, indicators) {
+        const outOfRange = [];
+
+        indicators.forEach(indicator => {
+            const range = this.registry.get(indicator)?.range;
+            if (!range) return;
+
+            rows.forEach(row => {
+                const value = row[indicator];
+                if (value !== null && value !== undefined && (value < range[0] || value > range[1])) {
+                    outOfRange.push({ indicator, year: row.year, value, range });
+                }
+            });
+        });
+
+        return outOfRange;
+    }
+
+    findDuplicateYears(years) {
+        const counts = d3.rollup(years, v => v.length, year => year);
+        return Array.from(counts)
+            .filter(([, count]) => count > 1)
+            .map(([year, count]) => ({ year, count }));
+    }
+
+    findNonMonotonicYears(years) {
+        const problems = [];
+        for (let i = 1; i < years.length; i++) {
+            if (years[i] < years[i - 1]) {
+                problems.push({ index: i, year: years[i], previousYear: years[i - 1] });
+            }
+        }
+        return problems;
+    }
+
+    /**
+     * Calendar years absent from the dataset between its first and last year
+     * @param {Array} years - Years in file order
+     * @returns {Array} Runs of missing years: [{ from, to, years }]
+     */
+    findMissingYears(years) {
+        const present = Array.from(new Set(years)).sort((a, b) => a - b);
+        const runs = [];
+
+        for (let i = 1; i < present.length; i++) {
+            if (present[i] - present[i - 1] > 1) {
+                runs.push({ from: present[i - 1] + 1, to: present[i] - 1, years: present[i] - present[i - 1] - 1 });
+            }
+        }
+
+        return runs;
+    }
+
+    /**
+     * Runs of missing values inside each indicator's observed span
+     * Leading and trailing years without data are coverage, not gaps
+     * @param {Array} rows - Parsed rows sorted by year
+     * @param {Array} indicators - Indicator keys
+     * @returns {Array} [{ indicator, from, to, years }]
+     */
+    findGaps(rows, indicators) {
+        const gaps = [];
+
+        indicators.forEach(indicator => {
+            const observed = rows.filter(row => row[indicator] !== null && row[indicator] !== undefined);
+            if (observed.length < 2) return;
+
+            const first = observed[0].year;
+            const last = observed[observed.length - 1].year;
+            let gapStart = null;
+
+            rows.filter(row => row.year >= first && row.year <= last).forEach(row => {
+                const missing = row[indicator] === null || row[indicator] === undefined;
+                if (missing && gapStart === null) {
+                    gapStart = row.year;
+                } else if (!missing && gapStart !== null) {
+                    gaps.push({ indicator, from: gapStart, to: row.year - 1, years: row.year - gapStart });
+                    gapStart = null;
+                }
+            });
+        });
+
+        return gaps;
+    }
+
+    /**
+     * One-line description of a report for logs and UI summaries
+     * @param {Object} report - Quality report from validate()
+     * @returns {string} Summary text
+     */
+    static summarise(report) {
+        if (report.errorCount === 0 && report.warningCount === 0) {
+            return `${report.rowCount} years checked, no issues found`;
+        }
+        return `${report.rowCount} years checked: ${report.errorCount} error(s), ${report.warningCount} warning(s)`;
+    }
+}
@@ -0,0 +1,37 @@
+/**
+ * Data Worker
+ * Runs the load -> parse -> enrich -> segment pipeline off the main thread
+ * Started as a module worker by MillenniumDataProcessor.loadDataInWorker()
+ *
+ * Messages in:  { type: 'load', source, options }
+ * Messages out: { type: 'progress', progress: { stage, label, step, steps, rowsParsed?, totalRows? } }
+ *               { type: 'result', data, indicatorColumns }
+ *               { type: 'error', message }
+ */
+
+// The page loads d3 as a global from the CDN; workers can't see it, so load the ES module
+// build of the same pinned version from the same origin (keep in step with index.html)
+const D3_MODULE = 'https://cdn.jsdelivr.net/npm/d3@7.9.0/+esm';
+
+self.onmessage = async ({ data: message }) => {
+    if (message.type !== 'load') return;
+
+    try {
+        if (!self.d3) {
+            self.d3 = await import(D3_MODULE);
+        }
+        const { MillenniumDataProcessor } = await import('./DataProcessor.js');
+
+        const processor = new MillenniumDataProcessor({
+            ...message.options,
+            useWorker: false,
+            onProgress: progress => self.postMessage({ type: 'progress', progress })
+        });
+        const data = await processor.loadData(message.source);
+
+        self.postMessage({ type: 'result', data, indicatorColumns: processor.indicatorColumns });
+    } catch (error) {
+        console.error('❌ Data worker failed:', error);
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
@@ -0,0 +1,335 @@
+/**
+ * Derived Metrics
+ * Small formula language for metrics computed from registered indicators, e.g.
+ *   'gdpReal * 1000 / populationEngland'   GDP per head
+ *   'cagr(gdpReal, 10)'                    10-year compound annual growth
+ * Operators: + - * / ^ and parentheses; names refer to indicator keys (or 'year')
+ * Formulas are parsed into a tree and evaluated over whole columns - never eval'd
+ */
+
+import { IndicatorRegistry } from './IndicatorRegistry.js';
+
+/**
+ * Functions available in formulas
+ * params: 'series' arguments are evaluated per row, 'number' arguments must be literals
+ */
+const FUNCTIONS = {
+    lag: {
+        params: ['series', 'number?'],
+        fn: (ctx, x, n = 1) => ctx.shift(x, n)
+    },
+    pctChange: {
+        params: ['series', 'number?'],
+        fn: (ctx, x, n = 1) => {
+            const previous = ctx.shift(x, n);
+            return x.map((v, i) => ratio(v, previous[i], r => (r - 1) * 100));
+        }
+    },
+    cagr: {
+        params: ['series', 'number'],
+        fn: (ctx, x, n) => {
+            const previous = ctx.shift(x, n);
+            return x.map((v, i) => ratio(v, previous[i], r => r > 0 ? (Math.pow(r, 1 / n) - 1) * 100 : null));
+        }
+    },
+    rollingMean: {
+        params: ['series', 'number'],
+        fn: (ctx, x, n) => x.map((v, i) => {
+            const window = [];
+            for (let k = 0; k < n; k++) {
+                const value = ctx.valueAt(x, ctx.rows[i].year - k);
+                if (value === null) return null;
+                window.push(value);
+            }
+            return d3.mean(window);
+        })
+    },
+    rebase: {
+        params: ['series', 'number'],
+        fn: (ctx, x, year) => {
+            const base = ctx.valueAt(x, year);
+            return x.map(v => ratio(v, base, r => r * 100));
+        }
+    },
+    log: { params: ['series'], fn: (ctx, x) => x.map(v => v !== null && v > 0 ? Math.log(v) : null) },
+    exp: { params: ['series'], fn: (ctx, x) => x.map(v => v !== null ? Math.exp(v) : null) },
+    sqrt: { params: ['series'], fn: (ctx, x) => x.map(v => v !== null && v >= 0 ? Math.sqrt(v) : null) },
+    abs: { params: ['series'], fn: (ctx, x) => x.map(v => v !== null ? Math.abs(v) : null) },
+    min: { params: ['series', 'series'], fn: (ctx, a, b) => a.map((v, i) => v !== null && b[i] !== null ? Math.min(v, b[i]) : null) },
+    max: { params: ['series', 'series'], fn: (ctx, a, b) => a.map((v, i) => v !== null && b[i] !== null ? Math.max(v, b[i]) : null) }
+};
+
+const OPERATORS = {
+    '+': (a, b) => a + b,
+    '-': (a, b) => a - b,
+    '*': (a, b) => a * b,
+    '/': (a, b) => b === 0 ? null : a / b,
+    '^': (a, b) => Math.pow(a, b)
+};
+
+function ratio(value, base, transform) {
+    if (value === null || base === null || base === 0) return null;
+    return transform(value / base);
+}
+
+function finite(value) {
+    return value !== null && value !== undefined && isFinite(value) ? value : null;
+}
+
+// Parsed formulas, keyed by source text
+const parsed = new Map();
+
+export class DerivedMetrics {
+    constructor(registry = IndicatorRegistry) {
+        this.registry = registry;
+    }
+
+    static get functions() {
+        return Object.keys(FUNCTIONS);
+    }
+
+    /**
+     * Parse a formula into an expression tree
+     * @param {string} formula - Formula text
+     * @returns {Object} Tree of { type: 'number' | 'ref' | 'call' | 'binary' | 'negate', ... }
+     */
+    static parse(formula) {
+        if (parsed.has(formula)) return parsed.get(formula);
+
+        const tokens = DerivedMetrics.tokenize(formula);
+        let position = 0;
+
+        const peek = () => tokens[position];
+        const next = () => tokens[position++];
+        const expect = value => {
+            const token = next();
+            if (!token || token.value !== value) {
+                throw new Error(`Expected '${value}' in formula '${formula}'`);
+            }
+        };
+
+        const parseExpression = () => {
+            let node = parseTerm();
+            while (peek() && (peek().value === '+' || peek().value === '-')) {
+                node = { type: 'binary', op: next().value, left: node, right: parseTerm() };
+            }
+            return node;
+        };
+
+        const parseTerm = () => {
+            let node = parseUnary();
+            while (peek() && (peek().value === '*' || peek().value === '/')) {
+                node = { type: 'binary', op: next().value, left: node, right: parseUnary() };
+            }
+            return node;
+        };
+
+        const parseUnary = () => {
+            if (peek() && peek().value === '-') {
+                next();
+                return { type: 'negate', arg: parseUnary() };
+            }
+            return parsePower();
+        };
+
+        const parsePower = () => {
+            const base = parsePrimary();
+            if (peek() && peek().value === '^') {
+                next();
+                return { type: 'binary', op: '^', left: base, right: parseUnary() };
+            }
+            return base;
+        };
+
+        const parsePrimary = () => {
+            const token = next();
+            if (!token) {
+                throw new Error(`Unexpected end of formula '${formula}'`);
+            }
+            if (token.type === 'number') {
+                return { type: 'number', value: token.value };
+            }
+            if (token.value === '(') {
+                const node = parseExpression();
+                expect(')');
+                return node;
+            }
+            if (token.type === 'name') {
+                if (peek() && peek().value === '(') {
+                    next();
+                    const args = [];
+                    if (peek() && peek().value !== ')') {
+                        args.push(parseExpression());
+                        while (peek() && peek().value === ',') {
+                            next();
+                            args.push(parseExpression());
+                        }
+                    }
+                    expect(')');
+                    return DerivedMetrics.checkCall({ type: 'call', name: token.value, args }, formula);
+                }
+                return { type: 'ref', name: token.value };
+            }
+            throw new Error(`Unexpected '${token.value}' in formula '${formula}'`);
+        };
+
+        const tree = parseExpression();
+        if (position < tokens.length) {
+            throw new Error(`Unexpected '${tokens[position].value}' in formula '${formula}'`);
+        }
+
+        parsed.set(formula, tree);
+        return tree;
+    }
+
+    static tokenize(formula) {
+        const tokens = [];
+        const pattern = /\s*(?:(\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|([-+*/^(),]))/y;
+        let match;
+
+        while (pattern.lastIndex < formula.length) {
+            const start = pattern.lastIndex;
+            match = pattern.exec(formula);
+            if (!match) {
+                if (formula.slice(start).trim() === '') break;
+                throw new Error(`Unexpected character '${formula.slice(start).trim()[0]}' in formula '${formula}'`);
+            }
+            if (match[1]) tokens.push({ type: 'number', value: parseFloat(match[1]) });
+            else if (match[2]) tokens.push({ type: 'name', value: match[2] });
+            else if (match[3]) tokens.push({ type: 'symbol', value: match[3] });
+        }
+
+        return tokens;
+    }
+
+    static checkCall(node, formula) {
+        const definition = FUNCTIONS[node.name];
+        if (!definition) {
+            throw new Error(`Unknown function '${node.name}' in formula '${formula}'`);
+        }
+
+        const required = definition.params.filter(param => !param.endsWith('?')).length;
+        if (node.args.length < required || node.args.length > definition.params.length) {
+            throw new Error(`${node.name}() takes ${required === definition.params.length ? required : `${required}-${definition.params.length}`} argument(s) in formula '${formula}'`);
+        }
+
+        definition.params.forEach((param, i) => {
+            const arg = node.args[i];
+            if (arg && param.startsWith('number') && arg.type !== 'number') {
+                throw new Error(`Argument ${i + 1} of ${node.name}() must be a number in formula '${formula}'`);
+            }
+        });
+
+        return node;
+    }
+
+    /**
+     * Names a formula reads from
+     * @param {string} formula - Formula text
+     * @returns {Array} Indicator keys (and 'year' if used)
+     */
+    static dependencies(formula) {
+        const names = new Set();
+        const walk = node => {
+            if (node.type === 'ref') names.add(node.name);
+            if (node.type === 'call') node.args.forEach(walk);
+            if (node.type === 'binary') { walk(node.left); walk(node.right); }
+            if (node.type === 'negate') walk(node.arg);
+        };
+        walk(DerivedMetrics.parse(formula));
+        return Array.from(names);
+    }
+
+    /**
+     * Evaluate a formula for every row
+     * @param {string} formula - Formula text
+     * @param {Array} rows - Rows sorted by year
+     * @returns {Array} One value (or null) per row
+     */
+    evaluate(formula, rows) {
+        const tree = DerivedMetrics.parse(formula);
+        const yearIndex = new Map(rows.map((row, i) => [row.year, i]));
+
+        const ctx = {
+            rows,
+            valueAt: (values, year) => yearIndex.has(year) ? values[yearIndex.get(year)] : null,
+            shift: (values, n) => rows.map(row => ctx.valueAt(values, row.year - n))
+        };
+
+        const evaluateNode = node => {
+            switch (node.type) {
+                case 'number':
+                    return rows.map(() => node.value);
+                case 'ref':
+                    if (node.name !== 'year' && !this.registry.has(node.name)) {
+                        throw new Error(`Unknown indicator '${node.name}' in formula '${formula}'`);
+                    }
+                    return rows.map(row => finite(row[node.name]));
+                case 'negate':
+                    return evaluateNode(node.arg).map(v => v === null ? null : -v);
+                case 'binary': {
+                    const left = evaluateNode(node.left);
+                    const right = evaluateNode(node.right);
+                    return left.map((a, i) => a === null || right[i] === null ? null : finite(OPERATORS[node.op](a, right[i])));
+                }
+                case 'call': {
+                    const definition = FUNCTIONS[node.name];
+                    const args = node.args.map((arg, i) => definition.params[i].startsWith('number') ? arg.value : evaluateNode(arg));
+                    return definition.fn(ctx, ...args).map(finite);
+                }
+                default:
+                    throw new Error(`Cannot evaluate '${node.type}' in formula '${formula}'`);
+            }
+        };
+
+        return evaluateNode(tree);
+    }
+
+    /**
+     * Order derived metrics so each is computed after the metrics it reads
+     * @param {Array} keys - Derived indicator keys
+     * @returns {Array} Keys in evaluation order
+     */
+    order(keys) {
+        const ordered = [];
+        const state = {};
+
+        const visit = (key, path) => {
+            if (state[key] === 'done') return;
+            if (state[key] === 'visiting') {
+                throw new Error(`Circular formula: ${[...path, key].join(' -> ')}`);
+            }
+            state[key] = 'visiting';
+            DerivedMetrics.dependencies(this.registry.get(key).formula)
+                .filter(dependency => keys.includes(dependency))
+                .forEach(dependency => visit(dependency, [...path, key]));
+            state[key] = 'done';
+            ordered.push(key);
+        };
+
+        keys.forEach(key => visit(key, []));
+        return ordered;
+    }
+
+    /**
+     * Compute derived metrics onto rows (in place)
+     * A metric whose formula fails is logged and left out rather than stopping the others
+     * @param {Array} rows - Rows sorted by year
+     * @param {Array} keys - Derived indicator keys (default: all registered)
+     * @returns {Array} The same rows
+     */
+    compute(rows, keys = this.registry.derivedKeys()) {
+        this.order(keys).forEach(key => {
+            try {
+                const values = this.evaluate(this.registry.get(key).formula, rows);
+                rows.forEach((row, i) => {
+                    row[key] = values[i];
+                });
+            } catch (error) {
+                console.error(`❌ Could not compute derived metric '${key}':`, error.message);
+            }
+        });
+
+        return rows;
+    }
+}
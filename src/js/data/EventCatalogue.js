@@ -0,0 +1,174 @@
+/**
+ * Event Catalogue
+ * Historical events the scenes mark and the processor compares change points with, read
+ * from src/data/config/events.json and checked against events.schema.json when loaded (see
+ * JsonSchema; editors that understand "$schema" apply the same schema as the file is written)
+ *
+ * Config format:
+ * {
+ *   "version": 1,
+ *   "categories": { "crisis": { "name": "Crisis" }, ... },
+ *   "events": [
+ *     { "id": "black-death", "year": 1348, "endYear": 1350, "event": "Black Death", "category": "crisis",
+ *       "story": "...", "story2": "...", "economicEffect": "...", "longTermImpact": "...",
+ *       "indicators": ["population", "wages"], "tags": ["story", "turning-point"],
+ *       "sources": [{ "title": "Wikipedia: Black Death", "url": "https://en.wikipedia.org/wiki/Black_Death" }] }
+ *   ]
+ * }
+ * Tags the app reads: 'story' (era scene markers), 'overview' (interactive scene markers),
+ * 'milestone' (interactive scene labels), 'turning-point' (compared with detected change points)
+ */
+
+import { readText } from './DataSources.js';
+import { IndicatorRegistry } from './IndicatorRegistry.js';
+import { JsonSchema } from './JsonSchema.js';
+
+export const DEFAULT_EVENT_CONFIG = new URL('../../data/config/events.json', import.meta.url).href;
+export const EVENT_SCHEMA = new URL('../../data/config/events.schema.json', import.meta.url).href;
+
+// Catalogues built from processed data, shared by every scene
+const catalogues = new WeakMap();
+
+export class EventCatalogue {
+    /**
+     * @param {Object} config - Events config, already validated (see load())
+     */
+    constructor(config) {
+        this.config = config;
+        this.categories = config.categories;
+        this.eventList = config.events
+            .map(event => ({ indicators: [], sources: [], ...event }))
+            .sort((a, b) => a.year - b.year);
+    }
+
+    /**
+     * Load a catalogue from a config object, URL or (under Node) file path, validated against
+     * events.schema.json
+     * @param {Object|string} source - Config, URL string or { path }
+     * @returns {Promise<EventCatalogue>}
+     */
+    static async load(source = DEFAULT_EVENT_CONFIG) {
+        if (source instanceof EventCatalogue) return source;
+
+        let config = source;
+        if (!source || !Array.isArray(source.events)) {
+            let url = source;
+            if (source && source.path) {
+                const { pathToFileURL } = await import('url');
+                url = pathToFileURL(source.path).href;
+            }
+            config = JSON.parse(await readText(new URL(url, globalThis.location?.href).href));
+        }
+
+        const errors = EventCatalogue.validate(config, await JsonSchema.load(EVENT_SCHEMA));
+        if (errors.length > 0) {
+            throw new Error(`Invalid event catalogue: ${errors.join('; ')}`);
+        }
+        return new EventCatalogue(config);
+    }
+
+    /**
+     * Shared catalogue for a processed dataset
+     * @param {Object} data - Output of MillenniumDataProcessor.processRawData()
+     * @returns {EventCatalogue}
+     */
+    static forData(data) {
+        if (!catalogues.has(data)) {
+            catalogues.set(data, new EventCatalogue(data.eventConfig));
+        }
+        return catalogues.get(data);
+    }
+
+    /**
+     * Check a config against events.schema.json, plus what a schema can't express: unique IDs,
+     * endYear no earlier than year, and known categories and indicators
+     * @param {Object} config - Parsed events.json
+     * @param {JsonSchema} schema - events.schema.json
+     * @returns {Array} Error messages, empty when the config is valid
+     */
+    static validate(config, schema) {
+        const errors = schema.validate(config);
+        if (!Array.isArray(config?.events)) return errors;
+
+        const categories = config.categories || {};
+        const ids = new Set();
+        config.events.forEach(event => {
+            if (!event || typeof event !== 'object') return;
+
+            const where = `event ${event.id}`;
+            if (ids.has(event.id)) errors.push(`${where}: duplicate id`);
+            ids.add(event.id);
+
+            if (Number.isInteger(event.endYear) && event.endYear < event.year) {
+                errors.push(`${where}: endYear is earlier than year`);
+            }
+            if (typeof event.category === 'string' && !categories[event.category]) {
+                errors.push(`${where}: unknown category '${event.category}'`);
+            }
+            if (Array.isArray(event.indicators)) {
+                event.indicators
+                    .filter(key => !IndicatorRegistry.get(key))
+                    .forEach(key => errors.push(`${where}: unknown indicator '${key}'`));
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Change in a series over an event's window: the value in the year it began (or the
+     * nearest earlier year) against the value in the year it ended (or the nearest later one)
+     * @param {Array} series - [{ year, value, fill }] by year, e.g. from getTimeSeriesForIndicator()
+     * @param {Object} event - { year, endYear }
+     * @param {number} maxDistance - How many years from the window a value may be
+     * @returns {Object|null} { before, after, change, percentChange } - before/after are series
+     *   points; percentChange is null unless the before value is positive
+     */
+    static measureImpact(series, event, maxDistance = 5) {
+        const endYear = event.endYear ?? event.year;
+        const observed = series.filter(d => d.value !== null && d.value !== undefined && !isNaN(d.value));
+        const before = observed.filter(d => d.year <= event.year && d.year >= event.year - maxDistance).pop();
+        const after = observed.find(d => d.year >= endYear && d.year <= endYear + maxDistance);
+        if (!before || !after || after.year <= before.year) return null;
+
+        return {
+            before,
+            after,
+            change: after.value - before.value,
+            percentChange: before.value > 0 ? after.value / before.value - 1 : null
+        };
+    }
+
+    /**
+     * @returns {Array} Every event, by year
+     */
+    events() {
+        return this.eventList;
+    }
+
+    get(id) {
+        return this.eventList.find(event => event.id === id) || null;
+    }
+
+    getCategoryName(category) {
+        return this.categories[category]?.name || category;
+    }
+
+    /**
+     * Events overlapping a span of years, optionally narrowed by tag, category or indicator
+     * @param {Object} filters
+     * @param {number} filters.from - First year (default: no limit)
+     * @param {number} filters.to - Last year (default: no limit)
+     * @param {Array} filters.tags - Events must carry every one of these tags
+     * @param {Array} filters.categories - Events must be in one of these categories
+     * @param {Array} filters.indicators - Events must affect one of these indicators
+     * @returns {Array} Events by year
+     */
+    query({ from = -Infinity, to = Infinity, tags = null, categories = null, indicators = null } = {}) {
+        return this.eventList.filter(event => event.year <= to
+            && (event.endYear ?? event.year) >= from
+            && (!tags || tags.every(tag => event.tags.includes(tag)))
+            && (!categories || categories.includes(event.category))
+            && (!indicators || indicators.some(key => event.indicators.includes(key))));
+    }
+}
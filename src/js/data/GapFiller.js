@@ -0,0 +1,113 @@
+/**
+ * Gap Filler
+ * Fills missing values inside each indicator's observed span using a configurable
+ * strategy and records how every filled value was produced
+ */
+
+import { IndicatorRegistry } from './IndicatorRegistry.js';
+
+/**
+ * Fill strategies: (before, after, year) => value
+ * before / after are the observed { year, value } points either side of the gap
+ */
+const STRATEGIES = {
+    linear: (before, after, year) => {
+        const t = (year - before.year) / (after.year - before.year);
+        return before.value + t * (after.value - before.value);
+    },
+    logLinear: (before, after, year) => {
+        // Constant growth rate between the two observations; needs positive values
+        if (before.value <= 0 || after.value <= 0) return STRATEGIES.linear(before, after, year);
+        const t = (year - before.year) / (after.year - before.year);
+        return before.value * Math.pow(after.value / before.value, t);
+    },
+    carryForward: before => before.value
+};
+
+const DESCRIPTIONS = {
+    linear: 'interpolated',
+    logLinear: 'interpolated (constant growth)',
+    carryForward: 'carried forward'
+};
+
+export class GapFiller {
+    /**
+     * @param {Object} options
+     * @param {Object} options.strategies - Indicator key to strategy, overrides the registry's gapStrategy
+     * @param {number} options.maxGap - Longest run of missing years that will be filled
+     */
+    constructor(options = {}) {
+        this.registry = options.registry || IndicatorRegistry;
+        this.strategies = { ...options.strategies };
+        this.maxGap = options.maxGap ?? 50;
+    }
+
+    static get methods() {
+        return ['none', ...Object.keys(STRATEGIES)];
+    }
+
+    /**
+     * Human-readable label for a fill method, for tooltips and legends
+     * @param {string} method - Fill method recorded on a row
+     * @returns {string|null} Description or null for observed values
+     */
+    static describe(method) {
+        return method ? DESCRIPTIONS[method] || method : null;
+    }
+
+    setStrategy(indicator, strategy) {
+        if (!GapFiller.methods.includes(strategy)) {
+            throw new Error(`Unknown gap strategy '${strategy}' for ${indicator}`);
+        }
+        this.strategies[indicator] = strategy;
+    }
+
+    getStrategy(indicator) {
+        return this.strategies[indicator] || this.registry.get(indicator)?.gapStrategy || 'none';
+    }
+
+    /**
+     * Fill gaps in every indicator
+     * Leading and trailing years without data are left empty - only runs between two
+     * observations are filled
+     * @param {Array} rows - Rows sorted by year ({ year, <indicator>: number|null })
+     * @param {Array} indicators - Indicator keys to fill
+     * @returns {Array} New rows with filled values and a fills map ({ <indicator>: method })
+     */
+    fill(rows, indicators) {
+        const filled = rows.map(row => ({ ...row, fills: {} }));
+
+        indicators.forEach(indicator => {
+            const strategy = this.getStrategy(indicator);
+            if (strategy === 'none') return;
+
+            if (!STRATEGIES[strategy]) {
+                throw new Error(`Unknown gap strategy '${strategy}' for ${indicator}`);
+            }
+
+            let before = null;
+            let pending = [];
+
+            filled.forEach(row => {
+                const value = row[indicator];
+                if (value === null || value === undefined) {
+                    if (before) pending.push(row);
+                    return;
+                }
+
+                const after = { year: row.year, value };
+                if (pending.length > 0 && after.year - before.year - 1 <= this.maxGap) {
+                    pending.forEach(gapRow => {
+                        gapRow[indicator] = STRATEGIES[strategy](before, after, gapRow.year);
+                        gapRow.fills[indicator] = strategy;
+                    });
+                }
+
+                before = after;
+                pending = [];
+            });
+        });
+
+        return filled;
+    }
+}
@@ -0,0 +1,411 @@
+/**
+ * Indicator Registry
+ * Single declaration of every indicator we read from the millennium dataset:
+ * where it comes from, what unit and scale it is in, and how to display it
+ */
+
+/**
+ * Display formats shared by axes and tooltips
+ * axis: short tick labels, value: human-readable tooltip text
+ */
+const FORMATS = {
+    gbpBillions: {
+        // Values are stored in £mn
+        axis: d => '£' + d3.format('.1f')(d / 1000) + 'B',
+        value: (d, def) => `£${(d / 1000).toFixed(1)}B${def.priceBasis ? ` (${def.priceBasis})` : ''}`
+    },
+    gbp: {
+        axis: d => '£' + d3.format(',.0f')(d),
+        value: (d, def) => `£${d3.format(',.0f')(d)}${def.priceBasis ? ` (${def.priceBasis})` : ''}`
+    },
+    thousands: {
+        // Values are stored in thousands
+        axis: d => d3.format(',')(d) + 'k',
+        value: d => d >= 1000 ? `${(d / 1000).toFixed(1)} million` : `${d.toFixed(0)} thousand`
+    },
+    percent: {
+        axis: d => d3.format('.1f')(d) + '%',
+        value: d => `${d.toFixed(1)}%`
+    },
+    index: {
+        axis: d => d3.format(',.4~r')(d),
+        value: (d, def) => `${d3.format(',.4~r')(d)}${def.baseYear ? ` (${def.baseYear}=100)` : ''}`
+    },
+    number: {
+        axis: d => d3.format(',.3~s')(d),
+        value: d => d3.format(',.2f')(d)
+    }
+};
+
+export class IndicatorRegistry {
+    /**
+     * Indicator definitions keyed by the field name used in processed rows
+     * columns: candidate source columns (header name + Units row text), first match wins
+     * unit / scale: what the stored numbers mean; baseYear: reference year for prices or indices
+     * geography: area the series covers; format: key into FORMATS
+     * range: plausible [min, max] used by the data validator
+     * gapStrategy: how missing years inside the observed span are filled (see GapFiller)
+     * formula: derived metrics have a formula over other indicators instead of columns (see DerivedMetrics)
+     */
+    static indicators = {
+        gdpReal: {
+            label: 'Real GDP',
+            columns: [{ name: 'Real GDP of England at market prices', units: '£mn, Chained Volume measure' }],
+            unit: '£mn',
+            scale: 'millions',
+            unitLabel: 'billions, 2013 prices',
+            baseYear: 2013,
+            priceBasis: '2013 prices',
+            geography: 'England',
+            range: [0, 1e7],
+            gapStrategy: 'logLinear',
+            format: 'gbpBillions'
+        },
+        population: {
+            label: 'Population',
+            columns: [{ name: 'Population (GB+NI)', units: '000s' }],
+            unit: 'people',
+            scale: 'thousands',
+            unitLabel: 'thousands',
+            geography: 'GB+NI',
+            range: [100, 200000],
+            gapStrategy: 'logLinear',
+            format: 'thousands'
+        },
+        populationEngland: {
+            label: 'Population of England',
+            columns: [{ name: 'Population (England)', units: '000s' }],
+            unit: 'people',
+            scale: 'thousands',
+            unitLabel: 'thousands',
+            geography: 'England',
+            range: [100, 200000],
+            gapStrategy: 'logLinear',
+            format: 'thousands'
+        },
+        cpi: {
+            label: 'Consumer Price Index',
+            columns: [{ name: 'Consumer price index', units: '2015=100' }],
+            unit: 'index',
+            scale: 'index',
+            unitLabel: '2015=100',
+            baseYear: 2015,
+            geography: 'UK',
+            range: [0, 1000],
+            gapStrategy: 'logLinear',
+            format: 'index'
+        },
+        wages: {
+            label: 'Real Wages',
+            columns: [{ name: 'Real consumption wages', units: '1900=100' }],
+            unit: 'index',
+            scale: 'index',
+            unitLabel: '1900=100',
+            baseYear: 1900,
+            geography: 'England',
+            range: [0, 10000],
+            gapStrategy: 'logLinear',
+            format: 'index'
+        },
+        govSpending: {
+            label: 'Government Spending',
+            columns: [{ name: 'Public sector Total Managed Expenditure', units: 'as a % of nominal GDP' }],
+            unit: '%',
+            scale: 'percentOfGdp',
+            unitLabel: '% of GDP',
+            geography: 'UK',
+            range: [0, 100],
+            gapStrategy: 'linear',
+            format: 'percent'
+        },
+        publicDebt: {
+            label: 'Public Debt',
+            columns: [{ name: 'UK Public sector debt', units: 'as a % of nominal GDP: measure 1' }],
+            unit: '%',
+            scale: 'percentOfGdp',
+            unitLabel: '% of GDP',
+            geography: 'UK',
+            range: [0, 400],
+            gapStrategy: 'linear',
+            format: 'percent'
+        },
+        interestRates: {
+            label: 'Bank Rate',
+            columns: [{ name: 'Bank Rate', units: '% end period' }],
+            unit: '%',
+            scale: 'percent',
+            unitLabel: '%',
+            geography: 'UK',
+            range: [0, 25],
+            gapStrategy: 'carryForward',
+            format: 'percent'
+        },
+        tradeBalance: {
+            label: 'Trade Deficit',
+            columns: [{ name: 'Trade deficit', units: 'as a % of nominal GDP' }],
+            unit: '%',
+            scale: 'percentOfGdp',
+            unitLabel: '% of GDP',
+            geography: 'UK',
+            range: [-50, 50],
+            gapStrategy: 'linear',
+            format: 'percent'
+        },
+        unemployment: {
+            label: 'Unemployment Rate',
+            columns: [{ name: 'Unemployment rate', units: '%' }],
+            unit: '%',
+            scale: 'percent',
+            unitLabel: '%',
+            geography: 'UK',
+            range: [0, 50],
+            gapStrategy: 'linear',
+            format: 'percent'
+        },
+        gdpNominal: {
+            label: 'Nominal GDP',
+            columns: [{ name: 'Nominal UK GDP at market prices', units: '£mn' }],
+            unit: '£mn',
+            scale: 'millions',
+            unitLabel: 'billions, current prices',
+            priceBasis: 'current prices',
+            geography: 'UK',
+            range: [0, 1e7],
+            gapStrategy: 'logLinear',
+            format: 'gbpBillions'
+        },
+        publicDebtNominal: {
+            label: 'Public Debt Outstanding',
+            columns: [{ name: 'UK Public sector debt', units: 'nominal par value outstanding, £mn' }],
+            unit: '£mn',
+            scale: 'millions',
+            unitLabel: 'billions, current prices',
+            priceBasis: 'current prices',
+            geography: 'UK',
+            range: [0, 1e7],
+            gapStrategy: 'logLinear',
+            format: 'gbpBillions'
+        },
+        govSpendingNominal: {
+            label: 'Total Managed Expenditure',
+            columns: [{ name: 'Public sector Total Managed Expenditure', units: 'Calendar year total, £mn' }],
+            unit: '£mn',
+            scale: 'millions',
+            unitLabel: 'billions, current prices',
+            priceBasis: 'current prices',
+            geography: 'UK',
+            range: [0, 1e7],
+            gapStrategy: 'logLinear',
+            format: 'gbpBillions'
+        },
+        gdpDeflator: {
+            label: 'GDP Deflator',
+            columns: [{ name: 'GDP deflator at market prices', units: '2013=100' }],
+            unit: 'index',
+            scale: 'index',
+            unitLabel: '2013=100',
+            baseYear: 2013,
+            geography: 'England',
+            range: [0, 1000],
+            gapStrategy: 'logLinear',
+            format: 'index'
+        },
+        housePrice: {
+            label: 'House Price Index',
+            columns: [{ name: 'House price index', units: 'Jan 2015 =100' }],
+            unit: 'index',
+            scale: 'index',
+            unitLabel: 'Jan 2015=100',
+            baseYear: 2015,
+            geography: 'UK',
+            range: [0, 1000],
+            gapStrategy: 'logLinear',
+            format: 'index'
+        },
+
+        // Derived metrics
+        gdpGrowthRate: {
+            label: 'Real GDP Growth',
+            formula: 'pctChange(gdpReal)',
+            unit: '%',
+            unitLabel: '% a year',
+            geography: 'England',
+            format: 'percent'
+        },
+        populationGrowthRate: {
+            label: 'Population Growth',
+            formula: 'pctChange(population)',
+            unit: '%',
+            unitLabel: '% a year',
+            geography: 'GB+NI',
+            format: 'percent'
+        },
+        inflationRate: {
+            label: 'Inflation',
+            formula: 'pctChange(cpi)',
+            unit: '%',
+            unitLabel: '% a year',
+            geography: 'UK',
+            format: 'percent'
+        },
+        gdpPerCapita: {
+            label: 'Real GDP per Capita',
+            // £mn over thousands of people gives £ per head
+            formula: 'gdpReal * 1000 / populationEngland',
+            unit: '£',
+            unitLabel: '£, 2013 prices',
+            priceBasis: '2013 prices',
+            geography: 'England',
+            format: 'gbp'
+        },
+        realWageIndex: {
+            label: 'Real Wage Index',
+            formula: 'rebase(wages, 1209)',
+            unit: 'index',
+            unitLabel: '1209=100',
+            baseYear: 1209,
+            geography: 'England',
+            format: 'index'
+        },
+        debtToGdp: {
+            label: 'Debt to GDP',
+            formula: 'publicDebtNominal / gdpNominal * 100',
+            unit: '%',
+            unitLabel: '% of GDP',
+            geography: 'UK',
+            format: 'percent'
+        },
+        govSpendingShare: {
+            label: 'Government Spending Share',
+            formula: 'govSpendingNominal / gdpNominal * 100',
+            unit: '%',
+            unitLabel: '% of GDP',
+            geography: 'UK',
+            format: 'percent'
+        },
+        gdpCagr10: {
+            label: 'Real GDP Growth (10-year CAGR)',
+            formula: 'cagr(gdpReal, 10)',
+            unit: '%',
+            unitLabel: '% a year',
+            geography: 'England',
+            format: 'percent'
+        }
+    };
+
+    /**
+     * Register (or replace) an indicator definition
+     * @param {string} key - Field name used in processed rows
+     * @param {Object} definition - Indicator definition (see static indicators)
+     */
+    static register(key, definition) {
+        this.indicators[key] = { format: 'number', ...definition };
+    }
+
+    static has(key) {
+        return Object.prototype.hasOwnProperty.call(this.indicators, key);
+    }
+
+    /**
+     * Get the definition for an indicator
+     * @param {string} key - Indicator key
+     * @returns {Object|null} Definition or null if unknown
+     */
+    static get(key) {
+        return this.has(key) ? { key, ...this.indicators[key] } : null;
+    }
+
+    /**
+     * Get indicator keys, optionally filtered by a predicate on the definition
+     * @param {Function} filter - Optional (definition) => boolean
+     * @returns {Array} Indicator keys
+     */
+    static keys(filter = null) {
+        return Object.keys(this.indicators)
+            .filter(key => !filter || filter(this.get(key)));
+    }
+
+    /**
+     * Indicators that are read straight from dataset columns
+     * @returns {Array} Indicator keys
+     */
+    static sourceKeys() {
+        return this.keys(def => Array.isArray(def.columns) && def.columns.length > 0);
+    }
+
+    /**
+     * Metrics computed from formulas rather than read from the dataset
+     * @returns {Array} Indicator keys
+     */
+    static derivedKeys() {
+        return this.keys(def => typeof def.formula === 'string');
+    }
+
+    /**
+     * Display label including unit, e.g. 'Real GDP (billions, 2013 prices)'
+     * @param {string} key - Indicator key
+     * @returns {string} Label (falls back to the key for unknown indicators)
+     */
+    static getLabel(key) {
+        const def = this.get(key);
+        if (!def) return key;
+        return def.unitLabel ? `${def.label} (${def.unitLabel})` : def.label;
+    }
+
+    static getFormat(key) {
+        const def = this.get(key);
+        return FORMATS[def?.format] || FORMATS.number;
+    }
+
+    /**
+     * Tick formatter for a value axis showing this indicator
+     * @param {string} key - Indicator key
+     * @returns {Function} (value) => string
+     */
+    static getAxisFormatter(key) {
+        return this.getFormat(key).axis;
+    }
+
+    /**
+     * Format a single value for tooltips and annotations
+     * @param {string} key - Indicator key
+     * @param {number} value - Value in the indicator's stored unit
+     * @returns {string} Formatted value, or 'n/a' when missing
+     */
+    static formatValue(key, value) {
+        if (value === null || value === undefined || isNaN(value)) return 'n/a';
+        return this.getFormat(key).value(value, this.get(key) || {});
+    }
+
+    /**
+     * Work out which dataset column each indicator reads from
+     * Header names are matched ignoring the '.1', '.2' suffixes added to duplicate
+     * headers; the Units row (when present) picks between duplicates
+     * @param {Array} columns - Column names from the dataset header
+     * @param {Object} unitsRow - Row holding each column's units, or null
+     * @returns {Object} Map of indicator key to column name (null when not found)
+     */
+    static resolveColumns(columns, unitsRow = null) {
+        const normalise = name => String(name).trim().replace(/\.\d+$/, '').trim().toLowerCase();
+        const resolved = {};
+
+        this.sourceKeys().forEach(key => {
+            resolved[key] = null;
+
+            for (const candidate of this.indicators[key].columns) {
+                const matches = columns.filter(column => normalise(column) === normalise(candidate.name));
+                const withUnits = unitsRow && candidate.units
+                    ? matches.find(column => String(unitsRow[column] || '').toLowerCase().includes(candidate.units.toLowerCase()))
+                    : null;
+                const column = withUnits || (unitsRow && candidate.units ? null : matches[0]);
+
+                if (column) {
+                    resolved[key] = column;
+                    break;
+                }
+            }
+        });
+
+        return resolved;
+    }
+}
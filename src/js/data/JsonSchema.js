@@ -0,0 +1,202 @@
+/**
+ * JSON Schema
+ * Validates config files against their JSON Schema (draft-07) so the schema file is the one
+ * statement of their shape: editors that understand "$schema" check the file as it is
+ * written, and the app checks it with the same rules at load time
+ *
+ * Covers the keywords the config schemas use; a schema with any other validation keyword
+ * is rejected rather than partly checked.
+ */
+
+import { readText } from './DataSources.js';
+
+// Keywords that describe rather than constrain
+const ANNOTATIONS = ['$schema', '$id', 'title', 'description', 'definitions', 'default', 'examples', 'then'];
+
+const TYPES = {
+    object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+    array: value => Array.isArray(value),
+    string: value => typeof value === 'string',
+    integer: value => Number.isInteger(value),
+    number: value => typeof value === 'number' && Number.isFinite(value),
+    boolean: value => typeof value === 'boolean',
+    null: value => value === null
+};
+
+const parsesAsUrl = value => {
+    try {
+        return Boolean(new URL(value));
+    } catch {
+        return false;
+    }
+};
+
+const FORMATS = {
+    // Absolute URI: a scheme followed by anything URL parsing accepts
+    uri: value => /^[a-z][a-z0-9+.-]*:/i.test(value) && parsesAsUrl(value)
+};
+
+const isObject = TYPES.object;
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Validation keywords, called with the validator as this; each only checks values of the type it
+// applies to
+const KEYWORDS = {
+    $ref() {},
+    type() {},
+    const(schema, value, path, errors, fail) {
+        if (!same(value, schema.const)) fail(`must be ${JSON.stringify(schema.const)}`);
+    },
+    enum(schema, value, path, errors, fail) {
+        if (!schema.enum.some(option => same(value, option))) fail(`must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    },
+    minLength(schema, value, path, errors, fail) {
+        if (typeof value === 'string' && value.length < schema.minLength) {
+            fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+        }
+    },
+    pattern(schema, value, path, errors, fail) {
+        if (typeof value === 'string' && !new RegExp(schema.pattern, 'u').test(value)) fail(`must match ${schema.pattern}`);
+    },
+    format(schema, value, path, errors, fail) {
+        const test = FORMATS[schema.format];
+        if (!test) throw new Error(`Unsupported JSON Schema format '${schema.format}'`);
+        if (typeof value === 'string' && !test(value)) fail(`must be a ${schema.format}`);
+    },
+    required(schema, value, path, errors, fail) {
+        if (!isObject(value)) return;
+        schema.required
+            .filter(key => !(key in value))
+            .forEach(key => fail(`${key} is required`));
+    },
+    minProperties(schema, value, path, errors, fail) {
+        if (isObject(value) && Object.keys(value).length < schema.minProperties) fail(`must have at least ${schema.minProperties} entries`);
+    },
+    properties(schema, value, path, errors) {
+        if (!isObject(value)) return;
+        Object.entries(schema.properties)
+            .filter(([key]) => key in value)
+            .forEach(([key, property]) => this.check(property, value[key], `${path}/${key}`, errors));
+    },
+    additionalProperties(schema, value, path, errors, fail) {
+        if (!isObject(value)) return;
+        Object.keys(value)
+            .filter(key => !(key in (schema.properties || {})))
+            .forEach(key => {
+                if (schema.additionalProperties === false) {
+                    fail(`unknown property '${key}'`);
+                } else {
+                    this.check(schema.additionalProperties, value[key], `${path}/${key}`, errors);
+                }
+            });
+    },
+    items(schema, value, path, errors) {
+        if (!Array.isArray(value)) return;
+        value.forEach((item, i) => this.check(schema.items, item, `${path}/${i}`, errors));
+    },
+    minItems(schema, value, path, errors, fail) {
+        if (Array.isArray(value) && value.length < schema.minItems) fail(`must have at least ${schema.minItems} items`);
+    },
+    uniqueItems(schema, value, path, errors, fail) {
+        if (!schema.uniqueItems || !Array.isArray(value)) return;
+        if (new Set(value.map(item => JSON.stringify(item))).size < value.length) fail('must not repeat items');
+    },
+    contains(schema, value, path, errors, fail) {
+        if (Array.isArray(value) && !value.some(item => this.matches(schema.contains, item))) fail('has no matching item');
+    },
+    if(schema, value, path, errors) {
+        if (schema.then !== undefined && this.matches(schema.if, value)) {
+            this.check(schema.then, value, path, errors);
+        }
+    }
+};
+
+// Schemas loaded from URLs, by URL
+const loaded = new Map();
+
+export class JsonSchema {
+    /**
+     * @param {Object} schema - Parsed schema
+     */
+    constructor(schema) {
+        this.schema = schema;
+    }
+
+    /**
+     * Load a schema from a URL, once per URL
+     * @param {string} url - Schema URL
+     * @returns {Promise<JsonSchema>}
+     */
+    static load(url) {
+        if (!loaded.has(url)) {
+            const schema = readText(url).then(text => new JsonSchema(JSON.parse(text)));
+            // A failed load is retried next time
+            schema.catch(() => loaded.delete(url));
+            loaded.set(url, schema);
+        }
+        return loaded.get(url);
+    }
+
+    /**
+     * Check a value against the schema
+     * @param {*} value - Parsed JSON
+     * @returns {Array} Error messages ('<JSON pointer>: <problem>'), empty when the value is valid
+     */
+    validate(value) {
+        const errors = [];
+        this.check(this.schema, value, '', errors);
+        return errors;
+    }
+
+    check(schema, value, path, errors) {
+        if (schema === true) return;
+        if (schema === false) {
+            errors.push(`${path || '/'}: is not allowed`);
+            return;
+        }
+
+        const fail = message => errors.push(`${path || '/'}: ${message}`);
+
+        const unsupported = Object.keys(schema).find(keyword => !ANNOTATIONS.includes(keyword) && !(keyword in KEYWORDS));
+        if (unsupported) throw new Error(`Unsupported JSON Schema keyword '${unsupported}' at ${path || '/'}`);
+
+        if (schema.$ref) {
+            this.check(this.resolve(schema.$ref), value, path, errors);
+        }
+
+        if (schema.type) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            if (!types.some(type => TYPES[type](value))) {
+                fail(`must be ${types.join(' or ')}`);
+                return;
+            }
+        }
+
+        Object.entries(KEYWORDS)
+            .filter(([keyword]) => keyword in schema)
+            .forEach(([, rule]) => rule.call(this, schema, value, path, errors, fail));
+    }
+
+    /**
+     * Schema a local reference ('#/definitions/event') points at
+     */
+    resolve(ref) {
+        if (!ref.startsWith('#')) throw new Error(`Only local $refs are supported, not '${ref}'`);
+
+        return ref.slice(1).split('/').filter(Boolean)
+            .map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+            .reduce((schema, part) => {
+                if (!schema || !(part in schema)) throw new Error(`Unresolvable $ref '${ref}'`);
+                return schema[part];
+            }, this.schema);
+    }
+
+    /**
+     * Whether a value passes a subschema, without reporting why not
+     */
+    matches(schema, value) {
+        const errors = [];
+        this.check(schema, value, '', errors);
+        return errors.length === 0;
+    }
+}
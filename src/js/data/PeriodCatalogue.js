@@ -0,0 +1,166 @@
+/**
+ * Period Catalogue
+ * Narrative periods and their sub-periods, read from src/data/config/periods.json
+ *
+ * Config format:
+ * {
+ *   "industries": { "agriculture": { "name": "Agriculture", "color": "#8B4513" }, ... },
+ *   "periods": [
+ *     { "key": "medieval", "name": "Medieval Times", "start": 1209, "end": 1500,
+ *       "color": "#f8f9fa", "icon": "fa-landmark",
+ *       "industryLabels": { "crafts": "Manufacturing" },
+ *       "subPeriods": [{ "name": "1200s", "start": 1209, "end": 1299, "industries": { "agriculture": 85, ... } }] },
+ *     { "key": "blackDeath", "parent": "medieval", "name": "Black Death", "start": 1348, "end": 1350 }
+ *   ]
+ * }
+ * Periods may overlap; a period with a parent is nested inside it and is never the
+ * primary classification of a year
+ */
+
+import { readText } from './DataSources.js';
+
+export const DEFAULT_PERIOD_CONFIG = new URL('../../data/config/periods.json', import.meta.url).href;
+
+// Catalogues built from processed data, shared by every scene
+const catalogues = new WeakMap();
+
+export class PeriodCatalogue {
+    constructor(config) {
+        if (!config || !Array.isArray(config.periods) || config.periods.length === 0) {
+            throw new Error('Period config lists no periods');
+        }
+
+        this.config = config;
+        this.industries = config.industries || {};
+        this.periodList = config.periods.map(period => {
+            if (!period.key || !(period.start <= period.end)) {
+                throw new Error(`Invalid period in config: ${JSON.stringify(period)}`);
+            }
+            return {
+                ...period,
+                subPeriods: (period.subPeriods || []).slice().sort((a, b) => a.start - b.start)
+            };
+        });
+    }
+
+    /**
+     * Load a catalogue from a config object, URL or (under Node) file path
+     * @param {Object|string} source - Config, URL string or { path }
+     * @returns {Promise<PeriodCatalogue>}
+     */
+    static async load(source = DEFAULT_PERIOD_CONFIG) {
+        if (source instanceof PeriodCatalogue) return source;
+        if (source && Array.isArray(source.periods)) return new PeriodCatalogue(source);
+
+        let url = source;
+        if (source && source.path) {
+            const { pathToFileURL } = await import('url');
+            url = pathToFileURL(source.path).href;
+        }
+
+        return new PeriodCatalogue(JSON.parse(await readText(new URL(url, globalThis.location?.href).href)));
+    }
+
+    /**
+     * Shared catalogue for a processed dataset
+     * @param {Object} data - Output of MillenniumDataProcessor.processRawData()
+     * @returns {PeriodCatalogue}
+     */
+    static forData(data) {
+        if (!catalogues.has(data)) {
+            catalogues.set(data, new PeriodCatalogue(data.periodConfig));
+        }
+        return catalogues.get(data);
+    }
+
+    /**
+     * @param {Object} options
+     * @param {boolean} options.nested - Include periods nested inside another (default true)
+     * @returns {Array} Periods in config order
+     */
+    periods({ nested = true } = {}) {
+        return this.periodList.filter(period => nested || !period.parent);
+    }
+
+    get(key) {
+        return this.periodList.find(period => period.key === key) || null;
+    }
+
+    /**
+     * Period map in the shape the processor has always exposed: { key: { start, end, name } }
+     */
+    toPeriodMap() {
+        return Object.fromEntries(this.periods({ nested: false }).map(period => [
+            period.key,
+            { start: period.start, end: period.end, name: period.name }
+        ]));
+    }
+
+    /**
+     * Primary period for a year: the first top-level period containing it
+     * @param {number} year - Year to classify
+     * @returns {Object|null} Period
+     */
+    classify(year) {
+        return this.periods({ nested: false }).find(period => year >= period.start && year <= period.end) || null;
+    }
+
+    /**
+     * Every period containing a year, outermost first - includes overlapping and nested periods
+     * @param {number} year - Year to look up
+     * @returns {Array} Periods
+     */
+    periodsForYear(year) {
+        return this.periodList
+            .filter(period => year >= period.start && year <= period.end)
+            .sort((a, b) => (b.end - b.start) - (a.end - a.start));
+    }
+
+    /**
+     * Sub-period of a period for a year
+     * Years past the last sub-period fall into it; years before the first into the first
+     * @param {string} periodKey - Period key, or null to search every top-level period
+     * @param {number} year - Year to look up
+     * @returns {Object|null} Sub-period
+     */
+    getSubPeriod(periodKey, year) {
+        const period = periodKey ? this.get(periodKey) : this.classify(year);
+        if (!period || period.subPeriods.length === 0) return null;
+
+        return period.subPeriods.find(sub => year <= sub.end) || period.subPeriods[period.subPeriods.length - 1];
+    }
+
+    /**
+     * Industry shares for a sub-period, with display names and colours
+     * @param {string} periodKey - Period key
+     * @param {string} subPeriodName - Sub-period name (falls back to the first sub-period)
+     * @returns {Array} [{ key, name, percentage, color }]
+     */
+    getIndustries(periodKey, subPeriodName) {
+        const period = this.get(periodKey);
+        if (!period || period.subPeriods.length === 0) return [];
+
+        const subPeriod = period.subPeriods.find(sub => sub.name === subPeriodName) || period.subPeriods[0];
+        const industries = subPeriod.industries || {};
+
+        return this.describeIndustries(Object.keys(industries), periodKey)
+            .map(industry => ({ ...industry, percentage: industries[industry.key] }));
+    }
+
+    /**
+     * Display names and colours of industries, from the config's industries and (given a
+     * period) that period's industryLabels
+     * @param {Array} keys - Industry keys, e.g. data.sectorShares.sectors
+     * @param {string} periodKey - Period whose labels apply (optional)
+     * @returns {Array} [{ key, name, color }] in the order of keys
+     */
+    describeIndustries(keys, periodKey = null) {
+        const labels = (periodKey && this.get(periodKey)?.industryLabels) || {};
+
+        return keys.map(key => ({
+            key,
+            name: labels[key] || this.industries[key]?.name || key,
+            color: this.industries[key]?.color || '#999'
+        }));
+    }
+}
@@ -0,0 +1,120 @@
+/**
+ * Population Estimator
+ * Fallback population (GB+NI, thousands) for years the headline series doesn't cover,
+ * derived from the dataset itself rather than per-scene guesses
+ */
+
+import { GapFiller } from './GapFiller.js';
+
+// Estimators are built once per processed dataset and shared by every scene
+const estimators = new WeakMap();
+
+export class PopulationEstimator {
+    /**
+     * @param {Array} rows - Enriched rows sorted by year ({ year, population, populationEngland, fills })
+     * @param {Object} options
+     * @param {number} options.ratioWindow - Overlapping years averaged for the England to UK ratio
+     * @param {number} options.confidentSpan - Years from the overlap within which a ratio estimate is 'medium' confidence
+     */
+    constructor(rows, options = {}) {
+        this.rows = new Map(rows.map(row => [row.year, row]));
+        this.ratioWindow = options.ratioWindow || 25;
+        this.confidentSpan = options.confidentSpan || 100;
+
+        this.observed = rows.filter(row => this.isObserved(row, 'population'));
+        this.overlap = rows.filter(row => this.isObserved(row, 'population') && this.isObserved(row, 'populationEngland'));
+    }
+
+    /**
+     * Shared estimator for a processed dataset
+     * @param {Object} data - Output of MillenniumDataProcessor.processRawData()
+     * @returns {PopulationEstimator}
+     */
+    static forData(data) {
+        if (!estimators.has(data)) {
+            estimators.set(data, new PopulationEstimator(data.enriched || []));
+        }
+        return estimators.get(data);
+    }
+
+    /**
+     * Short note on how an estimate was produced, for tooltips
+     * @param {Object} estimate - Result of estimate()
+     * @returns {string|null} Description, or null for observed values
+     */
+    static describe(estimate) {
+        if (!estimate || estimate.method === 'observed') return null;
+        if (estimate.method === 'englandRatio') {
+            return `estimated from England's population x ${estimate.ratio.toFixed(2)}, ${estimate.confidence} confidence`;
+        }
+        if (estimate.method === 'nearest') {
+            return `nearest observation (${estimate.basisYear}), ${estimate.confidence} confidence`;
+        }
+        return `${GapFiller.describe(estimate.method)}, ${estimate.confidence} confidence`;
+    }
+
+    isObserved(row, field) {
+        return row[field] !== null && row[field] !== undefined && !row.fills?.[field];
+    }
+
+    /**
+     * Best available population for a year
+     * Order of preference: observed value, gap-filled value, England's population scaled
+     * by the England to UK ratio nearest in time, nearest observed value
+     * @param {number} year - Year to estimate
+     * @returns {Object|null} { value, method, confidence, basisYear, ratio } or null with no data at all
+     */
+    estimate(year) {
+        const row = this.rows.get(year);
+
+        if (row && this.isObserved(row, 'population')) {
+            return { value: row.population, method: 'observed', confidence: 'high', basisYear: year };
+        }
+
+        if (row && row.population !== null && row.population !== undefined) {
+            return { value: row.population, method: row.fills.population, confidence: 'medium', basisYear: year };
+        }
+
+        const ratio = this.getRatio(year);
+        if (row && ratio && row.populationEngland !== null && row.populationEngland !== undefined) {
+            return {
+                value: row.populationEngland * ratio.value,
+                method: 'englandRatio',
+                confidence: Math.abs(year - ratio.year) <= this.confidentSpan ? 'medium' : 'low',
+                basisYear: ratio.year,
+                ratio: ratio.value
+            };
+        }
+
+        const nearest = this.findNearest(year);
+        if (nearest) {
+            return { value: nearest.population, method: 'nearest', confidence: 'low', basisYear: nearest.year };
+        }
+
+        return null;
+    }
+
+    /**
+     * England to UK ratio averaged over the overlap years closest to the given year
+     * @param {number} year - Year being estimated
+     * @returns {Object|null} { value, year } where year is the nearest overlap year
+     */
+    getRatio(year) {
+        if (this.overlap.length === 0) return null;
+
+        const closest = this.overlap
+            .slice()
+            .sort((a, b) => Math.abs(a.year - year) - Math.abs(b.year - year))
+            .slice(0, this.ratioWindow);
+
+        return {
+            value: d3.mean(closest, row => row.population / row.populationEngland),
+            year: closest[0].year
+        };
+    }
+
+    findNearest(year) {
+        if (this.observed.length === 0) return null;
+        return d3.least(this.observed, row => Math.abs(row.year - year));
+    }
+}
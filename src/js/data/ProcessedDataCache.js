@@ -0,0 +1,150 @@
+/**
+ * Processed Data Cache
+ * Keeps the output of MillenniumDataProcessor.processRawData() in IndexedDB between visits
+ * Entries are keyed by source location and carry a hash of everything that went into
+ * processing (the source's version or rows, period config, derived formulas, gap strategies);
+ * a different hash means the source or its processing changed and the entry is replaced
+ * Where IndexedDB is unavailable (Node, private browsing) every call is a quiet miss
+ */
+
+// Bump when the shape of the processed output changes so old entries are ignored
+export const CACHE_SCHEMA_VERSION = 2;
+
+const DB_NAME = 'uk-millennium';
+const STORE_NAME = 'processed';
+
+/**
+ * Wrap an IndexedDB request in a promise
+ */
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * 32-bit FNV-1a over a string, used when Web Crypto is unavailable (plain http pages)
+ * @param {string} text - Text to hash
+ * @returns {string} Hex digest
+ */
+function fnv1a(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return `fnv1a-${(hash >>> 0).toString(16).padStart(8, '0')}`;
+}
+
+export class ProcessedDataCache {
+    /**
+     * @param {Object} options
+     * @param {IDBFactory} options.indexedDB - IndexedDB implementation (default: the global one)
+     * @param {string} options.dbName - Database name
+     * @param {boolean} options.enabled - Set false to bypass the cache entirely
+     */
+    constructor(options = {}) {
+        this.indexedDB = options.indexedDB || globalThis.indexedDB || null;
+        this.dbName = options.dbName || DB_NAME;
+        this.enabled = options.enabled !== false && this.indexedDB !== null;
+        this.db = null;
+    }
+
+    /**
+     * Content hash of the inputs to processing
+     * @param {Object} fingerprint - Anything JSON-serialisable that determines the processed output
+     * @returns {Promise<string>} Hex digest (SHA-256, or FNV-1a without Web Crypto)
+     */
+    static async hash(fingerprint) {
+        const text = JSON.stringify(fingerprint);
+        const subtle = globalThis.crypto?.subtle;
+
+        if (!subtle) return fnv1a(text);
+
+        const digest = await subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    async open() {
+        if (this.db) return this.db;
+
+        const request = this.indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+        };
+        this.db = await promisify(request);
+        return this.db;
+    }
+
+    async store(mode) {
+        const db = await this.open();
+        return db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+    }
+
+    /**
+     * Cached processed data for a source, if the hash still matches
+     * @param {string} key - Source location (URL or path)
+     * @param {string} hash - Current content hash
+     * @returns {Promise<Object|null>} { data, storedAt } or null on a miss
+     */
+    async get(key, hash) {
+        if (!this.enabled) return null;
+
+        try {
+            const entry = await promisify((await this.store('readonly')).get(key));
+            if (!entry) return null;
+
+            if (entry.hash !== hash || entry.schemaVersion !== CACHE_SCHEMA_VERSION) {
+                console.log(`♻️ Cached data for ${key} is stale, reprocessing`);
+                // Reprocessing replaces it, but not if it fails
+                await promisify((await this.store('readwrite')).delete(key));
+                return null;
+            }
+            return { data: entry.data, storedAt: entry.storedAt };
+        } catch (error) {
+            console.warn('⚠️ Could not read processed data cache:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Store processed data for a source, replacing any older entry
+     * @param {string} key - Source location (URL or path)
+     * @param {string} hash - Content hash of the inputs
+     * @param {Object} data - Processed output and what restoring it needs (must be structured-cloneable)
+     * @returns {Promise<boolean>} Whether the entry was written
+     */
+    async set(key, hash, data) {
+        if (!this.enabled) return false;
+
+        try {
+            await promisify((await this.store('readwrite')).put({
+                key,
+                hash,
+                schemaVersion: CACHE_SCHEMA_VERSION,
+                storedAt: new Date().toISOString(),
+                data
+            }));
+            return true;
+        } catch (error) {
+            console.warn('⚠️ Could not write processed data cache:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Remove one source's entry, or every entry
+     * @param {string} key - Source location, or omit to clear the cache
+     */
+    async clear(key = null) {
+        if (!this.enabled) return;
+
+        try {
+            const store = await this.store('readwrite');
+            await promisify(key ? store.delete(key) : store.clear());
+        } catch (error) {
+            console.warn('⚠️ Could not clear processed data cache:', error);
+        }
+    }
+}
@@ -0,0 +1,237 @@
+/**
+ * Sector Shares
+ * Each sector's share of the economy, year by year, from the workbook's sectoral output and
+ * employment series (src/data/config/sectors.json says which). Years none of them cover fall
+ * back to the era-level estimates of the period config and are flagged as estimated.
+ *
+ * Config format:
+ * {
+ *   "version": 1,
+ *   "sectors": ["agriculture", "crafts", "services"],      // Industry keys of periods.json
+ *   "sources": [                                           // First source covering a year wins
+ *     { "id": "gva-shares", "label": "Industry GVA shares by SIC", "measure": "output", "sheet": "A16",
+ *       "columns": { "agriculture": ["Agriculture, forestry and fishing"], "crafts": ["Manufacturing", ...], ... } }
+ *   ]
+ * }
+ * A sector's columns are summed and the sectors scaled to 100%; column names match the sheet's
+ * headers ignoring case and punctuation, and columns missing from the loaded sheets are skipped
+ *
+ * The sectoral sheets only load from a workbook export (see WorkbookSource). The default data
+ * source is the headline CSV, so out of the box every source is skipped and every year is an
+ * era-level estimate; build() warns, and the scenes' source labels say which sheets are missing.
+ *
+ * Processed output (data.sectorShares):
+ * { sectors, sources: { id: { label, measure, sheet, years } }, values: [{ year, shares, source, estimated }],
+ *   skipped: [{ id, label, sheet }] }   // Sources whose sheet or columns weren't loaded
+ */
+
+import { readText } from './DataSources.js';
+
+export const DEFAULT_SECTOR_CONFIG = new URL('../../data/config/sectors.json', import.meta.url).href;
+
+// Source ID of the years only the period config covers
+export const ERA_ESTIMATE = 'era-estimate';
+
+const MEASURES = ['output', 'employment'];
+
+// Lookups built from processed data, shared by every scene
+const lookups = new WeakMap();
+
+const normalise = name => String(name).trim().toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+export class SectorShares {
+    /**
+     * @param {Object} sectorShares - Processed output of build()
+     */
+    constructor(sectorShares) {
+        this.sectors = sectorShares.sectors;
+        this.sources = sectorShares.sources;
+        this.values = sectorShares.values;
+        this.skipped = sectorShares.skipped || [];
+        this.byYear = new Map(this.values.map(entry => [entry.year, entry]));
+    }
+
+    /**
+     * Shared lookup for a processed dataset
+     * @param {Object} data - Output of MillenniumDataProcessor.processRawData()
+     * @returns {SectorShares}
+     */
+    static forData(data) {
+        if (!lookups.has(data)) {
+            lookups.set(data, new SectorShares(data.sectorShares || { sectors: [], sources: {}, values: [], skipped: [] }));
+        }
+        return lookups.get(data);
+    }
+
+    /**
+     * Load and check a config from a config object, URL or (under Node) file path
+     * @param {Object|string} source - Config, URL string or { path }
+     * @returns {Promise<Object>} Config
+     */
+    static async loadConfig(source = DEFAULT_SECTOR_CONFIG) {
+        let config = source;
+        if (!source || !Array.isArray(source.sources)) {
+            let url = source;
+            if (source && source.path) {
+                const { pathToFileURL } = await import('url');
+                url = pathToFileURL(source.path).href;
+            }
+            config = JSON.parse(await readText(new URL(url, globalThis.location?.href).href));
+        }
+
+        const errors = SectorShares.validate(config);
+        if (errors.length > 0) {
+            throw new Error(`Invalid sector config: ${errors.join('; ')}`);
+        }
+        return config;
+    }
+
+    /**
+     * @param {Object} config - Parsed sectors.json
+     * @returns {Array} Error messages, empty when the config is valid
+     */
+    static validate(config) {
+        if (!config || typeof config !== 'object') return ['config is not an object'];
+
+        const errors = [];
+        if (config.version !== 1) errors.push(`unsupported version ${config.version}`);
+        if (!Array.isArray(config.sectors) || config.sectors.length === 0) errors.push('no sectors');
+        if (!Array.isArray(config.sources)) return [...errors, 'sources must be a list'];
+
+        const ids = new Set();
+        config.sources.forEach((source, i) => {
+            const where = `source ${source?.id || `#${i + 1}`}`;
+            if (!source?.id || source.id === ERA_ESTIMATE || ids.has(source.id)) errors.push(`${where}: missing, reserved or duplicate id`);
+            ids.add(source?.id);
+            if (!source?.label) errors.push(`${where}: label is required`);
+            if (!source?.sheet) errors.push(`${where}: sheet is required`);
+            if (!MEASURES.includes(source?.measure)) errors.push(`${where}: measure must be one of ${MEASURES.join(', ')}`);
+            (config.sectors || []).forEach(sector => {
+                const columns = source?.columns?.[sector];
+                if (!Array.isArray(columns) || columns.length === 0) errors.push(`${where}: no columns for ${sector}`);
+            });
+        });
+
+        return errors;
+    }
+
+    /**
+     * Shares for every year, for the processor
+     * @param {Object} config - Checked config, see loadConfig()
+     * @param {Object} options
+     * @param {Object} options.series - Series catalogue (see MillenniumDataProcessor.buildSeriesCatalogue)
+     * @param {PeriodCatalogue} options.periodCatalogue - Era-level estimates for the fallback
+     * @param {Array} options.years - Years to cover
+     * @returns {Object} Processed output, see above
+     */
+    static build(config, { series, periodCatalogue, years }) {
+        const { sectors } = config;
+        const resolved = config.sources.map(source => SectorShares.resolveSource(source, sectors, Object.values(series)));
+        const sources = resolved.filter(source => source !== null);
+        const skipped = config.sources
+            .filter((source, i) => resolved[i] === null)
+            .map(({ id, label, sheet }) => ({ id, label, sheet }));
+        if (skipped.length > 0) {
+            console.warn(`⚠️ Sector shares: skipping ${skipped.map(source => `${source.id} (sheet ${source.sheet})`).join(', ')}, not loaded; only a workbook export has the sectoral sheets`);
+        }
+
+        const values = years.map(year => {
+            for (const source of sources) {
+                const shares = SectorShares.getSourceShares(source, sectors, year);
+                if (shares) return { year, shares, source: source.id, estimated: false };
+            }
+            return { year, shares: SectorShares.getEraShares(periodCatalogue, sectors, year), source: ERA_ESTIMATE, estimated: true };
+        });
+
+        const sourceInfo = {};
+        [...sources, { id: ERA_ESTIMATE, label: 'Era-level estimate', measure: 'estimate', sheet: null }].forEach(({ id, label, measure, sheet }) => {
+            const covered = values.filter(entry => entry.source === id && entry.shares);
+            if (covered.length > 0) {
+                sourceInfo[id] = { label, measure, sheet, years: [covered[0].year, covered[covered.length - 1].year] };
+            }
+        });
+
+        const estimated = values.filter(entry => entry.estimated).length;
+        console.log(`🏭 Sector shares: ${values.length - estimated} years from sectoral series, ${estimated} from era-level estimates`);
+
+        return { sectors, sources: sourceInfo, values, skipped };
+    }
+
+    /**
+     * Find a source's columns among the loaded series
+     * @returns {Object|null} Source with columns: { sector: [Map(year => value)] }, or null when a sector has none
+     */
+    static resolveSource(source, sectors, series) {
+        const sheetSeries = series.filter(entry => entry.sheet === source.sheet);
+        const columns = {};
+
+        for (const sector of sectors) {
+            columns[sector] = source.columns[sector]
+                .map(name => sheetSeries.find(entry => normalise(entry.column) === normalise(name)))
+                .filter(Boolean)
+                .map(entry => new Map(entry.values.map(d => [d.year, d.value])));
+            if (columns[sector].length === 0) return null;
+        }
+
+        return { ...source, columns };
+    }
+
+    /**
+     * A source's shares (percent) in a year, if it has every column for that year
+     */
+    static getSourceShares(source, sectors, year) {
+        const totals = {};
+        for (const sector of sectors) {
+            const values = source.columns[sector].map(column => column.get(year));
+            if (values.some(value => value === undefined || value === null || value < 0)) return null;
+            totals[sector] = d3.sum(values);
+        }
+        return SectorShares.toShares(totals);
+    }
+
+    /**
+     * The period config's estimate for the sub-period a year falls in
+     */
+    static getEraShares(periodCatalogue, sectors, year) {
+        const period = periodCatalogue.classify(year);
+        const industries = period ? periodCatalogue.getSubPeriod(period.key, year)?.industries : null;
+        if (!industries) return null;
+
+        return SectorShares.toShares(Object.fromEntries(sectors.map(sector => [sector, industries[sector] || 0])));
+    }
+
+    static toShares(totals) {
+        const total = d3.sum(Object.values(totals));
+        if (!(total > 0)) return null;
+        return Object.fromEntries(Object.entries(totals).map(([sector, value]) => [sector, value / total * 100]));
+    }
+
+    /**
+     * Shares for a year, or the nearest year that has them
+     * @param {number} year - Year to look up
+     * @returns {Object|null} { year, shares, source, estimated, sourceLabel }
+     */
+    get(year) {
+        let entry = this.byYear.get(year);
+        if (!entry?.shares) {
+            entry = d3.least(this.values.filter(d => d.shares), d => Math.abs(d.year - year));
+        }
+        return entry ? { ...entry, sourceLabel: this.describeSource(entry.source) } : null;
+    }
+
+    /**
+     * Where a year's shares come from, e.g. 'Industry GVA shares by SIC (output, sheet A16)'
+     * @param {string} source - Source ID
+     * @returns {string}
+     */
+    describeSource(source) {
+        if (source === ERA_ESTIMATE) {
+            const missing = this.skipped.map(skipped => skipped.sheet);
+            return missing.length > 0
+                ? `Era-level estimate; sectoral sheets ${missing.join(', ')} are not loaded`
+                : 'Era-level estimate, no sectoral series for this year';
+        }
+        const info = this.sources[source];
+        return info ? `${info.label} (${info.measure}, sheet ${info.sheet})` : source;
+    }
+}
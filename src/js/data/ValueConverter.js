@@ -0,0 +1,181 @@
+/**
+ * Value Converter
+ * Converts nominal money values between years using a price index from the dataset:
+ * consumer prices (CPI, the default) or the GDP deflator
+ *
+ *   converter.convertValue(10, 1850, 2016)                          // £10 of 1850 in 2016 pounds
+ *   converter.convert(10, 1850, 2016, { deflator: 'gdpDeflator' })  // with index values and notes
+ */
+
+import { IndicatorRegistry } from './IndicatorRegistry.js';
+import { GapFiller } from './GapFiller.js';
+
+// Price indices that can deflate a value, keyed by indicator
+const DEFLATORS = {
+    cpi: { label: 'consumer prices' },
+    gdpDeflator: { label: 'the GDP deflator' }
+};
+
+// What to do when the index has no value for a year
+const MISSING_POLICIES = ['null', 'nearest', 'throw'];
+
+// Converters are built once per processed dataset and shared by scenes and widgets
+const converters = new WeakMap();
+
+export class ValueConverter {
+    /**
+     * @param {Array} rows - Enriched rows ({ year, cpi, gdpDeflator, fills })
+     */
+    constructor(rows) {
+        this.indices = {};
+        Object.keys(DEFLATORS).forEach(key => {
+            this.indices[key] = new Map(rows
+                .filter(row => row[key] !== null && row[key] !== undefined && row[key] > 0)
+                .map(row => [row.year, { value: row[key], fill: row.fills?.[key] || null }]));
+        });
+    }
+
+    /**
+     * Shared converter for a processed dataset, over every year of the price indices rather
+     * than just the time range the rows are clipped to
+     * @param {Object} data - Output of MillenniumDataProcessor.processRawData()
+     * @returns {ValueConverter}
+     */
+    static forData(data) {
+        if (!converters.has(data)) {
+            converters.set(data, new ValueConverter(data.prices || data.enriched || []));
+        }
+        return converters.get(data);
+    }
+
+    /**
+     * The price indices of enriched rows, for the processed output (data.prices)
+     * @param {Array} rows - Enriched rows, every year
+     * @returns {Array} [{ year, cpi, gdpDeflator, fills }]
+     */
+    static extractPrices(rows) {
+        const keys = ValueConverter.deflators;
+        return rows
+            .filter(row => keys.some(key => row[key] !== null && row[key] !== undefined))
+            .map(row => ({
+                year: row.year,
+                ...Object.fromEntries(keys.map(key => [key, row[key] ?? null])),
+                fills: Object.fromEntries(keys.filter(key => row.fills?.[key]).map(key => [key, row.fills[key]]))
+            }));
+    }
+
+    static get deflators() {
+        return Object.keys(DEFLATORS);
+    }
+
+    static describeDeflator(deflator) {
+        return DEFLATORS[deflator]?.label || deflator;
+    }
+
+    /**
+     * First and last year the index covers
+     * @param {string} deflator - 'cpi' or 'gdpDeflator'
+     * @returns {Object|null} { start, end } or null when the index is absent
+     */
+    getRange(deflator = 'cpi') {
+        const years = Array.from(this.getIndex(deflator).keys());
+        return years.length > 0 ? { start: d3.min(years), end: d3.max(years) } : null;
+    }
+
+    getIndex(deflator) {
+        if (!this.indices[deflator]) {
+            throw new Error(`Unknown deflator '${deflator}' (expected one of: ${ValueConverter.deflators.join(', ')})`);
+        }
+        return this.indices[deflator];
+    }
+
+    /**
+     * Index value for a year, applying the missing-year policy
+     * @returns {Object} { year, requestedYear, value, fill, note } or { requestedYear, value: null, note }
+     */
+    lookup(deflator, year, missing) {
+        const index = this.getIndex(deflator);
+        const label = IndicatorRegistry.get(deflator)?.label || deflator;
+
+        if (index.has(year)) {
+            const { value, fill } = index.get(year);
+            return {
+                year,
+                requestedYear: year,
+                value,
+                fill,
+                note: fill ? `${label} for ${year} is ${GapFiller.describe(fill)}` : null
+            };
+        }
+
+        const range = this.getRange(deflator);
+        const coverage = range ? ` (covers ${range.start}-${range.end})` : '';
+
+        if (missing === 'nearest' && range) {
+            const nearest = d3.least(Array.from(index.keys()), y => Math.abs(y - year));
+            return {
+                ...index.get(nearest),
+                year: nearest,
+                requestedYear: year,
+                note: `No ${label} for ${year}${coverage}; used ${nearest}`
+            };
+        }
+
+        return { requestedYear: year, value: null, note: `No ${label} for ${year}${coverage}` };
+    }
+
+    /**
+     * Convert an amount of money from one year's prices to another's, with details
+     * @param {number} amount - Nominal amount in fromYear
+     * @param {number} fromYear - Year the amount is in
+     * @param {number} toYear - Target year (default: latest year of the index)
+     * @param {Object} options
+     * @param {string} options.deflator - 'cpi' (default) or 'gdpDeflator'
+     * @param {string} options.missing - Missing index years: 'null' (value is null), 'nearest' (use the closest year) or 'throw'
+     * @returns {Object} { amount, value, fromYear, toYear, deflator, factor, from, to, estimated, notes }
+     */
+    convert(amount, fromYear, toYear = null, { deflator = 'cpi', missing = 'null' } = {}) {
+        if (!MISSING_POLICIES.includes(missing)) {
+            throw new Error(`Unknown missing-year policy '${missing}' (expected one of: ${MISSING_POLICIES.join(', ')})`);
+        }
+
+        const targetYear = toYear ?? this.getRange(deflator)?.end ?? null;
+        const from = this.lookup(deflator, fromYear, missing);
+        const to = this.lookup(deflator, targetYear, missing);
+        const notes = [from.note, to.note].filter(Boolean);
+
+        if (from.value === null || to.value === null) {
+            if (missing === 'throw') {
+                throw new Error(`Cannot convert ${fromYear} to ${targetYear}: ${notes.join('; ')}`);
+            }
+            return { amount, value: null, fromYear, toYear: targetYear, deflator, factor: null, from, to, estimated: false, notes };
+        }
+
+        const factor = to.value / from.value;
+        return {
+            amount,
+            value: amount * factor,
+            fromYear,
+            toYear: targetYear,
+            deflator,
+            factor,
+            from,
+            to,
+            // Anything other than two observed index values is an estimate
+            estimated: notes.length > 0,
+            notes
+        };
+    }
+
+    /**
+     * Convert an amount of money from one year's prices to another's
+     * @param {number} amount - Nominal amount in fromYear
+     * @param {number} fromYear - Year the amount is in
+     * @param {number} toYear - Target year (default: latest year of the index)
+     * @param {Object} options - See convert()
+     * @returns {number|null} Converted amount, or null where the index is missing
+     */
+    convertValue(amount, fromYear, toYear = null, options = {}) {
+        return this.convert(amount, fromYear, toYear, options).value;
+    }
+}
@@ -3,14 +3,30 @@
  * Interactive narrative visualization using D3.js
  */
 
-import { dataProcessor } from './data/DataProcessor.js';
-import { Scene1Medieval } from './scenes/Scene1Medieval.js';
-import { Scene2GreatAwakening } from './scenes/Scene2GreatAwakening.js';
-import { Scene3Industrial } from './scenes/Scene3Industrial.js';
-import { Scene4Crisis } from './scenes/Scene4Crisis.js';
-import { Scene5Modern } from './scenes/Scene5Modern.js';
+import { dataProcessor, DEFAULT_TIME_RANGE } from './data/DataProcessor.js';
+import { DataValidator } from './data/DataValidator.js';
+import { GapFiller } from './data/GapFiller.js';
+import { InflationWidget } from './utils/InflationWidget.js';
+import { HashRouter } from './utils/HashRouter.js';
+import { ChartDescription } from './utils/ChartDescription.js';
+import { TimelineTransition } from './utils/TimelineTransition.js';
+import { SceneUtils, VIEW_MODES } from './utils/SceneUtils.js';
+import { IndicatorRegistry } from './data/IndicatorRegistry.js';
+import { BaseScene } from './scenes/BaseScene.js';
+import { NARRATIVE_SCENES } from './scenes/NarrativeScenes.js';
 import { Scene6Interactive } from './scenes/Scene6Interactive.js';
 
+// Listed in the ? help overlay
+const keyboardShortcuts = sceneCount => [
+    { keys: ['←', '→'], description: 'Previous / next scene' },
+    { keys: ['1', '-', String(sceneCount)], description: 'Jump to a scene' },
+    { keys: ['Tab'], description: 'Move between the chart\'s data points, event markers and the controls' },
+    { keys: ['←', '→', 'Home', 'End'], description: 'Step through data points or event markers once one has focus' },
+    { keys: ['Enter'], description: 'Open the focused event\'s story' },
+    { keys: ['Esc'], description: 'Close the story or tooltip, or this help' },
+    { keys: ['?'], description: 'Show or hide this help' }
+];
+
 class NarrativeVisualization {
     constructor() {
         this.currentScene = 1;
@@ -18,25 +34,26 @@ class NarrativeVisualization {
         this.dataProcessor = dataProcessor;
         this.svg = null;
         this.parameters = {
-            timeRange: [1209, 2016],
-            selectedIndicators: ['gdpReal', 'population', 'cpi'],
-            viewMode: 'absolute',
+            timeRange: [...DEFAULT_TIME_RANGE], // Years processed and shown; the production data bundle is built for the default, other ranges are processed from the CSV
+            selectedIndicators: ['gdpReal', 'population', 'cpi'], // Series the scenes can plot (derived metrics are always offered)
+            viewMode: 'absolute', // Key of VIEW_MODES: absolute, perCapita, indexed, log, yoy
+            baseYear: null, // Base year for the indexed view (null = first year shown)
             width: 1000,
             height: 700, // Increased height to accommodate economic structure
             margin: { top: 40, right: 20, bottom: 40, left: 60 }
         };
         
-        // Updated 6-scene structure based on our narrative proposal
+        // One scene per narrative era (rendered by BaseScene from its definition), then free exploration
+        // Titles, year ranges and icons of the period scenes come from the period config
         this.scenes = [
-            { id: 1, title: 'Medieval Times', period: '1209-1500', class: Scene1Medieval, icon: 'fa-landmark' },
-            { id: 2, title: 'Great Awakening', period: '1500-1750', class: Scene2GreatAwakening, icon: 'fa-ship' },
-            { id: 3, title: 'Industrial Explosion', period: '1750-1900', class: Scene3Industrial, icon: 'fa-industry' },
-            { id: 4, title: 'Crisis & Transformation', period: '1900-1950', class: Scene4Crisis, icon: 'fa-shield-alt' },
-            { id: 5, title: 'Modern Service Economy', period: '1950-2016', class: Scene5Modern, icon: 'fa-chart-line' },
-            { id: 6, title: 'Interactive Exploration', period: 'All Periods', class: Scene6Interactive, icon: 'fa-compass' }
+            ...NARRATIVE_SCENES.map((definition, i) => ({ id: i + 1, periodKey: definition.periodKey, definition })),
+            { id: NARRATIVE_SCENES.length + 1, title: 'Interactive Exploration', period: 'All Periods', class: Scene6Interactive, icon: 'fa-compass' }
         ];
         
         this.sceneInstances = {};
+        this.activeScene = null; // Scene instance on screen
+        this.sceneTransition = 0; // Bumped per navigation so a superseded one stops after its exit
+        this.router = null;
         this.init();
     }
     
@@ -47,14 +64,30 @@ class NarrativeVisualization {
             // Setup the visualization container
             this.setupVisualizationContainer();
             
+            // The processor keeps the years in the time range
+            this.dataProcessor.configure({
+                timeRange: this.parameters.timeRange,
+                selectedIndicators: this.parameters.selectedIndicators
+            });
+            
+            // Period config drives the navigation labels
+            await this.loadPeriods();
+            
             // Setup navigation
             this.setupNavigation();
+            this.setupKeyboardShortcuts();
             
             // Load data and wait for it to complete
             await this.loadData();
             
-            // Render first scene (now data is guaranteed to be loaded)
-            this.renderScene(this.currentScene);
+            // View mode, time range and indicator selectors, shared by every scene
+            this.setupViewControls();
+            
+            // Render the scene the URL points at (#/scene/4?year=1929), or the first one;
+            // back/forward and edited URLs are routed from here on
+            this.router = new HashRouter(route => this.applyRoute(route));
+            this.applyRoute(this.router.start() || { sceneId: this.currentScene, state: {} });
+            this.router.replace(this.currentScene, this.getSceneState(this.currentScene));
             
             console.log('✅ Application initialized successfully');
         } catch (error) {
@@ -63,19 +96,183 @@ class NarrativeVisualization {
         }
     }
     
+    async loadPeriods() {
+        const catalogue = await this.dataProcessor.loadPeriods();
+        
+        this.scenes.forEach(scene => {
+            if (!scene.periodKey) return;
+            
+            const period = catalogue.get(scene.periodKey);
+            if (!period) {
+                throw new Error(`Period '${scene.periodKey}' for scene ${scene.id} is missing from the period config`);
+            }
+            scene.title = period.name;
+            scene.period = `${period.start}-${period.end}`;
+            scene.icon = period.icon || 'fa-clock';
+        });
+    }
+    
+    setupViewControls() {
+        const controls = d3.select('#visualization-container')
+            .insert('div', 'svg')
+            .attr('class', 'view-controls');
+        
+        const modeLabel = controls.append('label');
+        modeLabel.append('span').text('View: ');
+        const modeSelect = modeLabel.append('select')
+            .on('change', event => this.setViewMode(event.target.value));
+        
+        modeSelect.selectAll('option')
+            .data(Object.entries(VIEW_MODES))
+            .enter()
+            .append('option')
+            .attr('value', ([key]) => key)
+            .property('selected', ([key]) => key === this.parameters.viewMode)
+            .text(([, mode]) => mode.label);
+        
+        // Base year only matters for the indexed view
+        const baseYearLabel = controls.append('label')
+            .attr('class', 'view-base-year')
+            .style('display', this.parameters.viewMode === 'indexed' ? null : 'none');
+        baseYearLabel.append('span').text('Base year: ');
+        baseYearLabel.append('input')
+            .attr('type', 'number')
+            .attr('step', 1)
+            .attr('placeholder', 'first year')
+            .property('value', this.parameters.baseYear ?? '')
+            .on('change', event => {
+                const year = parseInt(event.target.value);
+                this.parameters.baseYear = isNaN(year) ? null : year;
+                this.updateScene();
+            });
+        
+        // Time range: the dataset is reprocessed for it, within the years of the first load
+        const [minYear, maxYear] = this.data.summary.yearRange;
+        const rangeLabel = controls.append('label')
+            .attr('class', 'view-time-range');
+        rangeLabel.append('span').text('Years: ');
+        ['start', 'end'].forEach((bound, i) => {
+            if (i === 1) rangeLabel.append('span').text(' - ');
+            rangeLabel.append('input')
+                .attr('type', 'number')
+                .attr('class', `view-time-range-${bound}`)
+                .attr('min', minYear)
+                .attr('max', maxYear)
+                .attr('step', 1)
+                .property('value', this.parameters.timeRange[i])
+                .on('change', () => {
+                    const range = ['start', 'end'].map(key => parseInt(d3.select(`.view-time-range-${key}`).property('value')));
+                    this.setTimeRange(range).catch(error => {
+                        console.error('❌ Could not change the time range:', error.message);
+                        this.updateTimeRangeInputs();
+                    });
+                });
+        });
+        
+        // Dataset series to plot
+        const indicatorPicker = controls.append('details')
+            .attr('class', 'view-indicators');
+        indicatorPicker.append('summary').text('Indicators');
+        const indicatorLabels = indicatorPicker.selectAll('label')
+            .data(IndicatorRegistry.sourceKeys())
+            .enter()
+            .append('label');
+        indicatorLabels.append('input')
+            .attr('type', 'checkbox')
+            .attr('value', d => d)
+            .property('checked', d => this.parameters.selectedIndicators.includes(d))
+            .on('change', () => {
+                const selected = indicatorPicker.selectAll('input:checked').nodes().map(node => node.value);
+                this.setSelectedIndicators(selected);
+            });
+        indicatorLabels.append('span').text(d => ` ${IndicatorRegistry.getLabel(d)}`);
+    }
+    
+    setViewMode(mode) {
+        if (!VIEW_MODES[mode]) {
+            throw new Error(`Unknown view mode: ${mode}`);
+        }
+        
+        this.parameters.viewMode = mode;
+        d3.select('.view-base-year').style('display', mode === 'indexed' ? null : 'none');
+        d3.select('.view-controls select').property('value', mode);
+        this.updateScene();
+    }
+    
+    /**
+     * Show a different span of years: the processor filters, fills and segments the dataset
+     * for it again (periods, change points and the summary all depend on the range), then the
+     * current scene is rendered from the new data
+     * @param {Array} timeRange - [startYear, endYear]
+     * @returns {Promise} Settles once the scene shows the new range
+     */
+    async setTimeRange(timeRange) {
+        const previous = this.parameters.timeRange;
+        this.dataProcessor.configure({ timeRange });
+        this.parameters.timeRange = [...this.dataProcessor.timeRange];
+        this.updateTimeRangeInputs();
+        
+        try {
+            this.data = await this.dataProcessor.reprocess();
+        } catch (error) {
+            // Keep showing the data we have, for the range it was processed for
+            this.dataProcessor.configure({ timeRange: previous });
+            this.parameters.timeRange = previous;
+            throw error;
+        }
+        
+        this.renderDataQualityReport(this.data.quality);
+        this.refreshScenes();
+    }
+    
+    updateTimeRangeInputs() {
+        d3.select('.view-time-range-start').property('value', this.parameters.timeRange[0]);
+        d3.select('.view-time-range-end').property('value', this.parameters.timeRange[1]);
+    }
+    
+    /**
+     * Choose which dataset series the scenes plot; processed rows keep every indicator, so
+     * the processor's selection (getDataForPeriod) and the scenes change without reprocessing
+     * @param {Array} indicators - Indicator keys
+     */
+    setSelectedIndicators(indicators) {
+        this.dataProcessor.configure({ selectedIndicators: indicators });
+        this.parameters.selectedIndicators = [...indicators];
+        
+        d3.selectAll('.view-indicators input')
+            .property('checked', function() { return indicators.includes(this.value); });
+        this.refreshScenes();
+    }
+    
+    /**
+     * Rebuild the scene on screen from this.data and the parameters, keeping its state;
+     * scenes hold the data they were built with, so instances of other scenes are dropped
+     */
+    refreshScenes() {
+        const state = this.getSceneState(this.currentScene);
+        this.sceneInstances = {};
+        
+        // Supersedes a transition still waiting on an exit, as applyRoute() does
+        this.sceneTransition++;
+        this.renderScene(this.currentScene, state);
+    }
+    
     setupVisualizationContainer() {
         const container = d3.select('#visualization-container');
         
-        // Clear loading message
-        container.select('#loading').remove();
-        
-        // Create SVG container
+        // Create SVG container - hidden while #loading shows data loading progress
         this.svg = container
             .append('svg')
             .attr('width', this.parameters.width)
             .attr('height', this.parameters.height)
             .attr('viewBox', `0 0 ${this.parameters.width} ${this.parameters.height}`)
-            .attr('preserveAspectRatio', 'xMidYMid meet');
+            .attr('preserveAspectRatio', 'xMidYMid meet')
+            .style('display', 'none');
+        ChartDescription.labelChart(this.svg);
+        
+        // Text alternative for the chart: summary for screen readers and a data table
+        container.append('div')
+            .attr('class', 'chart-description');
         
         // Add navigation arrows
         this.addNavigationArrows();
@@ -98,13 +295,91 @@ class NarrativeVisualization {
             .html(d => `<i class="fas ${d.icon}"></i><span>${d.title} (${d.period})</span>`);
     }
     
+    setupKeyboardShortcuts() {
+        const help = d3.select('#keyboard-help');
+        
+        const shortcuts = help.select('.help-shortcuts')
+            .selectAll('div')
+            .data(keyboardShortcuts(this.scenes.length))
+            .enter()
+            .append('div')
+            .style('display', 'contents');
+        shortcuts.append('dt')
+            .html(d => d.keys.map(key => key === '-' ? ' to ' : `<kbd>${key}</kbd>`).join(' '));
+        shortcuts.append('dd')
+            .text(d => d.description);
+        
+        help.select('.help-close').on('click', () => this.toggleHelp(false));
+        help.on('click', event => {
+            // Clicking the backdrop closes the help
+            if (event.target === help.node()) this.toggleHelp(false);
+        });
+        
+        d3.select(document).on('keydown.shortcuts', event => this.handleKeydown(event));
+    }
+    
+    handleKeydown(event) {
+        // Chart elements handle their own arrow keys; leave browser and OS shortcuts alone
+        if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) return;
+        
+        const helpOpen = !d3.select('#keyboard-help').property('hidden');
+        
+        if (event.key === 'Escape') {
+            if (helpOpen) {
+                this.toggleHelp(false);
+            } else {
+                SceneUtils.hideTooltip();
+                this.activeScene?.updateState?.({ event: null });
+            }
+            return;
+        }
+        
+        // Typing in the view controls shouldn't navigate
+        if (['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target.tagName)) return;
+        
+        if (event.key === '?') {
+            event.preventDefault();
+            this.toggleHelp(!helpOpen);
+            return;
+        }
+        if (helpOpen) return;
+        
+        if (event.key === 'ArrowLeft') {
+            event.preventDefault();
+            this.previousScene();
+        } else if (event.key === 'ArrowRight') {
+            event.preventDefault();
+            this.nextScene();
+        } else if (/^[1-9]$/.test(event.key) && this.scenes.some(scene => scene.id === parseInt(event.key))) {
+            this.navigateToScene(parseInt(event.key));
+        }
+    }
+    
+    /**
+     * Show or hide the keyboard shortcuts overlay, moving focus into it and back
+     * @param {boolean} show
+     */
+    toggleHelp(show) {
+        const help = d3.select('#keyboard-help');
+        
+        if (show) {
+            this.focusBeforeHelp = document.activeElement;
+            help.property('hidden', false);
+            help.select('.help-close').node().focus();
+        } else {
+            help.property('hidden', true);
+            this.focusBeforeHelp?.focus?.();
+            this.focusBeforeHelp = null;
+        }
+    }
+    
     addNavigationArrows() {
         const arrowSize = 60;
         const arrowY = 50; // Moved to top of chart
         const leftX = 20; // Fixed: moved back to visible position
         const rightX = this.parameters.width - 30;
         
-        // Left arrow (previous scene) - only create for scenes 2-6
+        // Left arrow (previous scene) - every scene but the first
         if (this.currentScene !== 1) {
             this.svg.append('g')
                 .attr('class', 'nav-arrow left-arrow')
@@ -128,8 +403,8 @@ class NarrativeVisualization {
                 .text('‹');
         }
         
-        // Right arrow (next scene) - only create for scenes 1-5
-        if (this.currentScene !== 6) {
+        // Right arrow (next scene) - every scene but the last
+        if (this.currentScene !== this.scenes.length) {
             this.svg.append('g')
                 .attr('class', 'nav-arrow right-arrow')
                 .style('cursor', 'pointer')
@@ -157,13 +432,26 @@ class NarrativeVisualization {
         console.log('📊 Loading UK Millennium Dataset...');
         
         try {
-            // Load and process the real data using our DataProcessor
-            this.data = await this.dataProcessor.loadData();
+            // Production builds ship a pre-processed bundle (see build-prod.js); development always
+            // processes the raw CSV (in a worker where supported) so a stale bundle can't mask edits
+            this.dataProcessor.onProgress = progress => this.showLoadingProgress(progress);
+            const isProduction = document.documentElement.dataset.env === 'production';
+            
+            this.data = isProduction
+                ? await this.dataProcessor.loadBundle()
+                : await this.dataProcessor.loadData();
+            
+            // Swap the loading message for the chart
+            d3.select('#loading').remove();
+            this.svg.style('display', null);
             
             console.log('✅ Data loaded successfully!');
             console.log(`📈 Data Summary:`, this.data.summary);
             console.log(`🏛️ Periods available:`, Object.keys(this.data.periods));
             
+            // Surface the validation results rather than leaving them in the console
+            this.renderDataQualityReport(this.data.quality);
+            
             // Log some key statistics
             if (this.data.summary.dramaticChanges.length > 0) {
                 console.log('🎯 Most Dramatic Changes:');
@@ -178,7 +466,79 @@ class NarrativeVisualization {
         }
     }
     
-    navigateToScene(sceneId) {
+    showLoadingProgress({ label, step, steps, rowsParsed, totalRows }) {
+        const rows = totalRows ? ` (${rowsParsed.toLocaleString()} of ${totalRows.toLocaleString()} rows)` : '';
+        d3.select('#loading-status').text(`${label}${rows}`);
+        
+        // Parsing moves the bar within its own step as rows come in
+        const withinStep = totalRows ? rowsParsed / totalRows : 0;
+        d3.select('#loading-progress').attr('value', Math.min(1, (step - 1 + withinStep) / (steps - 1)));
+    }
+    
+    renderDataQualityReport(report) {
+        if (!report) return;
+        
+        const label = key => IndicatorRegistry.get(key)?.label || key;
+        const issues = [
+            ...report.missingColumns.map(d => `Missing column for ${label(d.indicator)} (expected "${d.expected.join('" or "')}")`),
+            ...report.duplicateYears.map(d => `Year ${d.year} appears ${d.count} times`),
+            ...report.nonMonotonicYears.map(d => `Year ${d.year} follows ${d.previousYear} (rows out of order)`),
+            ...report.missingYears.map(d => `No rows for ${d.from}-${d.to}`),
+            ...report.invalidValues.map(d => `${label(d.indicator)} in ${d.year}: could not read "${d.raw}"`),
+            ...report.outOfRange.map(d => `${label(d.indicator)} in ${d.year}: ${d.value} outside ${d.range[0]}-${d.range[1]}`),
+            ...report.gaps.map(d => `${label(d.indicator)} missing for ${d.from}-${d.to} (${d.years} years${d.filled ? `, ${GapFiller.describe(d.strategy)}` : ''})`)
+        ];
+        
+        d3.select('footer').selectAll('.data-quality-report').remove();
+        
+        const details = d3.select('footer')
+            .append('details')
+            .attr('class', `data-quality-report ${report.valid ? '' : 'has-errors'}`);
+        
+        details.append('summary')
+            .text(`Data quality: ${DataValidator.summarise(report)}`);
+        
+        if (issues.length === 0) return;
+        
+        const maxIssues = 25;
+        details.append('ul')
+            .selectAll('li')
+            .data(issues.slice(0, maxIssues))
+            .enter()
+            .append('li')
+            .text(d => d);
+        
+        if (issues.length > maxIssues) {
+            details.append('p')
+                .text(`...and ${issues.length - maxIssues} more`);
+        }
+    }
+    
+    /**
+     * Show a route's scene with its state (from the URL, back/forward)
+     * @param {Object} route - { sceneId, state } from HashRouter.parse()
+     */
+    applyRoute({ sceneId, state }) {
+        if (!this.scenes.some(scene => scene.id === sceneId)) {
+            console.warn(`⚠️ No scene ${sceneId}, staying on scene ${this.currentScene}`);
+            return;
+        }
+        
+        if (sceneId === this.currentScene) {
+            // Supersedes a transition to this scene that is still waiting on an exit
+            this.sceneTransition++;
+            this.renderScene(sceneId, state);
+        } else {
+            this.navigateToScene(sceneId, state, { updateUrl: false });
+        }
+    }
+    
+    /**
+     * @param {number} sceneId - Scene to show
+     * @param {Object} state - Scene state to restore, see HashRouter
+     * @param {Object} options - { updateUrl: add a history entry for the scene (default true) }
+     */
+    navigateToScene(sceneId, state = {}, { updateUrl = true } = {}) {
         if (sceneId === this.currentScene) return;
         
         // Update navigation
@@ -193,12 +553,62 @@ class NarrativeVisualization {
         // Update arrow visibility
         this.updateArrowVisibility();
         
-        // Render new scene
-        this.renderScene(sceneId);
+        if (updateUrl && this.router) {
+            this.router.push(sceneId, state);
+        }
+        
+        // Swap scenes once the current one has animated out
+        this.transitionToScene(sceneId, state);
         
         console.log(`📍 Navigated to Scene ${sceneId}`);
     }
     
+    /**
+     * Run the outgoing scene's exit, then render the new scene. Between two period scenes the
+     * trend line stays on screen and zooms along the timeline to the new period (see
+     * TimelineTransition); otherwise the new scene's x-axis morphs from the old domain.
+     * Navigating again mid-way abandons this transition.
+     * @param {number} sceneId - Scene to show
+     * @param {Object} state - Scene state to restore
+     */
+    async transitionToScene(sceneId, state) {
+        const transition = ++this.sceneTransition;
+        const outgoing = this.activeScene;
+        const period = this.data.periods[this.scenes.find(s => s.id === sceneId)?.periodKey];
+        let fromDomain = outgoing?.xScale?.domain() || null;
+        let timeline = null;
+        
+        if (period && outgoing instanceof BaseScene && TimelineTransition.canMorph(outgoing, this.parameters)) {
+            try {
+                timeline = TimelineTransition.from(this.svg, outgoing, { data: this.data, parameters: this.parameters });
+            } catch (error) {
+                console.error('❌ Timeline transition failed:', error);
+            }
+        }
+        
+        if (outgoing?.exit) {
+            try {
+                await outgoing.exit();
+            } catch (error) {
+                console.error('❌ Scene exit failed:', error);
+            }
+        }
+        if (timeline && transition === this.sceneTransition) {
+            await timeline.morphTo(period);
+            fromDomain = null;
+        }
+        if (transition !== this.sceneTransition) {
+            timeline?.remove();
+            return;
+        }
+        
+        this.renderScene(sceneId, state, { fromDomain });
+        timeline?.finish((this.activeScene?.animationDuration || 0) + 500);
+        if (this.router && this.currentScene === sceneId) {
+            this.router.replace(sceneId, this.getSceneState(sceneId));
+        }
+    }
+    
     previousScene() {
         const newScene = this.currentScene > 1 ? this.currentScene - 1 : this.scenes.length;
         this.navigateToScene(newScene);
@@ -217,11 +627,47 @@ class NarrativeVisualization {
         this.addNavigationArrows();
     }
     
-    renderScene(sceneId) {
+    getSceneState(sceneId) {
+        return this.sceneInstances[sceneId]?.getState?.() || {};
+    }
+    
+    /**
+     * Re-render the scene on screen for changed parameters (view mode, time range, indicators)
+     */
+    updateScene() {
+        // Mid-transition the outgoing scene is still active; the incoming one renders with the new parameters
+        if (this.activeScene && this.activeScene !== this.sceneInstances[this.currentScene]) return;
+        
+        if (!this.activeScene?.update) {
+            this.renderScene(this.currentScene);
+            return;
+        }
+        
+        try {
+            this.activeScene.update(this.parameters);
+            this.describeScene(this.scenes.find(s => s.id === this.currentScene), this.activeScene);
+        } catch (error) {
+            console.error(`🚨 Error updating scene ${this.currentScene}:`, error);
+            this.renderScene(this.currentScene);
+        }
+    }
+    
+    /**
+     * @param {number} sceneId - Scene to render
+     * @param {Object} state - Scene state to restore (default: keep the scene's current state)
+     * @param {Object} options - { fromDomain: x domain of the previous scene, for the axis to morph from }
+     */
+    renderScene(sceneId, state = this.getSceneState(sceneId), { fromDomain = null } = {}) {
         console.log(`🎬 Rendering Scene ${sceneId}...`);
         
-        // Clear previous scene
+        // Clear previous scene, including its tooltips and any HTML controls it added
+        if (this.activeScene?.destroy) {
+            this.activeScene.destroy();
+        }
+        this.activeScene = null;
         this.svg.selectAll('.scene-content').remove();
+        d3.selectAll('.scene-controls').remove();
+        d3.select('.chart-description').selectAll('*').remove();
         
         // Create scene group
         const sceneGroup = this.svg.append('g')
@@ -237,21 +683,28 @@ class NarrativeVisualization {
             return;
         }
         
-        // Render scene using dedicated scene class or fallback - PROTECTED WITH TRY/CATCH
-        if (sceneConfig.class) {
+        // Render scene from its definition or dedicated scene class, or fallback - PROTECTED WITH TRY/CATCH
+        if (sceneConfig.definition || sceneConfig.class) {
             try {
-                // Use dedicated scene class
-                const SceneClass = sceneConfig.class;
-                const sceneInstance = new SceneClass(sceneGroup, this.data, this.parameters);
+                const sceneInstance = sceneConfig.definition
+                    ? new BaseScene(sceneConfig.definition, sceneGroup, this.data, this.parameters, state)
+                    : new sceneConfig.class(sceneGroup, this.data, this.parameters, state);
                 this.sceneInstances[sceneId] = sceneInstance;
-                sceneInstance.render();
+                this.activeScene = sceneInstance;
+                
+                // Keep the URL in step with what the scene shows
+                sceneInstance.onStateChange = sceneState => {
+                    if (this.router && this.currentScene === sceneId) this.router.replace(sceneId, sceneState);
+                };
+                sceneInstance.enter({ fromDomain });
+                this.describeScene(sceneConfig, sceneInstance);
                 
                 console.log(`✅ Scene ${sceneId} (${sceneConfig.title}) rendered successfully`);
             } catch (error) {
                 console.error(`🚨 Error rendering scene ${sceneId} (${sceneConfig.title}):`, error);
                 
-                // Don't show error message for Scene 6 (Interactive Exploration) - let it handle its own errors
-                if (sceneId !== 6) {
+                // Don't show error message for Interactive Exploration - let it handle its own errors
+                if (sceneConfig.definition) {
                     // Show error message instead of breaking everything
                     sceneGroup.append('text')
                         .attr('x', this.parameters.width / 2)
@@ -276,7 +729,16 @@ class NarrativeVisualization {
         }
     }
     
-
+    /**
+     * Text alternatives for the rendered scene: SVG title, prose summary, labelled points and
+     * markers, and a table of the plotted series (see ChartDescription)
+     * @param {Object} sceneConfig - Entry of this.scenes
+     * @param {Object} scene - Rendered scene instance
+     */
+    describeScene(sceneConfig, scene) {
+        const title = `Scene ${sceneConfig.id}: ${sceneConfig.title} (${sceneConfig.period})`;
+        ChartDescription.describeScene(this.svg, d3.select('.chart-description'), title, scene);
+    }
     
     renderPlaceholder(group, title = 'Coming Soon') {
         const centerX = (this.parameters.width - this.parameters.margin.left - this.parameters.margin.right) / 2;
@@ -321,100 +783,44 @@ class NarrativeVisualization {
         annotationDivs.append('div')
             .attr('class', 'annotation-content')
             .html(d => d.content || d.text);
+        
+        // Price converter, starting from the scene's first year
+        const converter = this.dataProcessor.getValueConverter();
+        if (converter) {
+            const scene = this.scenes.find(s => s.id === sceneId);
+            const year = this.dataProcessor.periodCatalogue?.get(scene?.periodKey)?.start ?? 1900;
+            
+            const widgetAnnotation = annotationPanel.append('div')
+                .attr('class', 'annotation');
+            widgetAnnotation.append('h3')
+                .text('What was it worth?');
+            InflationWidget.render(widgetAnnotation, converter, { year });
+        }
     }
     
     getAnnotationsForScene(sceneId) {
-        // Get actual data statistics if available
-        const dataStats = this.data?.periods || {};
-        
-        const annotationData = {
-            1: [
-                {
-                    title: 'Medieval Times',
-                    content: 'For centuries, England\'s economy remained locked in medieval patterns with sparse data, agricultural dominance, and extreme volatility from famines and plagues. The <a href="https://en.wikipedia.org/wiki/Medieval_demography" target="_blank">medieval demographic cycle</a> saw repeated population crashes and recoveries.'
-                },
-                {
-                    title: 'Population Stagnation',
-                    content: `Population grew very slowly from ~3.6M to ~4.3M over 300 years. The <a href="https://en.wikipedia.org/wiki/Black_Death" target="_blank">Black Death (1348)</a> devastated the population by 30-40%, creating labor shortages that eventually led to the end of serfdom.`
-                },
-                {
-                    title: 'Economic Structure',
-                    content: `Medieval economy dominated by <a href="https://en.wikipedia.org/wiki/Medieval_agriculture" target="_blank">agriculture (70-85%)</a>, with emerging crafts & trade sectors. Service economy minimal, limited to basic commerce and religious institutions.`
-                }
-            ],
-            2: [
-                {
-                    title: 'The Great Awakening',
-                    content: 'The <a href="https://en.wikipedia.org/wiki/Renaissance" target="_blank">Renaissance</a> brought economic dynamism - population surged, trade expanded, and financial innovations emerged. The <a href="https://en.wikipedia.org/wiki/Age_of_Discovery" target="_blank">Age of Discovery</a> opened global trade routes.'
-                },
-                {
-                    title: 'Financial Innovation',
-                    content: '<a href="https://en.wikipedia.org/wiki/Bank_of_England" target="_blank">Bank of England</a> founded (1694), <a href="https://en.wikipedia.org/wiki/Stock_market" target="_blank">stock markets</a> emerge, interest rates fall from 10%+ to 3-5%. The <a href="https://en.wikipedia.org/wiki/Financial_Revolution" target="_blank">Financial Revolution</a> created modern banking.'
-                },
-                {
-                    title: 'GDP Acceleration',
-                    content: 'England GDP grows from £2.6M to £10.7M - 4x growth in 250 years, setting stage for <a href="https://en.wikipedia.org/wiki/Industrial_Revolution" target="_blank">industrial revolution</a>. Population doubles from 4M to 8M.'
-                }
-            ],
-            3: [
-                {
-                    title: 'Industrial Explosion',
-                    content: 'The <a href="https://en.wikipedia.org/wiki/Industrial_Revolution" target="_blank">Industrial Revolution</a> created sustained economic growth for the first time in human history. <a href="https://en.wikipedia.org/wiki/Steam_engine" target="_blank">Steam power</a> and <a href="https://en.wikipedia.org/wiki/Factory_system" target="_blank">factory system</a> revolutionized production.'
-                },
-                {
-                    title: 'Exponential Growth',
-                    content: 'Real GDP explodes 20x from £10M to £200M. Population quadruples with massive <a href="https://en.wikipedia.org/wiki/Urbanization" target="_blank">urbanization</a>. <a href="https://en.wikipedia.org/wiki/Railway_manias" target="_blank">Railway manias</a> and infrastructure boom.'
-                },
-                {
-                    title: 'Modern Economy Born',
-                    content: 'Shift from 80% agricultural to 20% agricultural employment. <a href="https://en.wikipedia.org/wiki/Real_wage" target="_blank">Real wages</a> rise for first time in centuries. <a href="https://en.wikipedia.org/wiki/Middle_class" target="_blank">Middle class</a> emerges.'
-                }
-            ],
-            4: [
-                {
-                    title: 'Crisis & Transformation',
-                    content: 'Two <a href="https://en.wikipedia.org/wiki/World_War_I" target="_blank">world wars</a> and the <a href="https://en.wikipedia.org/wiki/Great_Depression" target="_blank">Great Depression</a> shattered the old economic order, birthing the modern state. <a href="https://en.wikipedia.org/wiki/Keynesian_economics" target="_blank">Keynesian economics</a> emerges.'
-                },
-                {
-                    title: 'Big Government',
-                    content: 'Government spending explodes from 10% to 40%+ of GDP during wars. <a href="https://en.wikipedia.org/wiki/Unemployment" target="_blank">Unemployment</a> peaks at 15%+ in 1930s. <a href="https://en.wikipedia.org/wiki/Welfare_state" target="_blank">Welfare state</a> established.'
-                },
-                {
-                    title: 'New Economic Order',
-                    content: '<a href="https://en.wikipedia.org/wiki/Gold_standard" target="_blank">Gold standard</a> abandoned, modern economic management emerges. <a href="https://en.wikipedia.org/wiki/Bretton_Woods_system" target="_blank">Bretton Woods</a> creates new monetary order.'
-                }
-            ],
-            5: [
-                {
-                    title: 'Modern Service Economy',
-                    content: 'Britain transforms from industrial powerhouse to <a href="https://en.wikipedia.org/wiki/Service_economy" target="_blank">service economy</a>, bringing new prosperity and financial risks. <a href="https://en.wikipedia.org/wiki/Thatcherism" target="_blank">Thatcher reforms</a> accelerate transition.'
-                },
-                {
-                    title: 'Service Dominance',
-                    content: 'Services grow from 40% to 80% of economy. <a href="https://en.wikipedia.org/wiki/Financial_services" target="_blank">Financial sector</a> profits surge as manufacturing declines. <a href="https://en.wikipedia.org/wiki/Big_Bang_(financial_markets)" target="_blank">Big Bang</a> deregulation (1986).'
-                },
-                {
-                    title: 'Asset Inflation',
-                    content: '<a href="https://en.wikipedia.org/wiki/House_price_index" target="_blank">House prices</a> explode 100x since 1950, while wages rise only 10x. <a href="https://en.wikipedia.org/wiki/Consumer_debt" target="_blank">Consumer debt</a> mountains accumulate. <a href="https://en.wikipedia.org/wiki/Financial_crisis_of_2007%E2%80%9308" target="_blank">2008 crisis</a> exposes risks.'
-                }
-            ],
-            6: [
-                {
-                    title: 'Interactive Exploration',
-                    content: 'Explore 1000+ years of UK economic data to discover patterns, correlations, and long-term trends. <a href="https://en.wikipedia.org/wiki/Data_visualization" target="_blank">Data visualization</a> reveals hidden economic cycles.'
-                },
-                {
-                    title: 'Historical Context',
-                    content: 'Compare different time periods, analyze crisis impacts, and understand how past events shaped modern Britain. <a href="https://en.wikipedia.org/wiki/Economic_history" target="_blank">Economic history</a> provides crucial lessons.'
-                },
-                {
-                    title: 'Data Insights',
-                    content: `${this.data?.summary?.dramaticChanges?.[0]?.description || 'Discover dramatic transformations in UK economic history.'} <a href="https://en.wikipedia.org/wiki/Macroeconomic_data" target="_blank">Macroeconomic data</a> from <a href="https://en.wikipedia.org/wiki/Bank_of_England" target="_blank">Bank of England</a>.`
-                }
-            ]
-        };
+        // Narrative eras bring their own
+        const sceneConfig = this.scenes.find(s => s.id === sceneId);
+        if (sceneConfig?.definition) {
+            return sceneConfig.definition.annotations || [];
+        }
+        
+        if (sceneConfig?.class !== Scene6Interactive) return [];
         
-        return annotationData[sceneId] || [];
+        return [
+            {
+                title: 'Interactive Exploration',
+                content: 'Explore 1000+ years of UK economic data to discover patterns, correlations, and long-term trends. <a href="https://en.wikipedia.org/wiki/Data_visualization" target="_blank">Data visualization</a> reveals hidden economic cycles.'
+            },
+            {
+                title: 'Historical Context',
+                content: 'Compare different time periods, analyze crisis impacts, and understand how past events shaped modern Britain. <a href="https://en.wikipedia.org/wiki/Economic_history" target="_blank">Economic history</a> provides crucial lessons.'
+            },
+            {
+                title: 'Data Insights',
+                content: `${this.data?.summary?.dramaticChanges?.[0]?.description || 'Discover dramatic transformations in UK economic history.'} <a href="https://en.wikipedia.org/wiki/Macroeconomic_data" target="_blank">Macroeconomic data</a> from <a href="https://en.wikipedia.org/wiki/Bank_of_England" target="_blank">Bank of England</a>.`
+            }
+        ];
     }
     
     showError(message) {
@@ -431,7 +837,7 @@ class NarrativeVisualization {
 // Initialize the application when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
     console.log('🎯 DOM loaded, starting application...');
-    new NarrativeVisualization();
+    window.debugViz.app = new NarrativeVisualization();
 });
 
 // Add some debugging helpers
@@ -0,0 +1,432 @@
+/**
+ * Base Scene
+ * Rendering pipeline shared by the narrative scenes: the period's trend line, event markers,
+ * economic structure and tooltips. Each era is a declarative definition (see
+ * scenes/definitions/); its title and years come from the period config, its industry shares
+ * from the processed data (see SectorShares) and its event markers are the catalogue events
+ * tagged 'story' (see EventCatalogue).
+ *
+ * Definition format:
+ * {
+ *   periodKey: 'medieval',                        // Period in periods.json and data.periods
+ *   subtitle: 'Centuries of Economic Stagnation',
+ *   emoji: '🏰',                                   // Console log prefix
+ *   contexts: [{ until: 1250, period, structure, social }, ..., { period, ... }],
+ *   annotations: [{ title, content }]             // Annotation panel, HTML content
+ * }
+ */
+
+import { ColorPalette } from '../utils/ColorPalette.js';
+import { SceneUtils } from '../utils/SceneUtils.js';
+import { PopulationEstimator } from '../data/PopulationEstimator.js';
+import { PeriodCatalogue } from '../data/PeriodCatalogue.js';
+import { EventCatalogue } from '../data/EventCatalogue.js';
+import { SectorShares } from '../data/SectorShares.js';
+import { ValueConverter } from '../data/ValueConverter.js';
+import { IndicatorRegistry } from '../data/IndicatorRegistry.js';
+
+// Periods whose scene has rendered before, so return visits skip the entrance animation
+const renderedPeriods = new Set();
+
+export class BaseScene {
+    /**
+     * @param {Object} definition - Scene definition, see above
+     * @param {Object} sceneGroup - D3 selection to render into
+     * @param {Object} data - Processed dataset
+     * @param {Object} parameters - App parameters
+     * @param {Object} state - Deep-link state to restore, see HashRouter
+     */
+    constructor(definition, sceneGroup, data, parameters, state = {}) {
+        this.definition = definition;
+        this.periodKey = definition.periodKey;
+        this.rootGroup = sceneGroup;
+        this.sceneGroup = sceneGroup;
+        this.data = data;
+        this.parameters = parameters;
+        
+        // Deep-link state (see HashRouter): focused year, open event story and plotted series
+        // (null = the first selected indicator with data, see SceneUtils.getPlottableIndicators)
+        this.state = { year: state.year ?? null, event: state.event ?? null, metric: state.metric ?? null };
+        this.onStateChange = null;
+        
+        this.animationDuration = renderedPeriods.has(this.periodKey) ? 0 : 1000; // No animation on subsequent renders
+        
+        // Period data (with null safety)
+        if (!data || !data.periods || !data.periods[this.periodKey]) {
+            console.error(`❌ BaseScene: Data for '${this.periodKey}' not loaded yet!`, data);
+            throw new Error(`Data not available for the ${this.periodKey} scene. Please wait for data to load.`);
+        }
+        // Name and years from the period config
+        this.period = data.periods[this.periodKey];
+        this.title = `${this.period.name} (${this.period.start}-${this.period.end})`;
+        this.prepareData();
+        this.populationEstimator = PopulationEstimator.forData(data);
+        this.periodCatalogue = PeriodCatalogue.forData(data);
+        this.eventCatalogue = EventCatalogue.forData(data);
+        this.sectorShares = SectorShares.forData(data);
+        this.valueConverter = ValueConverter.forData(data);
+        
+        // Chart dimensions - move chart up by reducing top margin, but keep header visible
+        this.margin = { top: 100, right: 80, bottom: 80, left: 100 }; // Much larger top margin to make chart 20% shorter
+        this.width = parameters.width - this.margin.left - this.margin.right;
+        this.height = parameters.height - this.margin.top - this.margin.bottom;
+        
+        console.log(`${definition.emoji} ${this.title}: ${this.periodData.data.length} years of data`);
+    }
+    
+    render() {
+        console.log(`🎬 Rendering ${this.title}...`);
+        
+        // Clear any existing content
+        this.rootGroup.selectAll('*').remove();
+        
+        // Create main group
+        this.sceneGroup = this.rootGroup
+            .append('g')
+            .attr('class', `scene-${this.periodKey}`)
+            .attr('transform', `translate(${this.margin.left}, ${this.margin.top})`);
+        
+        // Render the main chart of the selected series with most data for this period
+        this.renderPopulationChart();
+        
+        // Which selected series to plot, when there is a choice
+        this.addSeriesPicker();
+        
+        // Add scene title and description
+        this.addSceneTitle();
+        
+        // Add economic structure visualization
+        this.addEconomicStructure();
+        
+        // Re-open the year or event story the URL points at
+        SceneUtils.restoreFocus(this, (historicalEvent, i) => this.showEventStory(null, historicalEvent, this.getEventColor(i)));
+        
+        // Mark as rendered to prevent re-animation on subsequent visits
+        renderedPeriods.add(this.periodKey);
+        
+        return this;
+    }
+    
+    prepareData() {
+        // Clipped to the app's time range
+        this.periodData = SceneUtils.clipPeriod(this.data.periods[this.periodKey], this.parameters.timeRange);
+    }
+    
+    /**
+     * Render on arrival, morphing the x-axis from the previous scene's years
+     * @param {Object} options - { fromDomain: previous scene's x domain }
+     */
+    enter({ fromDomain = null } = {}) {
+        this.render();
+        SceneUtils.morphXAxis(this.sceneGroup.select('.x-axis'), this.xScale, fromDomain);
+        return this;
+    }
+    
+    /**
+     * Re-render in place for new app parameters (view mode, time range, indicators)
+     * @param {Object} parameters - App parameters
+     */
+    update(parameters) {
+        this.parameters = parameters;
+        this.prepareData();
+        this.animationDuration = 0;
+        return this.render();
+    }
+    
+    renderPopulationChart() {
+        console.log(`${this.definition.emoji} ${this.period.name} data available:`, this.periodData);
+        
+        // Every selected series with data in this period; GDP is plotted unless another is picked
+        const rows = this.periodData.data;
+        this.indicators = SceneUtils.getPlottableIndicators(rows, this.parameters.selectedIndicators);
+        this.view = null;
+        this.primaryData = [];
+        const series = Object.fromEntries(this.indicators.map(key => [key, SceneUtils.getIndicatorSeries(rows, key)]));
+        
+        // Use utility function for chart setup
+        SceneUtils.createChartSetup(
+            this.sceneGroup,
+            this.width,
+            this.height,
+            series,
+            this.animationDuration,
+            () => this.renderStagnationStory(),
+            (chartConfig) => this.renderTransformationStory(chartConfig),
+            {
+                indicator: this.state.metric,
+                viewMode: this.parameters.viewMode,
+                baseYear: this.parameters.baseYear,
+                getPopulation: SceneUtils.createPopulationLookup(rows, this.populationEstimator)
+            }
+        );
+    }
+    
+    /**
+     * Picker for the series on the main chart, listing the selected indicators with data here
+     */
+    addSeriesPicker() {
+        const container = d3.select('#visualization-container');
+        container.selectAll('.series-picker').remove();
+        if (!this.indicators || this.indicators.length < 2) return;
+        
+        const picker = container.insert('div', 'svg')
+            .attr('class', 'scene-controls series-picker');
+        
+        picker.append('label')
+            .attr('for', 'series-select')
+            .text('Series: ');
+        
+        picker.append('select')
+            .attr('id', 'series-select')
+            .on('change', event => {
+                this.updateState({ metric: event.target.value, year: null });
+                this.animationDuration = 0;
+                this.render();
+            })
+            .selectAll('option')
+            .data(this.indicators)
+            .enter()
+            .append('option')
+            .attr('value', d => d)
+            .property('selected', d => d === this.view?.indicator)
+            .text(d => IndicatorRegistry.getLabel(d));
+    }
+    
+    renderTransformationStory(chartConfig) {
+        console.log('📖 Rendering transformation story...');
+        
+        // Extract configuration from utility
+        const { xScale, yScale, chartHeight, primaryData, isPrimaryPopulation, view } = chartConfig;
+        
+        // Store scales for use in other methods
+        this.xScale = xScale;
+        this.yScale = yScale;
+        this.view = view;
+        this.primaryData = primaryData;
+        this.isPrimaryPopulation = isPrimaryPopulation;
+        
+        // Add axes
+        this.addMainAxes(chartHeight, isPrimaryPopulation);
+        
+        // Render main trend line
+        this.renderMainTrendLine(primaryData, isPrimaryPopulation);
+        
+        // Add interactive story points (historical events)
+        this.addInteractiveStoryPoints();
+    }
+    
+    addMainAxes(chartHeight, isPrimaryPopulation) {
+        SceneUtils.createMainAxes(
+            this.sceneGroup, 
+            this.width, 
+            this.height, 
+            chartHeight, 
+            this.xScale, 
+            this.yScale, 
+            isPrimaryPopulation, 
+            this.animationDuration,
+            this.view
+        );
+    }
+    
+    renderMainTrendLine(data, isPrimaryPopulation) {
+        SceneUtils.createMainTrendLine(
+            this.sceneGroup,
+            data,
+            this.xScale,
+            this.yScale,
+            isPrimaryPopulation,
+            this.animationDuration,
+            (event, d, isPrimaryPopulation) => {
+                if (event && d) {
+                    this.showEnhancedTooltip(event, d, isPrimaryPopulation);
+                } else {
+                    this.hideTooltip();
+                }
+            }
+        );
+    }
+    
+    addInteractiveStoryPoints() {
+        // Story events that fall within our data range
+        const [from, to] = this.xScale.domain();
+        const relevantEvents = this.eventCatalogue.query({ from, to, tags: ['story'] })
+            .filter(event => event.year >= from);
+        
+        this.events = relevantEvents;
+        
+        // Use utility function to create event markers
+        SceneUtils.createEventMarkers(
+            this.sceneGroup,
+            relevantEvents,
+            this.xScale,
+            this.height,
+            this.animationDuration,
+            (event, historicalEvent, markerColor) => {
+                if (event && historicalEvent && markerColor) {
+                    this.showEventTooltip(event, historicalEvent, markerColor);
+                } else {
+                    this.hideTooltip();
+                }
+            },
+            (event, historicalEvent, markerColor) => {
+                this.showEventStory(event, historicalEvent, markerColor);
+            },
+            {
+                data: this.primaryData,
+                yScale: this.yScale,
+                series: SceneUtils.getIndicatorSeries(this.data.enriched || this.periodData.data, this.view.indicator),
+                indicator: this.view.indicator
+            }
+        );
+    }
+    
+    // Scene-specific data methods
+    addSceneTitle() {
+        SceneUtils.createSceneTitle(
+            this.sceneGroup,
+            this.width,
+            this.title,
+            this.definition.subtitle
+        );
+    }
+    
+    addEconomicStructure() {
+        // Prepare time points data
+        const timePoints = this.prepareEconomicStructureData();
+        
+        if (timePoints.length === 0) return;
+        
+        // Use the same X-scale as the main chart to ensure proper alignment
+        const xScale = this.xScale || d3.scaleLinear()
+            .domain([Math.min(...timePoints.map(d => d.year)) - 10, Math.max(...timePoints.map(d => d.year)) + 10])
+            .range([0, this.width]);
+        
+        // Use utility function to create economic structure
+        SceneUtils.createEconomicStructure(
+            this.sceneGroup,
+            this.width,
+            this.height,
+            xScale,
+            timePoints,
+            this.getIndustries(),
+            this.animationDuration,
+            (event, data, industries) => {
+                this.showIndustryBreakdownTooltip(event, data, industries);
+            },
+            () => {
+                this.hideTooltip();
+            },
+            (startY) => {
+                this.addIndustryLegend(startY);
+            }
+        );
+    }
+    
+    prepareEconomicStructureData() {
+        // Use utility function for data preparation
+        return SceneUtils.prepareEconomicStructureData(
+            this.periodData.data,
+            (year) => this.sectorShares.get(year),
+            this.sectorShares.sectors,
+            5 // interval
+        );
+    }
+    
+    getIndustries() {
+        // Sectors from the processed data, names and colours for this period from the period config
+        return SceneUtils.getSectorIndustries(this.sectorShares, this.periodCatalogue, this.periodKey);
+    }
+    
+    describeIndustries(year) {
+        const names = Object.fromEntries(this.getIndustries().map(({ key, name }) => [key, name]));
+        return SceneUtils.describeSectorShares(this.sectorShares.get(year), names);
+    }
+    
+    addIndustryLegend(startY) {
+        // Use utility function for legend creation
+        SceneUtils.createIndustryLegend(
+            this.sceneGroup,
+            this.width,
+            this.getIndustries(),
+            startY,
+            this.animationDuration
+        );
+    }
+    
+    getEventColor(eventIndex) {
+        // Use shared color palette for consistency across scenes
+        return ColorPalette.getEventColor(eventIndex);
+    }
+    
+    getGDPForYear(year) {
+        return SceneUtils.getDataForYear(this.periodData.data, year, 'gdpReal');
+    }
+    
+    getEconomicContext(year) {
+        const contexts = this.definition.contexts;
+        return contexts.find(context => context.until === undefined || year <= context.until) || contexts[contexts.length - 1];
+    }
+    
+    showEnhancedTooltip(event, d, isPrimaryPopulation) {
+        this.updateState({ year: d.year });
+        
+        // Use utility function for enhanced tooltip
+        SceneUtils.createEnhancedTooltip(
+            event,
+            d,
+            isPrimaryPopulation,
+            (year) => this.getEconomicContext(year),
+            (year) => this.getGDPForYear(year),
+            (year) => this.populationEstimator.estimate(year),
+            (year, field) => SceneUtils.getFillMethodForYear(this.periodData.data, year, field),
+            this.valueConverter,
+            (year) => this.describeIndustries(year)
+        );
+    }
+    
+    showIndustryBreakdownTooltip(event, data, industries) {
+        // Use utility function for industry breakdown tooltip
+        SceneUtils.createIndustryBreakdownTooltip(event, data, industries);
+    }
+    
+    hideTooltip() {
+        SceneUtils.hideTooltip();
+    }
+    
+    showEventTooltip(event, historicalEvent, markerColor) {
+        SceneUtils.createTooltip(event, historicalEvent, markerColor, 'event');
+    }
+    
+    showEventStory(event, historicalEvent, markerColor) {
+        this.updateState({ event: historicalEvent.year });
+        SceneUtils.createTooltip(event, historicalEvent, markerColor, 'story');
+    }
+    
+    getState() {
+        return { ...this.state };
+    }
+    
+    updateState(changes) {
+        Object.assign(this.state, changes);
+        if (this.onStateChange) this.onStateChange(this.getState());
+    }
+    
+    renderStagnationStory() {
+        // Use utility function for no data message
+        SceneUtils.createNoDataMessage(
+            this.sceneGroup,
+            this.width,
+            this.height,
+            'None of the selected indicators has data for this period'
+        );
+    }
+    
+    exit() {
+        return SceneUtils.fadeOutScene(this.rootGroup);
+    }
+    
+    destroy() {
+        SceneUtils.destroyScene(this);
+    }
+}
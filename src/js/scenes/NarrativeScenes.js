@@ -0,0 +1,20 @@
+/**
+ * Narrative Scenes
+ * The eras the story walks through, in order, as BaseScene definitions. Adding an era means
+ * giving it a period in src/data/config/periods.json, writing its definition in
+ * scenes/definitions/ and listing it here
+ */
+
+import { medievalScene } from './definitions/medieval.js';
+import { awakeningScene } from './definitions/awakening.js';
+import { industrialScene } from './definitions/industrial.js';
+import { crisisScene } from './definitions/crisis.js';
+import { modernScene } from './definitions/modern.js';
+
+export const NARRATIVE_SCENES = [
+    medievalScene,
+    awakeningScene,
+    industrialScene,
+    crisisScene,
+    modernScene
+];
@@ -4,55 +4,65 @@
  */
 
 import { SceneUtils } from '../utils/SceneUtils.js';
+import { IndicatorRegistry } from '../data/IndicatorRegistry.js';
+import { GapFiller } from '../data/GapFiller.js';
+import { PopulationEstimator } from '../data/PopulationEstimator.js';
+import { PeriodCatalogue } from '../data/PeriodCatalogue.js';
+import { EventCatalogue } from '../data/EventCatalogue.js';
+import { SectorShares } from '../data/SectorShares.js';
 
 export class Scene6Interactive {
-    constructor(sceneGroup, data, parameters) {
+    constructor(sceneGroup, data, parameters, state = {}) {
+        this.rootGroup = sceneGroup;
         this.sceneGroup = sceneGroup;
         this.data = data;
         this.parameters = parameters;
         this.animationDuration = 1000;
         
+        // Deep-link state (see HashRouter) beyond the picker selections: focused year and open event story
+        this.state = { year: state.year ?? null, event: state.event ?? null };
+        this.onStateChange = null;
+        
         // All period data combined (with null safety)
         if (!data) {
             console.warn('⚠️ Scene6Interactive: Data not loaded yet, will show loading message');
-            this.allData = [];
+            this.sourceData = [];
         } else {
-            // Try different data sources to get the full dataset
-            if (data.raw) {
-                this.allData = data.raw;
-            } else if (data.enriched) {
-                this.allData = data.enriched;
+            // Try different data sources to get the full dataset (enriched carries the derived metrics)
+            if (data.enriched) {
+                this.sourceData = data.enriched;
+            } else if (data.raw) {
+                this.sourceData = data.raw;
             } else if (data.periods) {
-                this.allData = Object.values(data.periods).flatMap(period => period.data);
+                // Nested periods repeat years of their parent
+                this.sourceData = Object.values(data.periods).filter(period => !period.parent).flatMap(period => period.data);
             } else {
                 console.warn('⚠️ Scene6Interactive: No valid data source found, will show loading message');
-                this.allData = [];
+                this.sourceData = [];
             }
         }
+        this.prepareData();
+        this.populationEstimator = PopulationEstimator.forData(data || {});
+        this.periodCatalogue = data?.periodConfig ? PeriodCatalogue.forData(data) : null;
+        this.eventCatalogue = data?.eventConfig ? EventCatalogue.forData(data) : null;
+        this.sectorShares = SectorShares.forData(data || {});
         
         // Chart dimensions - same as Scene 1
         this.margin = { top: 120, right: 80, bottom: 120, left: 100 }; // Extra bottom margin for controls
         this.width = parameters.width - this.margin.left - this.margin.right;
         this.height = parameters.height - this.margin.top - this.margin.bottom;
         
-        // Interactive state (following Scene 1 pattern)
-        this.selectedMetric = 'gdpReal';
-        this.selectedPeriod = 'all';
-        this.showPopulation = true;
-        
-        // Historical events for positioning
-        this.historicalEvents = [
-            { year: 1348, event: 'Black Death' },
-            { year: 1492, event: 'Age of Discovery' },
-            { year: 1694, event: 'Bank of England' },
-            { year: 1769, event: 'Industrial Revolution' },
-            { year: 1825, event: 'First Steam Railway' },
-            { year: 1851, event: 'Great Exhibition' },
-            { year: 1914, event: 'World War I' },
-            { year: 1929, event: 'Great Depression' },
-            { year: 1945, event: 'Post-War Boom' },
-            { year: 1986, event: 'Big Bang' }
-        ];
+        // Interactive state (following Scene 1 pattern) - from the URL where it names something
+        // available, otherwise Real GDP (unless it isn't selected) across the whole time range
+        const metrics = this.getAvailableMetrics();
+        const populationSelected = SceneUtils.isIndicatorSelected('population', parameters.selectedIndicators);
+        this.selectedMetric = metrics.includes(state.metric) ? state.metric
+            : metrics.length === 0 || metrics.includes('gdpReal') ? 'gdpReal' : metrics[0];
+        this.selectedPeriod = this.periodCatalogue?.get(state.period) ? state.period : 'all';
+        this.showPopulation = populationSelected && state.population !== false;
+        
+        // The most important events across the millennium, marked on the chart
+        this.historicalEvents = this.eventCatalogue?.query({ tags: ['overview'] }) || [];
         
         console.log(`🔍 Scene 6 Interactive: ${this.allData.length} years of data across all periods`);
     }
@@ -60,11 +70,11 @@ export class Scene6Interactive {
     render() {
         console.log('🎬 Rendering Scene 6: Interactive Exploration...');
         
-        // Clear any existing content
-        this.sceneGroup.selectAll('*').remove();
+        // Clear any existing content (render is re-run when the metric changes)
+        this.rootGroup.selectAll('*').remove();
         
         // Create main group
-        this.sceneGroup = this.sceneGroup
+        this.sceneGroup = this.rootGroup
             .append('g')
             .attr('class', 'scene-interactive')
             .attr('transform', `translate(${this.margin.left}, ${this.margin.top})`);
@@ -72,15 +82,174 @@ export class Scene6Interactive {
         // Render main chart (same pattern as Scene 1)
         this.renderPopulationChart();
         
+        // Metric picker above the chart
+        this.addMetricPicker();
+        
         // Add scene title and description
         this.addSceneTitle();
         
         // Add industry breakdown visualization
         this.addIndustryBreakdown();
         
+        // Re-open the year or event story the URL points at
+        SceneUtils.restoreFocus(this, historicalEvent => this.showEventStory(historicalEvent));
+        
+        return this;
+    }
+    
+    prepareData() {
+        // Clipped to the app's time range
+        this.allData = SceneUtils.clipToTimeRange(this.sourceData, this.parameters.timeRange);
+    }
+    
+    /**
+     * Render on arrival, morphing the x-axis from the previous scene's years
+     * @param {Object} options - { fromDomain: previous scene's x domain }
+     */
+    enter({ fromDomain = null } = {}) {
+        this.render();
+        SceneUtils.morphXAxis(this.sceneGroup.select('.x-axis'), this.xScale, fromDomain, 750,
+            scale => d3.axisBottom(scale).tickFormat(d3.format('d')).ticks(10));
         return this;
     }
     
+    /**
+     * Re-render in place for new app parameters; picker selections the new time range or
+     * indicators no longer offer fall back to the defaults
+     * @param {Object} parameters - App parameters
+     */
+    update(parameters) {
+        this.parameters = parameters;
+        this.prepareData();
+        
+        const metrics = this.getAvailableMetrics();
+        if (metrics.length > 0 && !metrics.includes(this.selectedMetric)) {
+            this.selectedMetric = metrics.includes('gdpReal') ? 'gdpReal' : metrics[0];
+        }
+        if (!SceneUtils.isIndicatorSelected('population', parameters.selectedIndicators)) {
+            this.showPopulation = false;
+        }
+        
+        this.animationDuration = 0;
+        this.render();
+        this.updateState({});
+        return this;
+    }
+    
+    /**
+     * Deep-link state: picker selections plus the focused year and open event story
+     * @returns {Object} { metric, period, population, year, event } - see HashRouter
+     */
+    getState() {
+        return {
+            metric: this.selectedMetric,
+            period: this.selectedPeriod === 'all' ? null : this.selectedPeriod,
+            population: this.showPopulation,
+            ...this.state
+        };
+    }
+    
+    updateState(changes) {
+        Object.assign(this.state, changes);
+        if (this.onStateChange) this.onStateChange(this.getState());
+    }
+    
+    /**
+     * Rows in the selected period, or the whole time range for 'all'
+     * @returns {Array}
+     */
+    getSelectedRows() {
+        const period = this.selectedPeriod !== 'all' ? this.periodCatalogue?.get(this.selectedPeriod) : null;
+        return period ? this.allData.filter(d => d.year >= period.start && d.year <= period.end) : this.allData;
+    }
+    
+    /**
+     * Metrics the picker offers: selected dataset series and every derived metric, where
+     * there are enough years of data in the time range
+     */
+    getAvailableMetrics() {
+        return IndicatorRegistry.keys()
+            .filter(key => key !== 'population' && key !== 'populationEngland')
+            .filter(key => IndicatorRegistry.get(key).formula || SceneUtils.isIndicatorSelected(key, this.parameters.selectedIndicators))
+            .filter(key => this.allData.filter(d => d[key] !== null && d[key] !== undefined).length >= 20);
+    }
+    
+    addMetricPicker() {
+        const container = d3.select('#visualization-container');
+        container.selectAll('.metric-picker').remove();
+        
+        const metrics = this.getAvailableMetrics();
+        if (metrics.length === 0) return;
+        
+        const picker = container.insert('div', 'svg')
+            .attr('class', 'scene-controls metric-picker');
+        
+        picker.append('label')
+            .attr('for', 'metric-select')
+            .text('Metric: ');
+        
+        const select = picker.append('select')
+            .attr('id', 'metric-select')
+            .on('change', (event) => {
+                this.selectedMetric = event.target.value;
+                this.updateState({ year: null });
+                this.render();
+            });
+        
+        const groups = [
+            { label: 'Dataset series', keys: metrics.filter(key => !IndicatorRegistry.get(key).formula) },
+            { label: 'Derived metrics', keys: metrics.filter(key => IndicatorRegistry.get(key).formula) }
+        ];
+        
+        groups.filter(group => group.keys.length > 0).forEach(group => {
+            select.append('optgroup')
+                .attr('label', group.label)
+                .selectAll('option')
+                .data(group.keys)
+                .enter()
+                .append('option')
+                .attr('value', d => d)
+                .property('selected', d => d === this.selectedMetric)
+                .text(d => IndicatorRegistry.getLabel(d));
+        });
+        
+        // Period to zoom into
+        if (this.periodCatalogue) {
+            picker.append('label')
+                .attr('for', 'period-select')
+                .text(' Period: ');
+            
+            picker.append('select')
+                .attr('id', 'period-select')
+                .on('change', (event) => {
+                    this.selectedPeriod = event.target.value;
+                    this.updateState({ year: null, event: null });
+                    this.render();
+                })
+                .selectAll('option')
+                .data([{ key: 'all', name: 'All periods' }, ...this.periodCatalogue.periods()])
+                .enter()
+                .append('option')
+                .attr('value', d => d.key)
+                .property('selected', d => d.key === this.selectedPeriod)
+                .text(d => d.key === 'all' ? d.name : `${d.name} (${d.start}-${d.end})`);
+        }
+        
+        // Population overlay, when population is one of the selected indicators
+        if (SceneUtils.isIndicatorSelected('population', this.parameters.selectedIndicators)) {
+            const toggle = picker.append('label');
+            toggle.append('input')
+                .attr('type', 'checkbox')
+                .property('checked', this.showPopulation)
+                .on('change', (event) => {
+                    this.showPopulation = event.target.checked;
+                    this.updateState({});
+                    this.render();
+                });
+            toggle.append('span').text(' Show population');
+        }
+    }
+    
     addSceneTitle() {
         // Main title
         this.sceneGroup.append('text')
@@ -90,7 +259,7 @@ export class Scene6Interactive {
             .style('font-size', '22px')
             .style('font-weight', 'bold')
             .style('fill', '#1f4e79')
-            .text('Interactive Exploration (1209-2016)');
+            .text(`Interactive Exploration (${this.parameters.timeRange.join('-')})`);
         
         // Subtitle
         this.sceneGroup.append('text')
@@ -106,18 +275,24 @@ export class Scene6Interactive {
         console.log('🔍 All periods data available:', this.allData);
         console.log('🔍 Data structure:', this.data);
         
-        // Get both population and GDP data where available
-        const populationData = this.allData
-            .filter(d => (d.population !== null || d.populationEngland !== null) && d.year >= 1270)
+        // Get both population and GDP data where available (population only when shown)
+        const rows = this.getSelectedRows();
+        const populationData = rows
+            .filter(d => this.showPopulation && (d.population !== null || d.populationEngland !== null) && d.year >= 1270)
             .map(d => ({ 
                 year: d.year, 
                 value: d.population || d.populationEngland, 
-                type: 'population' 
+                type: 'population',
+                fill: (d.population ? d.fills?.population : d.fills?.populationEngland) || null
             }));
         
-        const gdpData = this.allData
-            .filter(d => d.gdpReal !== null)
-            .map(d => ({ year: d.year, value: d.gdpReal, type: 'gdp' }));
+        // Primary series is whichever metric is picked (Real GDP by default)
+        const metric = this.selectedMetric;
+        const gdpData = rows
+            .filter(d => d[metric] !== null && d[metric] !== undefined)
+            .map(d => ({ year: d.year, value: d[metric], type: metric, fill: d.fills?.[metric] || null }));
+        
+        this.populationData = populationData;
         
         console.log(`📊 Population: ${populationData.length} points, GDP: ${gdpData.length} points`);
         console.log(`📊 Population data range: ${populationData[0]?.year} to ${populationData[populationData.length-1]?.year}`);
@@ -156,9 +331,20 @@ export class Scene6Interactive {
     renderTransformationStory(populationData, gdpData) {
         console.log('📖 Rendering transformation story...');
         
-        // Use GDP as primary for full millennium view (more dramatic)
-        const primaryData = gdpData.length > 0 ? gdpData : populationData;
+        // Use GDP as primary for full millennium view (more dramatic), transformed for the view mode
         const isPrimaryPopulation = gdpData.length === 0;
+        const { data: primaryData, view } = SceneUtils.applyViewMode(
+            isPrimaryPopulation ? populationData : gdpData,
+            this.parameters.viewMode,
+            {
+                indicator: isPrimaryPopulation ? 'population' : this.selectedMetric,
+                baseYear: this.parameters.baseYear,
+                getPopulation: SceneUtils.createPopulationLookup(this.allData, this.populationEstimator)
+            }
+        );
+        this.view = view;
+        this.primaryData = primaryData;
+        this.isPrimaryPopulation = isPrimaryPopulation;
         
         if (primaryData.length === 0) {
             this.renderStagnationStory();
@@ -187,11 +373,23 @@ export class Scene6Interactive {
         const valueRange = maxValue - minValue;
         const padding = valueRange * 0.1; // 10% padding
         
-        // Use logarithmic scale for GDP (exactly like population)
-        this.yScale = d3.scaleLog()
-            .domain([d3.min(primaryData, d => d.value), d3.max(primaryData, d => d.value) * 1.1])
-            .range([chartHeight, 0])
-            .nice();
+        // In absolute view: logarithmic scale for positive series spanning orders of magnitude
+        // (GDP, prices); linear for rates and ratios, which can be zero or negative
+        if (view.mode === 'absolute') {
+            this.useLogScale = minValue > 0 && maxValue / minValue > 100;
+            this.yScale = this.useLogScale
+                ? d3.scaleLog()
+                    .domain([minValue, maxValue * 1.1])
+                    .range([chartHeight, 0])
+                    .nice()
+                : d3.scaleLinear()
+                    .domain([Math.min(0, minValue - padding), maxValue + padding])
+                    .range([chartHeight, 0])
+                    .nice();
+        } else {
+            this.useLogScale = view.mode === 'log';
+            this.yScale = SceneUtils.createViewScale(allValues, view, chartHeight, 0);
+        }
         
         // Add period background highlights
         this.addPeriodBackgrounds(chartHeight);
@@ -210,18 +408,16 @@ export class Scene6Interactive {
     }
     
     addPeriodBackgrounds(chartHeight) {
-        // Add subtle background colors for different periods
-        const periodColors = {
-            medieval: '#f8f9fa',
-            awakening: '#e3f2fd',
-            industrial: '#fff3e0',
-            crisis: '#ffebee',
-            modern: '#e8f5e8'
-        };
+        if (!this.periodCatalogue) return;
         
-        Object.entries(this.data.periods).forEach(([key, period]) => {
-            const startX = this.xScale(period.start);
-            const endX = this.xScale(period.end);
+        // Add subtle background colors for different periods (colours from the period config),
+        // cut to the part of each period on the chart
+        const [minYear, maxYear] = this.xScale.domain();
+        this.periodCatalogue.periods({ nested: false }).forEach(({ key, ...period }) => {
+            if (period.end < minYear || period.start > maxYear) return;
+            
+            const startX = this.xScale(Math.max(period.start, minYear));
+            const endX = this.xScale(Math.min(period.end, maxYear));
             const width = endX - startX;
             
             this.sceneGroup.append('rect')
@@ -230,7 +426,7 @@ export class Scene6Interactive {
                 .attr('y', 0)
                 .attr('width', width)
                 .attr('height', chartHeight)
-                .attr('fill', periodColors[key] || '#f0f0f0')
+                .attr('fill', period.color || '#f0f0f0')
                 .attr('opacity', 0.2)
                 .style('pointer-events', 'none');
                 
@@ -258,18 +454,34 @@ export class Scene6Interactive {
             .call(xAxis);
         
             
-        // Y-axis with logarithmic scale (like population but with K/M formatting)
-        const yAxisLabel = isPrimaryPopulation ? 'Population (millions)' : 'Real GDP (£M, log scale)';
-        const yAxis = d3.axisLeft(this.yScale)
-            .tickFormat(d => {
-                if (d >= 1000000) {
-                    return d3.format('.1f')(d / 1000000) + 'T'; // Show in trillions
-                } else {
-                    return d3.format('.0f')(d / 1000) + 'B'; // Show in billions
-                }
-            })
-            .tickValues([2000, 3000, 5000, 10000, 30000, 50000, 100000, 300000, 500000, 
-                700000, 1000000, 1500000, 2000000]);
+        // Y-axis for the selected metric; Real GDP on a log scale keeps its hand-picked ticks
+        const metric = isPrimaryPopulation ? 'population' : this.selectedMetric;
+        const viewMode = this.view?.mode || 'absolute';
+        const yAxisLabel = viewMode === 'absolute'
+            ? `${IndicatorRegistry.getLabel(metric)}${this.useLogScale ? ', log scale' : ''}`
+            : SceneUtils.getViewAxisLabel(metric, this.view);
+        const yAxis = d3.axisLeft(this.yScale);
+        
+        if (viewMode !== 'absolute' && viewMode !== 'log') {
+            yAxis
+                .tickFormat(SceneUtils.getViewAxisFormatter(metric, this.view))
+                .ticks(8);
+        } else if (metric === 'gdpReal' && this.useLogScale) {
+            yAxis
+                .tickFormat(d => {
+                    if (d >= 1000000) {
+                        return d3.format('.1f')(d / 1000000) + 'T'; // Show in trillions
+                    } else {
+                        return d3.format('.0f')(d / 1000) + 'B'; // Show in billions
+                    }
+                })
+                .tickValues([2000, 3000, 5000, 10000, 30000, 50000, 100000, 300000, 500000, 
+                    700000, 1000000, 1500000, 2000000]);
+        } else {
+            yAxis
+                .tickFormat(IndicatorRegistry.getAxisFormatter(metric))
+                .ticks(this.useLogScale ? 6 : 8);
+        }
         
         this.sceneGroup.append('g')
             .attr('class', 'y-axis')
@@ -303,131 +515,75 @@ export class Scene6Interactive {
             .y(d => this.yScale(d.value))
             .curve(d3.curveMonotoneX);
         
+        const color = isPrimaryPopulation ? '#2E7D32' : '#1565C0'; // Match Scene 1 colors
+        
+        // Gap-filled spans show through as a dashed line under the observed one
+        if (data.some(d => d.fill)) {
+            this.sceneGroup.append('path')
+                .datum(data)
+                .attr('class', 'trend-line-interpolated')
+                .attr('fill', 'none')
+                .attr('stroke', color)
+                .attr('stroke-width', 3)
+                .attr('stroke-dasharray', '8,5')
+                .attr('d', line)
+                .style('opacity', 0.6);
+        }
+        
         // Add trend line - gradient color for millennium view
         this.sceneGroup.append('path')
             .datum(data)
             .attr('class', 'trend-line')
             .attr('fill', 'none')
-            .attr('stroke', isPrimaryPopulation ? '#2E7D32' : '#1565C0') // Match Scene 1 colors
+            .attr('stroke', color)
             .attr('stroke-width', 5) // Thicker lines like Scene 1
-            .attr('d', line)
+            .attr('d', line.defined(d => !d.fill))
             .style('opacity', 0.8);
         
         // Add data points with enhanced tooltips - match Scene 1 size
-        this.sceneGroup.selectAll('.data-point')
+        const points = this.sceneGroup.selectAll('.data-point')
             .data(data.filter((d, i) => i % 5 === 0)) // Show every 5th point for clarity
             .enter().append('circle')
-            .attr('class', 'data-point')
+            .attr('class', d => d.fill ? 'data-point interpolated' : 'data-point')
             .attr('cx', d => this.xScale(d.year))
             .attr('cy', d => this.yScale(d.value))
             .attr('r', 4) // Larger data points like Scene 1
-            .attr('fill', isPrimaryPopulation ? '#2E7D32' : '#1565C0') // Match Scene 1 colors
-            .attr('stroke', 'white')
+            .attr('fill', d => d.fill ? 'white' : color)
+            .attr('stroke', d => d.fill ? color : 'white')
             .attr('stroke-width', 1)
             .style('cursor', 'pointer')
             .on('mouseover', (event, d) => this.showEnhancedTooltip(event, d, isPrimaryPopulation))
             .on('mouseout', () => this.hideTooltip());
+        
+        SceneUtils.makeKeyboardNavigable(points, {
+            onFocus: (pageEvent, d) => this.showEnhancedTooltip(pageEvent, d, isPrimaryPopulation),
+            onBlur: () => this.hideTooltip()
+        });
     }
     
     addInteractiveStoryPoints(isPrimaryPopulation) {
-        // 10 Most Important Historical Events Across the Millennium
-        const historicalEvents = [
-            {
-                year: 1348,
-                event: 'Black Death',
-                story: 'The Black Death devastated Europe, killing 30-60% of the population and fundamentally altering the economic and social structure of medieval society.',
-                story2: 'The plague created severe labor shortages, leading to the end of serfdom and the rise of wage labor. It marked the beginning of the end of the medieval economic system.',
-                economicEffect: 'Population fell by 30-40%, labor costs rose dramatically, and the feudal system began to collapse. Wages increased as labor became scarce.',
-                longTermImpact: 'The Black Death accelerated the transition from feudalism to capitalism and created the conditions for the Renaissance and early modern economy.'
-            },
-            {
-                year: 1492,
-                event: 'Age of Discovery',
-                story: 'Christopher Columbus\'s voyage to the Americas opened the Age of Discovery, transforming global trade and creating new economic opportunities.',
-                story2: 'The discovery of the New World led to the establishment of global trade networks, the rise of maritime powers, and the beginning of European colonialism.',
-                economicEffect: 'New trade routes opened, precious metals flowed into Europe, and the foundations of global capitalism were established.',
-                longTermImpact: 'The Age of Discovery created the first truly global economy and set the stage for Britain\'s future maritime and imperial dominance.'
-            },
-            {
-                year: 1694,
-                event: 'Bank of England',
-                story: 'The founding of the Bank of England marked the beginning of modern central banking and financial innovation.',
-                story2: 'The Bank was created to fund William III\'s war with France, but it became the foundation of Britain\'s financial system and global financial leadership.',
-                economicEffect: 'Interest rates fell from 10%+ to 3-5%, government borrowing became possible, and financial markets developed rapidly.',
-                longTermImpact: 'The Bank of England established London as a global financial center and created the foundation for modern banking and finance.'
-            },
-            {
-                year: 1769,
-                event: 'Industrial Revolution',
-                story: 'James Watt\'s improved steam engine marked the beginning of the Industrial Revolution, the most significant economic transformation in human history.',
-                story2: 'The steam engine powered factories, railways, and ships, creating unprecedented economic growth and transforming society from agricultural to industrial.',
-                economicEffect: 'Productivity exploded, GDP grew 20x, and Britain became the world\'s first industrial superpower. Real wages began to rise for the first time in centuries.',
-                longTermImpact: 'The Industrial Revolution created the modern world economy and established the pattern of sustained economic growth that continues today.'
-            },
-            {
-                year: 1825,
-                event: 'First Steam Railway',
-                story: 'The Stockton and Darlington Railway opened, marking the beginning of the railway age and revolutionizing transportation.',
-                story2: 'Railways connected markets, reduced transport costs, and accelerated industrialization. They created new industries and transformed urban development.',
-                economicEffect: 'Transport costs fell by 90%, markets expanded dramatically, and new industries like steel and coal boomed. Railway manias created investment bubbles.',
-                longTermImpact: 'Railways created the modern transport infrastructure and accelerated the Industrial Revolution, making Britain the workshop of the world.'
-            },
-            {
-                year: 1851,
-                event: 'Great Exhibition',
-                story: 'The Great Exhibition showcased Britain\'s industrial might and marked the peak of Victorian economic confidence.',
-                story2: 'The Crystal Palace exhibition displayed Britain\'s technological and industrial leadership to the world, celebrating the success of the Industrial Revolution.',
-                economicEffect: 'The exhibition boosted British exports, attracted foreign investment, and demonstrated Britain\'s global economic leadership.',
-                longTermImpact: 'The Great Exhibition symbolized Britain\'s position as the world\'s leading industrial power and global economic superpower.'
-            },
-            {
-                year: 1914,
-                event: 'World War I',
-                story: 'World War I shattered the old economic order and marked the beginning of the modern era of government intervention in the economy.',
-                story2: 'The war destroyed the gold standard, led to massive government spending, and created the conditions for the Great Depression and modern economic management.',
-                economicEffect: 'Government spending exploded from 10% to 40%+ of GDP, inflation soared, and the international economic order collapsed.',
-                longTermImpact: 'World War I ended Britain\'s economic dominance and created the conditions for the modern welfare state and Keynesian economics.'
-            },
-            {
-                year: 1929,
-                event: 'Great Depression',
-                story: 'The Great Depression was the worst economic crisis in modern history, leading to mass unemployment and economic collapse.',
-                story2: 'The depression exposed the failures of laissez-faire economics and led to the development of Keynesian economics and modern economic management.',
-                economicEffect: 'Unemployment reached 15%+, GDP fell by 20%, and the gold standard was abandoned. Economic confidence was shattered.',
-                longTermImpact: 'The Great Depression led to the modern welfare state, government intervention in the economy, and the Bretton Woods system.'
-            },
-            {
-                year: 1945,
-                event: 'Post-War Boom',
-                story: 'The post-war period saw unprecedented economic growth and the establishment of the modern welfare state.',
-                story2: 'Government intervention, the Bretton Woods system, and technological innovation created the longest period of sustained economic growth in history.',
-                economicEffect: 'GDP grew rapidly, unemployment fell to 2%, and living standards improved dramatically. The welfare state was established.',
-                longTermImpact: 'The post-war boom created the modern consumer society and established the pattern of government intervention in the economy.'
-            },
-            {
-                year: 1986,
-                event: 'Big Bang',
-                story: 'The Big Bang deregulation of London\'s financial markets transformed the City of London into a global financial center.',
-                story2: 'The abolition of fixed commissions, the end of the separation between brokers and jobbers, and the opening of markets to foreign competition revolutionized British finance.',
-                economicEffect: 'Financial services employment doubled, foreign investment poured in, and London became the world\'s leading financial center alongside New York.',
-                longTermImpact: 'The Big Bang established London as a global financial hub and made financial services the cornerstone of the British economy.'
-            }
-        ];
-        
         // Filter events that fall within our data range
-        const relevantEvents = historicalEvents.filter(event => {
+        const relevantEvents = this.historicalEvents.filter(event => {
             const domain = this.xScale.domain();
             return event.year >= domain[0] && event.year <= domain[1];
         });
         
-        // Create event markers with Scene 6 specific styling (dashed lines go to X-axis)
+        this.events = relevantEvents;
+        
+        // Create event markers with Scene 6 specific styling (dashed lines go to the trend)
         const chartHeight = this.height * 0.9; // Match the reduced chart height
         this.createScene6EventMarkers(
             this.sceneGroup,
             relevantEvents,
             this.xScale,
             chartHeight,
-            this.animationDuration
+            this.animationDuration,
+            {
+                data: this.primaryData,
+                yScale: this.yScale,
+                series: SceneUtils.getIndicatorSeries(this.sourceData, this.view.indicator),
+                indicator: this.view.indicator
+            }
         );
     }
     
@@ -468,30 +624,39 @@ export class Scene6Interactive {
         return colors[eventIndex % colors.length];
     }
 
-    createScene6EventMarkers(sceneGroup, events, xScale, height, animationDuration) {
+    createScene6EventMarkers(sceneGroup, events, xScale, height, animationDuration, trend) {
+        // Rows of markers down the plot area, clear of each other's labels
+        const placements = SceneUtils.layoutEventMarkers(sceneGroup, events, xScale, trend.yScale);
+        
         events.forEach((event, i) => {
-            const x = xScale(event.year);
-            const y = this.getEventYPosition(event.year, height);
+            const { x, y } = placements[i];
             const markerColor = this.getEventColor(i);
+            const delay = animationDuration > 0 ? animationDuration * 1.5 + i * 150 : 0;
 
-            // Add vertical line - go all the way to X-axis for Scene 6
+            // Shade events that lasted, with the metric's change across them
+            if (event.endYear > event.year) {
+                SceneUtils.createEventSpan(sceneGroup, event, xScale, trend, markerColor, delay, animationDuration);
+            }
+
+            // Add vertical line - down to the trend in the event's year, or the X-axis outside it
             sceneGroup.append('line')
                 .attr('class', 'event-line')
                 .attr('x1', x)
                 .attr('y1', y)
                 .attr('x2', x)
-                .attr('y2', height) // Go all the way to X-axis
+                .attr('y2', SceneUtils.getEventAnchorY(trend, event.year, height))
                 .attr('stroke', markerColor)
                 .attr('stroke-width', 2)
                 .attr('stroke-dasharray', '5,5')
                 .style('opacity', animationDuration > 0 ? 0 : 1)
                 .transition()
-                .delay(animationDuration > 0 ? animationDuration * 1.5 + i * 150 : 0)
+                .delay(delay)
                 .duration(animationDuration > 0 ? 250 : 0)
                 .style('opacity', 0.6);
             
             // Add event circle
             const eventCircle = sceneGroup.append('circle')
+                .datum(event)
                 .attr('class', 'event-marker')
                 .attr('cx', x)
                 .attr('cy', y)
@@ -514,77 +679,21 @@ export class Scene6Interactive {
                 });
             
             eventCircle.transition()
-                .delay(animationDuration > 0 ? animationDuration * 1.5 + i * 150 : 0)
+                .delay(delay)
                 .duration(animationDuration > 0 ? 250 : 0)
                 .attr('r', 6)
                 .style('opacity', 1);
             
             // Add event label
-            this.createScene6EventLabel(sceneGroup, event, x, y, markerColor, animationDuration, i);
+            SceneUtils.createEventLabel(sceneGroup, event, placements[i], markerColor, animationDuration, i);
         });
-    }
-
-    createScene6EventLabel(sceneGroup, event, x, y, color, animationDuration, index) {
-        const labelGroup = sceneGroup.append('g')
-            .attr('class', 'event-label-group')
-            .style('opacity', animationDuration > 0 ? 0 : 1);
-        
-        const labelText = `${event.year} - ${event.event}`;
-        const labelWidth = labelText.length * 5.5;
-        const labelHeight = 16;
-        
-        // Background rectangle
-        labelGroup.append('rect')
-            .attr('x', x + 8)
-            .attr('y', y - 22)
-            .attr('width', labelWidth)
-            .attr('height', labelHeight)
-            .attr('fill', 'rgba(255, 255, 255, 0.9)')
-            .attr('stroke', color)
-            .attr('stroke-width', 1)
-            .attr('rx', 3);
-        
-        // Text label
-        labelGroup.append('text')
-            .attr('class', 'event-label')
-            .attr('x', x + 12)
-            .attr('y', y - 10)
-            .attr('text-anchor', 'start')
-            .style('font-size', '10px')
-            .style('font-weight', 'bold')
-            .style('fill', color)
-            .text(labelText);
         
-        labelGroup.transition()
-            .delay(animationDuration > 0 ? animationDuration * 1.5 + index * 150 + 100 : 0)
-            .duration(animationDuration > 0 ? 250 : 0)
-            .style('opacity', 1);
-    }
-
-    getEventYPosition(year, height) {
-        // Vary the height to prevent overlap - use 3 levels with special handling for overlapping events
-        const eventIndex = this.historicalEvents.findIndex(e => e.year === year);
-        const level = eventIndex % 3;
-        const baseY = height * 0.2; // Start at 20% of chart height
-        const levelSpacing = height * 0.25; // 25% spacing between levels
-        
-        // Move specific overlapping events down by different amounts
-        const offsets = {
-            1929: 20,
-            1940: 20,
-            1945: 20,
-            1914: 45 // Move 1914 down by 45 pixels
-        };
-        const additionalOffset = offsets[year] || 0;
-        
-        return baseY + (level * levelSpacing) + additionalOffset;
-        
-        return baseY + (level * levelSpacing);
-    }
-    
-    getPopulationForYear(year) {
-        const dataPoint = this.allData.find(d => d.year === year);
-        return dataPoint ? dataPoint.population : null;
+        // Keyboard: focus shows the summary, Enter opens the full story
+        SceneUtils.makeKeyboardNavigable(sceneGroup.selectAll('.event-marker'), {
+            onFocus: (pageEvent, event) => this.showEventTooltip(pageEvent, event),
+            onBlur: () => this.hideTooltip(),
+            onActivate: (pageEvent, event) => this.showEventStory(event)
+        });
     }
     
     getGDPForYear(year) {
@@ -625,6 +734,8 @@ export class Scene6Interactive {
     }
     
     showEnhancedTooltip(event, d, isPrimaryPopulation) {
+        this.updateState({ year: d.year });
+        
         const economicContext = this.getEconomicContext(d.year);
         const indicator = isPrimaryPopulation ? 'Population' : 'GDP';
         
@@ -632,38 +743,44 @@ export class Scene6Interactive {
         tooltipContent += `<strong style="color: #d4a574; font-size: 15px;">${d.year} - ${economicContext.period}</strong></div>`;
         
         // Get both population and GDP data for this year
-        const populationForYear = this.getPopulationForYear(d.year);
+        const populationEstimate = this.populationEstimator.estimate(d.year);
         const gdpForYear = this.getGDPForYear(d.year);
         
-        // Always show population
-        if (populationForYear) {
-            const popMillions = (populationForYear / 1000).toFixed(1);
-            tooltipContent += `<div style="margin-bottom: 8px;"><strong>Population:</strong> ${popMillions}M</div>`;
-        } else {
-            const estimatedPop = this.estimatePopulation(d.year);
-            const popMillions = (estimatedPop / 1000).toFixed(1);
-            tooltipContent += `<div style="margin-bottom: 8px;"><strong>Population:</strong> ${popMillions}M</div>`;
-        }
+        // Always show population, saying how it was estimated when not observed
+        const populationNote = PopulationEstimator.describe(populationEstimate);
+        tooltipContent += `<div style="margin-bottom: 8px;"><strong>Population:</strong> ${IndicatorRegistry.formatValue('population', populationEstimate?.value)}${populationNote ? ` <em>(${populationNote})</em>` : ''}</div>`;
         
         // Always show GDP if available
         if (gdpForYear) {
-            tooltipContent += `<div style="margin-bottom: 8px;"><strong>GDP:</strong> £${gdpForYear.toFixed(1)}M (2013 prices)</div>`;
+            const gdpFill = GapFiller.describe(SceneUtils.getFillMethodForYear(this.allData, d.year, 'gdpReal'));
+            tooltipContent += `<div style="margin-bottom: 8px;"><strong>GDP:</strong> ${IndicatorRegistry.formatValue('gdpReal', gdpForYear)}${gdpFill ? ` <em>(${gdpFill})</em>` : ''}</div>`;
             
             // Calculate proper GDP per capita
-            const population = populationForYear || this.estimatePopulation(d.year);
-            const gdpPerCapita = (gdpForYear * 1000000) / (population * 1000);
-            tooltipContent += `<div style="margin-bottom: 8px;"><strong>GDP per capita:</strong> £${gdpPerCapita.toFixed(0)}</div>`;
+            if (populationEstimate) {
+                const gdpPerCapita = (gdpForYear * 1000000) / (populationEstimate.value * 1000);
+                tooltipContent += `<div style="margin-bottom: 8px;"><strong>GDP per capita:</strong> £${gdpPerCapita.toFixed(0)}${populationNote ? ' <em>(estimated)</em>' : ''}</div>`;
+            }
         } else {
             tooltipContent += `<div style="margin-bottom: 8px;"><strong>GDP:</strong> Not available for this period</div>`;
         }
         
+        // Selected metric, when it isn't GDP itself
+        if (!isPrimaryPopulation && this.selectedMetric !== 'gdpReal') {
+            tooltipContent += `<div style="margin-bottom: 8px;"><strong>${IndicatorRegistry.get(this.selectedMetric).label}:</strong> ${IndicatorRegistry.formatValue(this.selectedMetric, d.rawValue ?? d.value)}</div>`;
+        }
+        
+        // The plotted value when the chart isn't showing absolute values
+        if (d.view && d.view.mode !== 'absolute' && d.view.mode !== 'log') {
+            tooltipContent += `<div style="margin-bottom: 8px;"><strong>${SceneUtils.getViewAxisLabel(d.view.indicator, d.view)}:</strong> ${SceneUtils.formatViewValue(d.value, d.view.indicator, d.view)}</div>`;
+        }
+        
         tooltipContent += `<div style="background: rgba(100,50,0,0.3); padding: 6px; border-radius: 3px; margin-bottom: 8px;">`;
         tooltipContent += `<strong style="color: #FFB74D;">Economic Structure:</strong><br/>`;
         tooltipContent += `<small>${economicContext.structure}</small></div>`;
         
         tooltipContent += `<div style="background: rgba(0,50,100,0.3); padding: 6px; border-radius: 3px; margin-bottom: 8px;">`;
         tooltipContent += `<strong style="color: #90CAF9;">Key Industries:</strong><br/>`;
-        tooltipContent += `<small>${economicContext.industries}</small></div>`;
+        tooltipContent += `<small>${SceneUtils.describeSectorShares(this.sectorShares.get(d.year), this.getIndustryNames())}</small></div>`;
         
         tooltipContent += `<div style="background: rgba(50,0,100,0.3); padding: 6px; border-radius: 3px; margin-bottom: 8px;">`;
         tooltipContent += `<strong style="color: #CE93D8;">Historical Context:</strong><br/>`;
@@ -696,14 +813,6 @@ export class Scene6Interactive {
             .style('opacity', 1);
     }
     
-    estimatePopulation(year) {
-        // Rough population estimates for GDP per capita calculations
-        if (year < 1500) return 3500;
-        if (year < 1750) return 5500;
-        if (year < 1900) return 20000;
-        if (year < 1950) return 45000;
-        return 60000;
-    }
     
     getEconomicContext(year) {
         // Determine which period this year falls into and return appropriate context
@@ -711,35 +820,30 @@ export class Scene6Interactive {
             return {
                 period: 'Medieval Economy',
                 structure: 'Agricultural subsistence economy with limited trade and sparse data',
-                industries: 'Agriculture (80-90%), Basic crafts (10-15%), Trade (5%)',
                 social: 'Feudal society, manorial system, limited monetary exchange, high mortality'
             };
         } else if (year <= 1750) {
             return {
                 period: 'Early Modern Growth',
                 structure: 'Commercial expansion with overseas trade and early banking',
-                industries: 'Agriculture (50-75%), Crafts & trade (20-40%), Services (5-10%)',
                 social: 'Rising merchant class, joint-stock companies, colonial expansion'
             };
         } else if (year <= 1900) {
             return {
                 period: 'Industrial Revolution',
                 structure: 'Steam-powered manufacturing transforming entire economy',
-                industries: 'Agriculture (15-50%), Manufacturing (35-70%), Services (15%)',
                 social: 'Rapid urbanization, factory system, railway networks, industrial cities'
             };
         } else if (year <= 1950) {
             return {
                 period: 'Crisis & State Expansion',
                 structure: 'War economies and government intervention reshape capitalism',
-                industries: 'Agriculture (5-15%), Manufacturing (50-65%), Government (20-45%)',
                 social: 'Total war mobilization, welfare state creation, economic planning'
             };
         } else {
             return {
                 period: 'Service Economy',
                 structure: 'Post-industrial economy dominated by services and technology',
-                industries: 'Agriculture (1-5%), Manufacturing (12-45%), Services (50-87%)',
                 social: 'Globalization, financial deregulation, digital revolution, Brexit'
             };
         }
@@ -752,9 +856,9 @@ export class Scene6Interactive {
         
         // Use SceneUtils to create economic structure with proper data
         const timePoints = SceneUtils.prepareEconomicStructureData(
-            this.allData,
-            (year) => this.getPeriodForYear(year),
-            (period) => this.getIndustriesForPeriod(period),
+            this.getSelectedRows(),
+            (year) => this.sectorShares.get(year),
+            this.sectorShares.sectors,
             10 // interval for millennium view
         );
         
@@ -766,8 +870,9 @@ export class Scene6Interactive {
             .range([0, this.width]);
         
         // Create stacked area chart using D3's stack generator
+        const industries = this.getIndustries();
         const stack = d3.stack()
-            .keys(['agriculture', 'crafts', 'services']);
+            .keys(industries.map(industry => industry.key));
         
         const stackedData = stack(timePoints);
         
@@ -783,16 +888,12 @@ export class Scene6Interactive {
         const industryGroup = this.sceneGroup.append('g')
             .attr('class', 'industry-breakdown');
         
-        // Draw each industry layer with consistent colors from Scene 1
-        const industryNames = ['agriculture', 'crafts', 'services'];
-        const industryColors = ['#8B4513', '#4682B4', '#9370DB'];  // Brown, Steel Blue, Medium Purple
-        const industryFullNames = ['Agriculture', 'Manufacturing', 'Services'];
-        
+        // Draw each industry layer in its configured colour, as the era scenes do
         stackedData.forEach((layer, i) => {
             industryGroup.append('path')
                 .datum(layer)
-                .attr('class', `industry-area ${industryNames[i]}`)
-                .attr('fill', industryColors[i])
+                .attr('class', `industry-area ${industries[i].key}`)
+                .attr('fill', industries[i].color)
                 .attr('stroke', '#fff')
                 .attr('stroke-width', 0.5)
                 .style('opacity', 0)
@@ -844,68 +945,45 @@ export class Scene6Interactive {
                 
                 // Show comprehensive tooltip with closest year data
                 this.showIndustryBreakdownTooltip(event, {
-                    year: closestData.year,
-                    mouseYear: year, // Show what year the mouse is actually over
-                    agriculture: closestData.agriculture,
-                    manufacturing: closestData.manufacturing,
-                    services: closestData.services
-                }, industryColors, industryFullNames);
+                    ...closestData,
+                    mouseYear: year // Show what year the mouse is actually over
+                }, industries);
             })
             .on('mouseout', () => {
                 trackingLine.style('opacity', 0);
                 this.hideTooltip();
             });
         
+        // Flag shares that are only era-level estimates
+        const estimateNote = SceneUtils.describeEstimatedShares(timePoints);
+        if (estimateNote) {
+            industryGroup.append('text')
+                .attr('class', 'industry-estimate-note')
+                .attr('x', this.width / 2)
+                .attr('y', breakdownY - 6)
+                .attr('text-anchor', 'middle')
+                .style('font-size', '10px')
+                .style('font-style', 'italic')
+                .style('fill', '#888')
+                .text(`Sector shares${estimateNote}`);
+        }
+        
         // Add legend
         this.addIndustryLegend(breakdownY + fluidHeight + 20);
     }
     
-    getIndustryPercentage(year, industry) {
-        // Full millennium industry evolution with corrected ratios that always sum to 100%
-        if (year <= 1500) {
-            switch (industry) {
-                case 'agriculture': return 85;
-                case 'manufacturing': return 10;
-                case 'services': return 5;
-            }
-        } else if (year <= 1750) {
-            const progress = (year - 1500) / 250;
-            switch (industry) {
-                case 'agriculture': return 85 - (progress * 35); // 85% → 50%
-                case 'manufacturing': return 10 + (progress * 30); // 10% → 40%
-                case 'services': return 5 + (progress * 5); // 5% → 10%
-            }
-        } else if (year <= 1900) {
-            const progress = (year - 1750) / 150;
-            switch (industry) {
-                case 'agriculture': return 50 - (progress * 35); // 50% → 15%
-                case 'manufacturing': return 40 + (progress * 30); // 40% → 70%
-                case 'services': return 10 + (progress * 5); // 10% → 15%
-            }
-        } else if (year <= 1950) {
-            const progress = (year - 1900) / 50;
-            switch (industry) {
-                case 'agriculture': return 15 - (progress * 10); // 15% → 5%
-                case 'manufacturing': return 70 - (progress * 20); // 70% → 50%
-                case 'services': return 15 + (progress * 30); // 15% → 45%
-            }
-        } else {
-            const progress = (year - 1950) / 66;
-            switch (industry) {
-                case 'agriculture': return Math.max(1, 5 - (progress * 4)); // 5% → 1%
-                case 'manufacturing': return Math.max(12, 50 - (progress * 38)); // 50% → 12%
-                case 'services': return Math.min(87, 45 + (progress * 42)); // 45% → 87%
-            }
-        }
-        return 0;
+    getIndustries() {
+        // Sectors from the processed data, named as the selected period names them
+        const periodKey = this.selectedPeriod !== 'all' ? this.selectedPeriod : null;
+        return SceneUtils.getSectorIndustries(this.sectorShares, this.periodCatalogue, periodKey);
+    }
+    
+    getIndustryNames() {
+        return Object.fromEntries(this.getIndustries().map(({ key, name }) => [key, name]));
     }
     
     addIndustryLegend(startY) {
-        const industries = [
-            { name: 'Agriculture', color: '#8B4513' },
-            { name: 'Manufacturing', color: '#4682B4' },
-            { name: 'Services', color: '#9370DB' }
-        ];
+        const industries = this.getIndustries();
         
         industries.forEach((industry, i) => {
             // Center the legend under the chart
@@ -944,6 +1022,8 @@ export class Scene6Interactive {
     }
     
     showEventStory(event) {
+        this.updateState({ event: event.year });
+        
         const tooltip = d3.select('body').selectAll('.event-story-tooltip')
             .data([0])
             .join('div')
@@ -996,7 +1076,7 @@ export class Scene6Interactive {
         });
     }
     
-    showIndustryBreakdownTooltip(event, data, colors, names) {
+    showIndustryBreakdownTooltip(event, data, industries) {
         const tooltip = d3.select('body').selectAll('.industry-breakdown-tooltip')
             .data([0])
             .join('div')
@@ -1022,23 +1102,22 @@ export class Scene6Interactive {
         }
         
         // Add each industry with its color and percentage
-        tooltipContent += `<div style="margin-bottom: 4px;">`;
-        tooltipContent += `<span style="display: inline-block; width: 12px; height: 12px; background-color: ${colors[0]}; margin-right: 8px;"></span>`;
-        tooltipContent += `<strong>${names[0]}:</strong> ${data.agriculture.toFixed(1)}%</div>`;
-        
-        tooltipContent += `<div style="margin-bottom: 4px;">`;
-        tooltipContent += `<span style="display: inline-block; width: 12px; height: 12px; background-color: ${colors[1]}; margin-right: 8px;"></span>`;
-        tooltipContent += `<strong>${names[1]}:</strong> ${data.manufacturing.toFixed(1)}%</div>`;
-        
-        tooltipContent += `<div style="margin-bottom: 8px;">`;
-        tooltipContent += `<span style="display: inline-block; width: 12px; height: 12px; background-color: ${colors[2]}; margin-right: 8px;"></span>`;
-        tooltipContent += `<strong>${names[2]}:</strong> ${data.services.toFixed(1)}%</div>`;
+        industries.forEach(({ key, name, color }, i) => {
+            tooltipContent += `<div style="margin-bottom: ${i === industries.length - 1 ? 8 : 4}px;">`;
+            tooltipContent += `<span style="display: inline-block; width: 12px; height: 12px; background-color: ${color}; margin-right: 8px;"></span>`;
+            tooltipContent += `<strong>${name}:</strong> ${data[key].toFixed(1)}%</div>`;
+        });
         
         // Add total verification
-        const total = data.agriculture + data.manufacturing + data.services;
+        const total = d3.sum(industries, industry => data[industry.key]);
         tooltipContent += `<div style="border-top: 1px solid #444; padding-top: 4px; font-size: 11px; opacity: 0.8;">`;
         tooltipContent += `Total: ${total.toFixed(1)}%</div>`;
         
+        // Where the shares come from, and whether they are only an era-level estimate
+        if (data.sourceLabel) {
+            tooltipContent += `<div style="font-size: 11px; margin-top: 4px; opacity: 0.8;${data.estimated ? ' font-style: italic;' : ''}">${data.sourceLabel}</div>`;
+        }
+        
         tooltip.html(tooltipContent)
             .style('left', Math.min(event.pageX + 15, window.innerWidth - 220) + 'px')
             .style('top', Math.max(event.pageY - 10, 10) + 'px')
@@ -1237,16 +1316,10 @@ export class Scene6Interactive {
     }
     
     addPeriodHighlights() {
-        // Add background highlights for different periods
-        const periodColors = {
-            medieval: '#f8f9fa',
-            awakening: '#e3f2fd',
-            industrial: '#fff3e0',
-            crisis: '#ffebee',
-            modern: '#e8f5e8'
-        };
+        if (!this.periodCatalogue) return;
         
-        Object.entries(this.data.periods).forEach(([key, period]) => {
+        // Add background highlights for different periods (colours from the period config)
+        this.periodCatalogue.periods({ nested: false }).forEach(period => {
             const startX = this.xScale(period.start);
             const endX = this.xScale(period.end);
             const width = endX - startX;
@@ -1256,7 +1329,7 @@ export class Scene6Interactive {
                 .attr('y', 0)
                 .attr('width', width)
                 .attr('height', this.height)
-                .attr('fill', periodColors[key] || '#f0f0f0')
+                .attr('fill', period.color || '#f0f0f0')
                 .attr('opacity', 0.3)
                 .style('pointer-events', 'none');
         });
@@ -1264,13 +1337,7 @@ export class Scene6Interactive {
     
     addKeyEvents() {
         // Key events across all periods
-        const keyEvents = [
-            { year: 1348, event: 'Black Death', period: 'medieval' },
-            { year: 1600, event: 'East India Co.', period: 'awakening' },
-            { year: 1825, event: 'First Railway', period: 'industrial' },
-            { year: 1929, event: 'Great Depression', period: 'crisis' },
-            { year: 1990, event: 'World Wide Web', period: 'modern' }
-        ];
+        const keyEvents = this.eventCatalogue?.query({ tags: ['milestone'] }) || [];
         
         keyEvents.forEach(event => {
             if (this.xScale && event.year >= this.xScale.domain()[0] && event.year <= this.xScale.domain()[1]) {
@@ -1294,7 +1361,7 @@ export class Scene6Interactive {
                     .style('font-size', '10px')
                     .style('font-weight', 'bold')
                     .style('fill', '#333')
-                    .text(event.event);
+                    .text(event.label || event.event);
             }
         });
     }
@@ -1377,18 +1444,12 @@ export class Scene6Interactive {
     }
     
     getMetricLabel(metric) {
-        const labels = {
-            'gdpReal': 'Real GDP (£M)',
-            'population': 'Population (millions)',
-            'cpi': 'Consumer Price Index',
-            'wages': 'Real Wages',
-            'unemployment': 'Unemployment Rate (%)',
-            'interest_rates': 'Interest Rate (%)'
-        };
-        return labels[metric] || metric;
+        return IndicatorRegistry.getLabel(metric);
     }
     
     addDualAxisChart(populationData, gdpData) {
+        if (populationData.length === 0) return;
+        
         console.log('📊 Adding dual axis chart with GDP and Population...');
         
         // Use the same reduced chart height as the main chart
@@ -1462,9 +1523,9 @@ export class Scene6Interactive {
                     .style('z-index', 1000);
                 
                 tooltip.html(`
-                    <strong>Population</strong><br/>
+                    <strong>${IndicatorRegistry.get('population').label}</strong><br/>
                     Year: ${d.year}<br/>
-                    Population: ${d3.format('.1f')(d.value / 1000)} million
+                    Population: ${IndicatorRegistry.formatValue('population', d.value)}
                 `)
                 .style('left', (event.pageX + 10) + 'px')
                 .style('top', (event.pageY - 10) + 'px');
@@ -1476,12 +1537,10 @@ export class Scene6Interactive {
     
     exit() {
         console.log('🔄 Scene 6 - Exit called');
-        return new Promise((resolve) => {
-            this.sceneGroup.selectAll('*')
-                .transition()
-                .duration(500)
-                .style('opacity', 0)
-                .on('end', resolve);
-        });
+        return SceneUtils.fadeOutScene(this.rootGroup, 500);
+    }
+    
+    destroy() {
+        SceneUtils.destroyScene(this);
     }
 }
\ No newline at end of file
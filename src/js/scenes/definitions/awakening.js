@@ -0,0 +1,59 @@
+/**
+ * Great Awakening (1500-1750) - narrative scene definition, see BaseScene
+ * Shows early modern economic transformation - trade expansion, manufacturing growth, financial innovations
+ */
+
+export const awakeningScene = {
+    periodKey: 'awakening',
+    subtitle: 'From Medieval Stagnation to Early Modern Growth',
+    emoji: '🌅', // Console log prefix
+    
+    // Tooltip context for a year: the first entry whose 'until' year it doesn't pass
+    contexts: [
+        {
+            until: 1550,
+            period: 'Early Reformation Period',
+            structure: 'Agricultural economy with emerging trade networks and religious transformation',
+            social: 'Religious upheaval, dissolution of monasteries, emerging merchant class, Protestant work ethic'
+        },
+        {
+            until: 1600,
+            period: 'Elizabethan Commercial Expansion',
+            structure: 'Growing maritime trade and colonial ventures with agricultural foundation',
+            social: 'Naval expansion, privateering, joint-stock companies, global trade networks'
+        },
+        {
+            until: 1650,
+            period: 'Early Colonial Commerce',
+            structure: 'Expanding trade networks with agricultural improvements and financial innovation',
+            social: 'Colonial expansion, agricultural revolution, enclosure movement, merchant wealth'
+        },
+        {
+            until: 1700,
+            period: 'Financial Revolution Era',
+            structure: 'Modern financial institutions with expanding manufacturing and trade',
+            social: 'Bank of England, government bonds, insurance markets, urban growth'
+        },
+        {
+            period: 'Pre-Industrial Transformation',
+            structure: 'Diversified economy with strong manufacturing base and financial infrastructure',
+            social: 'Industrial preparation, technological innovation, capital accumulation, social mobility'
+        }
+    ],
+    
+    // Annotation panel
+    annotations: [
+        {
+            title: 'The Great Awakening',
+            content: 'The <a href="https://en.wikipedia.org/wiki/Renaissance" target="_blank">Renaissance</a> brought economic dynamism - population surged, trade expanded, and financial innovations emerged. The <a href="https://en.wikipedia.org/wiki/Age_of_Discovery" target="_blank">Age of Discovery</a> opened global trade routes.'
+        },
+        {
+            title: 'Financial Innovation',
+            content: '<a href="https://en.wikipedia.org/wiki/Bank_of_England" target="_blank">Bank of England</a> founded (1694), <a href="https://en.wikipedia.org/wiki/Stock_market" target="_blank">stock markets</a> emerge, interest rates fall from 10%+ to 3-5%. The <a href="https://en.wikipedia.org/wiki/Financial_Revolution" target="_blank">Financial Revolution</a> created modern banking.'
+        },
+        {
+            title: 'GDP Acceleration',
+            content: 'England GDP grows from £2.6M to £10.7M - 4x growth in 250 years, setting stage for <a href="https://en.wikipedia.org/wiki/Industrial_Revolution" target="_blank">industrial revolution</a>. Population doubles from 4M to 8M.'
+        }
+    ]
+};
@@ -0,0 +1,65 @@
+/**
+ * Crisis & Transformation (1900-1950) - narrative scene definition, see BaseScene
+ * Shows economic volatility - World Wars, Great Depression, recovery, social change
+ */
+
+export const crisisScene = {
+    periodKey: 'crisis',
+    subtitle: 'Wars, Depression, and the Rise of the Modern State',
+    emoji: '⚡', // Console log prefix
+    
+    // Tooltip context for a year: the first entry whose 'until' year it doesn't pass
+    contexts: [
+        {
+            until: 1914,
+            period: 'Pre-War Prosperity',
+            structure: 'Mature industrial economy with global trade dominance and imperial markets',
+            social: 'Victorian prosperity, industrial dominance, global trade leadership, social inequality'
+        },
+        {
+            until: 1918,
+            period: 'World War I',
+            structure: 'Total war economy with government control and industrial mobilization',
+            social: 'Mass conscription, rationing, industrial mobilization, government control'
+        },
+        {
+            until: 1929,
+            period: 'Interwar Recovery',
+            structure: 'Post-war reconstruction with return to market economy and international trade',
+            social: 'Post-war recovery, return to gold standard, industrial restructuring, social reforms'
+        },
+        {
+            until: 1939,
+            period: 'Great Depression',
+            structure: 'Economic crisis with high unemployment and government intervention',
+            social: 'Mass unemployment, poverty, social unrest, government intervention, welfare reforms'
+        },
+        {
+            until: 1945,
+            period: 'World War II',
+            structure: 'Total war economy with complete government control and industrial mobilization',
+            social: 'Total war, rationing, industrial mobilization, government control, social unity'
+        },
+        {
+            period: 'Post-War Reconstruction',
+            structure: 'Welfare state economy with government intervention and social democracy',
+            social: 'Welfare state, full employment, NHS, social democracy, economic planning'
+        }
+    ],
+    
+    // Annotation panel
+    annotations: [
+        {
+            title: 'Crisis & Transformation',
+            content: 'Two <a href="https://en.wikipedia.org/wiki/World_War_I" target="_blank">world wars</a> and the <a href="https://en.wikipedia.org/wiki/Great_Depression" target="_blank">Great Depression</a> shattered the old economic order, birthing the modern state. <a href="https://en.wikipedia.org/wiki/Keynesian_economics" target="_blank">Keynesian economics</a> emerges.'
+        },
+        {
+            title: 'Big Government',
+            content: 'Government spending explodes from 10% to 40%+ of GDP during wars. <a href="https://en.wikipedia.org/wiki/Unemployment" target="_blank">Unemployment</a> peaks at 15%+ in 1930s. <a href="https://en.wikipedia.org/wiki/Welfare_state" target="_blank">Welfare state</a> established.'
+        },
+        {
+            title: 'New Economic Order',
+            content: '<a href="https://en.wikipedia.org/wiki/Gold_standard" target="_blank">Gold standard</a> abandoned, modern economic management emerges. <a href="https://en.wikipedia.org/wiki/Bretton_Woods_system" target="_blank">Bretton Woods</a> creates new monetary order.'
+        }
+    ]
+};
@@ -0,0 +1,59 @@
+/**
+ * Industrial Explosion (1750-1900) - narrative scene definition, see BaseScene
+ * Shows the dramatic economic transformation - steam power, railways, manufacturing boom
+ */
+
+export const industrialScene = {
+    periodKey: 'industrial',
+    subtitle: 'Steam, Steel, and the Birth of Modern Economy',
+    emoji: '🏭', // Console log prefix
+    
+    // Tooltip context for a year: the first entry whose 'until' year it doesn't pass
+    contexts: [
+        {
+            until: 1780,
+            period: 'Early Industrial Revolution',
+            structure: 'Transition from agricultural to industrial economy with steam power introduction',
+            social: 'Steam power introduction, factory system emerging, rural to urban migration beginning'
+        },
+        {
+            until: 1820,
+            period: 'Steam Power Era',
+            structure: 'Rapid industrialization with steam-powered manufacturing and transportation',
+            social: 'Mass factory employment, urbanization accelerating, steam railways beginning'
+        },
+        {
+            until: 1850,
+            period: 'Railway Age',
+            structure: 'Railway network expansion driving industrial growth and market integration',
+            social: 'Railway construction boom, mass transportation, national market integration'
+        },
+        {
+            until: 1870,
+            period: 'Steel Revolution',
+            structure: 'Steel production enabling massive infrastructure and industrial expansion',
+            social: 'Steel industry boom, heavy industry development, urban industrial centers'
+        },
+        {
+            period: 'Mature Industrial Economy',
+            structure: 'Fully industrialized economy with advanced manufacturing and global trade',
+            social: 'Industrial dominance, global trade leadership, urban industrial society'
+        }
+    ],
+    
+    // Annotation panel
+    annotations: [
+        {
+            title: 'Industrial Explosion',
+            content: 'The <a href="https://en.wikipedia.org/wiki/Industrial_Revolution" target="_blank">Industrial Revolution</a> created sustained economic growth for the first time in human history. <a href="https://en.wikipedia.org/wiki/Steam_engine" target="_blank">Steam power</a> and <a href="https://en.wikipedia.org/wiki/Factory_system" target="_blank">factory system</a> revolutionized production.'
+        },
+        {
+            title: 'Exponential Growth',
+            content: 'Real GDP explodes 20x from £10M to £200M. Population quadruples with massive <a href="https://en.wikipedia.org/wiki/Urbanization" target="_blank">urbanization</a>. <a href="https://en.wikipedia.org/wiki/Railway_manias" target="_blank">Railway manias</a> and infrastructure boom.'
+        },
+        {
+            title: 'Modern Economy Born',
+            content: 'Shift from 80% agricultural to 20% agricultural employment. <a href="https://en.wikipedia.org/wiki/Real_wage" target="_blank">Real wages</a> rise for first time in centuries. <a href="https://en.wikipedia.org/wiki/Middle_class" target="_blank">Middle class</a> emerges.'
+        }
+    ]
+};
@@ -0,0 +1,59 @@
+/**
+ * Medieval Times (1209-1500) - narrative scene definition, see BaseScene
+ * Shows the economic "dark ages" - sparse data, slow growth, high volatility
+ */
+
+export const medievalScene = {
+    periodKey: 'medieval',
+    subtitle: 'Centuries of Economic Stagnation Before Transformation',
+    emoji: '🏰', // Console log prefix
+    
+    // Tooltip context for a year: the first entry whose 'until' year it doesn't pass
+    contexts: [
+        {
+            until: 1250,
+            period: 'Early Medieval England',
+            structure: 'Feudal agricultural economy with limited trade and sparse economic data',
+            social: 'Feudal society, manorial system, subsistence farming, high mortality rates'
+        },
+        {
+            until: 1300,
+            period: 'High Medieval Growth',
+            structure: 'Agricultural expansion with emerging trade networks and urban development',
+            social: 'Population growth, expanding towns, guild system developing, improved farming'
+        },
+        {
+            until: 1350,
+            period: 'Black Death Crisis',
+            structure: 'Economic collapse following catastrophic population loss',
+            social: 'Massive population decline, labor shortages, social disruption, economic chaos'
+        },
+        {
+            until: 1400,
+            period: 'Post-Plague Recovery',
+            structure: 'Gradual economic recovery with labor shortages driving change',
+            social: 'Labor shortages, rising wages, weakening feudalism, peasant gains'
+        },
+        {
+            period: 'Late Medieval Transformation',
+            structure: 'Transition from feudalism to early capitalism and market economy',
+            social: 'Rising merchant class, wool trade expansion, early banking, social mobility'
+        }
+    ],
+    
+    // Annotation panel
+    annotations: [
+        {
+            title: 'Medieval Times',
+            content: 'For centuries, England\'s economy remained locked in medieval patterns with sparse data, agricultural dominance, and extreme volatility from famines and plagues. The <a href="https://en.wikipedia.org/wiki/Medieval_demography" target="_blank">medieval demographic cycle</a> saw repeated population crashes and recoveries.'
+        },
+        {
+            title: 'Population Stagnation',
+            content: `Population grew very slowly from ~3.6M to ~4.3M over 300 years. The <a href="https://en.wikipedia.org/wiki/Black_Death" target="_blank">Black Death (1348)</a> devastated the population by 30-40%, creating labor shortages that eventually led to the end of serfdom.`
+        },
+        {
+            title: 'Economic Structure',
+            content: `Medieval economy dominated by <a href="https://en.wikipedia.org/wiki/Medieval_agriculture" target="_blank">agriculture (70-85%)</a>, with emerging crafts & trade sectors. Service economy minimal, limited to basic commerce and religious institutions.`
+        }
+    ]
+};
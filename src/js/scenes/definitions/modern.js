@@ -0,0 +1,65 @@
+/**
+ * Modern Service Economy (1950-2016) - narrative scene definition, see BaseScene
+ * Shows post-war boom, service economy rise, technology revolution, globalization
+ */
+
+export const modernScene = {
+    periodKey: 'modern',
+    subtitle: 'Technology, Services, and the Global Economy',
+    emoji: '💻', // Console log prefix
+    
+    // Tooltip context for a year: the first entry whose 'until' year it doesn't pass
+    contexts: [
+        {
+            until: 1970,
+            period: 'Post-War Boom',
+            structure: 'Mixed economy with strong manufacturing and growing services sector',
+            social: 'Full employment, welfare state, industrial prosperity, consumer boom'
+        },
+        {
+            until: 1980,
+            period: 'Economic Crisis',
+            structure: 'Declining manufacturing with services becoming dominant',
+            social: 'Inflation, unemployment, industrial decline, social unrest'
+        },
+        {
+            until: 1990,
+            period: 'Thatcher Revolution',
+            structure: 'Rapid deindustrialization and service economy expansion',
+            social: 'Financial deregulation, privatization, union decline, service sector growth'
+        },
+        {
+            until: 2000,
+            period: 'Globalization Era',
+            structure: 'Global service economy with technology sector growth',
+            social: 'Globalization, technology boom, financial services dominance, digital revolution'
+        },
+        {
+            until: 2010,
+            period: 'Digital Revolution',
+            structure: 'Technology-driven service economy with minimal manufacturing',
+            social: 'Internet economy, digital services, financial crisis, technology innovation'
+        },
+        {
+            period: 'Modern Service Economy',
+            structure: 'Technology and service-dominated economy with global reach',
+            social: 'Digital transformation, global services, technology leadership, knowledge economy'
+        }
+    ],
+    
+    // Annotation panel
+    annotations: [
+        {
+            title: 'Modern Service Economy',
+            content: 'Britain transforms from industrial powerhouse to <a href="https://en.wikipedia.org/wiki/Service_economy" target="_blank">service economy</a>, bringing new prosperity and financial risks. <a href="https://en.wikipedia.org/wiki/Thatcherism" target="_blank">Thatcher reforms</a> accelerate transition.'
+        },
+        {
+            title: 'Service Dominance',
+            content: 'Services grow from 40% to 80% of economy. <a href="https://en.wikipedia.org/wiki/Financial_services" target="_blank">Financial sector</a> profits surge as manufacturing declines. <a href="https://en.wikipedia.org/wiki/Big_Bang_(financial_markets)" target="_blank">Big Bang</a> deregulation (1986).'
+        },
+        {
+            title: 'Asset Inflation',
+            content: '<a href="https://en.wikipedia.org/wiki/House_price_index" target="_blank">House prices</a> explode 100x since 1950, while wages rise only 10x. <a href="https://en.wikipedia.org/wiki/Consumer_debt" target="_blank">Consumer debt</a> mountains accumulate. <a href="https://en.wikipedia.org/wiki/Financial_crisis_of_2007%E2%80%9308" target="_blank">2008 crisis</a> exposes risks.'
+        }
+    ]
+};
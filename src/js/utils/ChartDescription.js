@@ -0,0 +1,227 @@
+/**
+ * Chart Description
+ * Text alternatives for the scene charts, for screen readers: a prose summary of the plotted
+ * series (trend, range, key events), labels for data points and event markers, and an HTML
+ * table mirroring the series
+ */
+
+import { SceneUtils } from './SceneUtils.js';
+import { IndicatorRegistry } from '../data/IndicatorRegistry.js';
+import { GapFiller } from '../data/GapFiller.js';
+
+export class ChartDescription {
+    /**
+     * Prose summary of a plotted series
+     * @param {Object} chart
+     * @param {string} chart.title - Scene title
+     * @param {Array} chart.data - Plotted points ({ year, value, fill }) as returned by applyViewMode()
+     * @param {Object} chart.view - View from applyViewMode(); its indicator names the series
+     * @param {Array} chart.events - Events marked on the chart ({ year, event })
+     * @returns {string}
+     */
+    static summarise({ title, data = [], view = null, events = [] }) {
+        if (data.length === 0) {
+            return `${title}. There is no data to chart for this selection.`;
+        }
+
+        const indicator = view?.indicator;
+        const label = SceneUtils.getViewAxisLabel(indicator, view);
+        const format = value => SceneUtils.formatViewValue(value, indicator, view);
+        const first = data[0];
+        const last = data[data.length - 1];
+        const lowest = d3.least(data, d => d.value);
+        const highest = d3.greatest(data, d => d.value);
+
+        const sentences = [
+            `${title}. Line chart of ${label}, ${first.year} to ${last.year}`,
+            view?.mode === 'yoy'
+                ? `The change averages ${format(d3.mean(data, d => d.value))} a year`
+                : `It ${ChartDescription.describeTrend(first.value, last.value)}, from ${format(first.value)} in ${first.year} to ${format(last.value)} in ${last.year}`,
+            `The lowest value is ${format(lowest.value)} in ${lowest.year} and the highest ${format(highest.value)} in ${highest.year}`
+        ];
+
+        const estimated = data.filter(d => d.fill).length;
+        if (estimated > 0) {
+            sentences.push(`${estimated} of ${data.length} values are estimated to fill gaps in the records`);
+        }
+
+        if (events.length > 0) {
+            sentences.push(`Events marked: ${events.map(e => `${e.year}, ${e.event}`).join('; ')}`);
+        }
+
+        return sentences.join('. ') + '.';
+    }
+
+    /**
+     * How a series moved between two values, e.g. 'rises 12.5-fold' or 'falls by 30%'
+     */
+    static describeTrend(start, end) {
+        if (!(start > 0) || !(end > 0)) {
+            return end > start ? 'rises' : end < start ? 'falls' : 'is unchanged';
+        }
+
+        const ratio = end / start;
+        if (ratio >= 2) return `rises ${d3.format(',.1f')(ratio)}-fold`;
+        if (ratio > 1.05) return `rises by ${d3.format('.0%')(ratio - 1)}`;
+        if (ratio < 0.95) return `falls by ${d3.format('.0%')(1 - ratio)}`;
+        return 'is roughly flat';
+    }
+
+    /**
+     * Accessible name for a plotted point, e.g. '1929: Real GDP £1.2bn (estimated: linear interpolation)'
+     * @param {Object} d - Plotted point with its view
+     * @returns {string}
+     */
+    static pointLabel(d) {
+        const indicator = d.view?.indicator || d.type;
+        const label = !d.view || d.view.mode === 'absolute'
+            ? IndicatorRegistry.get(indicator)?.label || indicator
+            : SceneUtils.getViewAxisLabel(indicator, d.view);
+        const value = SceneUtils.formatViewValue(d.value, indicator, d.view);
+        const fill = GapFiller.describe(d.fill);
+        return `${d.year}: ${label} ${value}${fill ? ` (estimated: ${fill})` : ''}`;
+    }
+
+    /**
+     * Accessible name for an event marker
+     * @param {Object} event - { year, event }
+     * @returns {string}
+     */
+    static eventLabel(event) {
+        return `${event.year}: ${event.event}. Press Enter for the full story.`;
+    }
+
+    /**
+     * Make a chart SVG a labelled group: named by its <title> and described by the summary
+     * render() writes
+     * @param {Object} svg - D3 selection of the chart SVG
+     */
+    static labelChart(svg) {
+        svg.attr('role', 'group')
+            .attr('aria-labelledby', 'chart-title')
+            .attr('aria-describedby', 'chart-summary');
+
+        svg.append('title')
+            .attr('id', 'chart-title');
+    }
+
+    /**
+     * Text alternatives for a rendered scene: the SVG title, summary, labelled points and
+     * markers, and a table of the plotted series
+     * @param {Object} svg - D3 selection of the chart SVG, see labelChart()
+     * @param {Object} container - D3 selection of the description region
+     * @param {string} title - Scene title
+     * @param {Object} scene - Rendered scene instance (primaryData, view, events)
+     */
+    static describeScene(svg, container, title, scene) {
+        svg.select('#chart-title').text(title);
+
+        const data = scene.primaryData || [];
+        const view = scene.view || data[0]?.view || null;
+        const series = data.length > 0 ? [{
+            label: SceneUtils.getViewAxisLabel(view?.indicator, view),
+            data,
+            format: value => SceneUtils.formatViewValue(value, view?.indicator, view)
+        }] : null;
+
+        // Scene 6 overlays population on its own axis
+        if (series && !scene.isPrimaryPopulation && scene.populationData?.length > 0) {
+            series.push({
+                label: IndicatorRegistry.getLabel('population'),
+                data: scene.populationData,
+                format: value => IndicatorRegistry.formatValue('population', value)
+            });
+        }
+
+        ChartDescription.render(container, {
+            title,
+            data,
+            view,
+            events: scene.events || [],
+            series
+        });
+        ChartDescription.labelElements(svg);
+    }
+
+    /**
+     * Give a rendered chart's data points and event markers roles and names
+     * @param {Object} svg - D3 selection of the chart SVG
+     */
+    static labelElements(svg) {
+        svg.selectAll('.data-point')
+            .filter(d => d && d.year !== undefined)
+            .attr('role', 'img')
+            .attr('aria-label', d => ChartDescription.pointLabel(d));
+
+        svg.selectAll('.event-marker')
+            .filter(d => d && d.event)
+            .attr('role', 'button')
+            .attr('aria-label', d => ChartDescription.eventLabel(d));
+    }
+
+    /**
+     * Table of one or more series by year
+     * @param {Object} container - D3 selection to append to
+     * @param {Object} options
+     * @param {string} options.caption - Table caption
+     * @param {Array} options.series - [{ label, data: [{ year, value, fill }], format: value => string }]
+     * @returns {Object} D3 selection of the table
+     */
+    static renderTable(container, { caption, series }) {
+        const years = Array.from(new Set(series.flatMap(s => s.data.map(d => d.year)))).sort((a, b) => a - b);
+        const byYear = series.map(s => new Map(s.data.map(d => [d.year, d])));
+
+        const table = container.append('table')
+            .attr('class', 'chart-data-table');
+        table.append('caption').text(caption);
+
+        const header = table.append('thead').append('tr');
+        header.append('th').attr('scope', 'col').text('Year');
+        series.forEach(s => header.append('th').attr('scope', 'col').text(s.label));
+
+        const rows = table.append('tbody')
+            .selectAll('tr')
+            .data(years)
+            .enter()
+            .append('tr');
+        rows.append('th')
+            .attr('scope', 'row')
+            .text(year => year);
+        series.forEach((s, i) => {
+            rows.append('td').text(year => {
+                const d = byYear[i].get(year);
+                if (!d) return '';
+                return d.fill ? `${s.format(d.value)} (estimated)` : s.format(d.value);
+            });
+        });
+
+        return table;
+    }
+
+    /**
+     * Write the summary and a toggleable data table for the current chart
+     * @param {Object} container - D3 selection of the description region (emptied first)
+     * @param {Object} chart - See summarise(), plus series for the table (defaults to the plotted series)
+     */
+    static render(container, { title, data = [], view = null, events = [], series = null }) {
+        container.selectAll('*').remove();
+
+        container.append('p')
+            .attr('id', 'chart-summary')
+            .attr('class', 'visually-hidden')
+            .text(ChartDescription.summarise({ title, data, view, events }));
+
+        if (data.length === 0) return;
+
+        const tableSeries = series || [{
+            label: SceneUtils.getViewAxisLabel(view?.indicator, view),
+            data,
+            format: value => SceneUtils.formatViewValue(value, view?.indicator, view)
+        }];
+
+        const details = container.append('details')
+            .attr('class', 'chart-data');
+        details.append('summary').text('Show the chart data as a table');
+        ChartDescription.renderTable(details, { caption: title, series: tableSeries });
+    }
+}
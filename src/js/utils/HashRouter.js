@@ -0,0 +1,115 @@
+/**
+ * Hash Router
+ * Keeps the current scene and its exploration state in the URL hash so views can be
+ * bookmarked, shared and walked through with back/forward:
+ *
+ *   #/scene/4?year=1929&event=1929
+ *   #/scene/6?metric=unemployment&period=crisis&population=0
+ */
+
+// Query parameters a route can carry, and how to read them back
+const ROUTE_PARAMS = {
+    year: value => parseInt(value),
+    event: value => parseInt(value),
+    metric: value => value,
+    period: value => value,
+    population: value => value !== '0' && value !== 'false'
+};
+
+export class HashRouter {
+    /**
+     * @param {Function} onRoute - Called with { sceneId, state } when back/forward or a
+     *   hand-edited URL changes the route
+     */
+    constructor(onRoute) {
+        this.onRoute = onRoute;
+        this.currentHash = null;
+        this.handleHashChange = () => {
+            // Ignore the hashchange our own push() caused
+            if (window.location.hash === this.currentHash) return;
+
+            const route = HashRouter.parse(window.location.hash);
+            this.currentHash = window.location.hash;
+            if (route) this.onRoute(route);
+        };
+    }
+
+    /**
+     * Start listening for route changes
+     * @returns {Object|null} Route in the URL at startup, or null when there isn't one
+     */
+    start() {
+        window.addEventListener('hashchange', this.handleHashChange);
+        this.currentHash = window.location.hash;
+        return HashRouter.parse(window.location.hash);
+    }
+
+    stop() {
+        window.removeEventListener('hashchange', this.handleHashChange);
+    }
+
+    /**
+     * Record a new route as a history entry (scene changes)
+     * @param {number} sceneId - Scene number
+     * @param {Object} state - Scene state, see format()
+     */
+    push(sceneId, state = {}) {
+        const hash = HashRouter.format(sceneId, state);
+        if (hash === window.location.hash) return;
+
+        this.currentHash = hash;
+        window.location.hash = hash;
+    }
+
+    /**
+     * Update the current history entry in place (state changes within a scene)
+     * @param {number} sceneId - Scene number
+     * @param {Object} state - Scene state, see format()
+     */
+    replace(sceneId, state = {}) {
+        const hash = HashRouter.format(sceneId, state);
+        if (hash === window.location.hash) return;
+
+        this.currentHash = hash;
+        window.history.replaceState(window.history.state, '', hash);
+    }
+
+    /**
+     * Read a route from a URL hash
+     * @param {string} hash - e.g. '#/scene/4?year=1929'
+     * @returns {Object|null} { sceneId, state } - unknown and unreadable parameters are dropped
+     */
+    static parse(hash) {
+        const match = /^#?\/scene\/(\d+)\/?(?:\?(.*))?$/.exec(hash || '');
+        if (!match) return null;
+
+        const state = {};
+        new URLSearchParams(match[2] || '').forEach((value, key) => {
+            if (!ROUTE_PARAMS[key]) return;
+
+            const parsed = ROUTE_PARAMS[key](value);
+            if (typeof parsed === 'number' && isNaN(parsed)) return;
+            state[key] = parsed;
+        });
+
+        return { sceneId: parseInt(match[1]), state };
+    }
+
+    /**
+     * Write a route as a URL hash
+     * @param {number} sceneId - Scene number
+     * @param {Object} state - { year, event, metric, period, population }; null and undefined values are left out
+     * @returns {string} Hash, e.g. '#/scene/6?metric=unemployment'
+     */
+    static format(sceneId, state = {}) {
+        const params = new URLSearchParams();
+        Object.keys(ROUTE_PARAMS).forEach(key => {
+            const value = state[key];
+            if (value === null || value === undefined) return;
+            params.set(key, typeof value === 'boolean' ? Number(value) : value);
+        });
+
+        const query = params.toString();
+        return `#/scene/${sceneId}${query ? `?${query}` : ''}`;
+    }
+}
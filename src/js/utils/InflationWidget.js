@@ -0,0 +1,107 @@
+/**
+ * Inflation Widget
+ * "What is £X from year Y worth today?" - a one-line description for tooltips and
+ * annotations, and a small interactive form for the annotation panel
+ */
+
+import { ValueConverter } from '../data/ValueConverter.js';
+
+export class InflationWidget {
+    /**
+     * Format a sum of money: pence for small sums, whole pounds otherwise
+     * @param {number} value - Amount in pounds
+     * @returns {string}
+     */
+    static formatAmount(value) {
+        if (value === null || value === undefined || !isFinite(value)) return 'n/a';
+        return '£' + d3.format(Math.abs(value) < 100 ? ',.2f' : ',.0f')(value);
+    }
+
+    /**
+     * One-line description of what an amount was worth, e.g.
+     * "£1 in 1850 ≈ £125.30 in 2016 (consumer prices)"
+     * @param {ValueConverter} converter - Converter over the loaded data
+     * @param {number} amount - Nominal amount
+     * @param {number} year - Year the amount is in
+     * @param {Object} options - { toYear, deflator, missing } - see ValueConverter.convert()
+     * @returns {string} Description, including why a conversion isn't possible
+     */
+    static describe(converter, amount, year, { toYear = null, ...options } = {}) {
+        const result = converter.convert(amount, year, toYear, options);
+        const basis = ValueConverter.describeDeflator(result.deflator);
+
+        if (result.value === null) {
+            return `${InflationWidget.formatAmount(amount)} in ${year}: can't convert - ${result.notes.join('; ')}`;
+        }
+
+        const text = `${InflationWidget.formatAmount(amount)} in ${year} ≈ ${InflationWidget.formatAmount(result.value)} in ${result.toYear} (${basis})`;
+        return result.estimated ? `${text} - estimated: ${result.notes.join('; ')}` : text;
+    }
+
+    /**
+     * Interactive converter: amount, year and deflator inputs with a live result
+     * @param {Object} container - D3 selection to append to
+     * @param {ValueConverter} converter - Converter over the loaded data
+     * @param {Object} options
+     * @param {number} options.amount - Starting amount (default £100)
+     * @param {number} options.year - Starting year
+     * @param {string} options.deflator - Starting deflator (default 'cpi')
+     * @returns {Object} D3 selection of the widget
+     */
+    static render(container, converter, { amount = 100, year = 1900, deflator = 'cpi' } = {}) {
+        const range = converter.getRange(deflator);
+        const widget = container.append('form')
+            .attr('class', 'inflation-widget')
+            .on('submit', event => event.preventDefault());
+
+        const field = (label, control) => {
+            const wrapper = widget.append('label').attr('class', 'inflation-field');
+            wrapper.append('span').text(label);
+            return control(wrapper);
+        };
+
+        const amountInput = field('Amount (£)', wrapper => wrapper.append('input')
+            .attr('type', 'number')
+            .attr('min', 0)
+            .attr('step', 'any')
+            .property('value', amount));
+
+        const yearInput = field('Year', wrapper => wrapper.append('input')
+            .attr('type', 'number')
+            .attr('min', range?.start ?? null)
+            .attr('max', range?.end ?? null)
+            .attr('step', 1)
+            .property('value', year));
+
+        const deflatorSelect = field('Adjust by', wrapper => wrapper.append('select'));
+        deflatorSelect.selectAll('option')
+            .data(ValueConverter.deflators.filter(key => converter.getRange(key)))
+            .enter()
+            .append('option')
+            .attr('value', d => d)
+            .property('selected', d => d === deflator)
+            .text(d => ValueConverter.describeDeflator(d).replace(/^the /, ''));
+
+        const output = widget.append('output')
+            .attr('class', 'inflation-result')
+            .attr('aria-live', 'polite');
+
+        const update = () => {
+            const value = parseFloat(amountInput.property('value'));
+            const fromYear = parseInt(yearInput.property('value'));
+
+            if (isNaN(value) || isNaN(fromYear)) {
+                output.text('Enter an amount and a year');
+                return;
+            }
+            output.text(InflationWidget.describe(converter, value, fromYear, { deflator: deflatorSelect.property('value') }));
+        };
+
+        amountInput.on('input', update);
+        yearInput.on('input', update);
+        deflatorSelect.on('change', update);
+        update();
+
+        return widget;
+    }
+}
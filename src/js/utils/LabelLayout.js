@@ -0,0 +1,168 @@
+/**
+ * Label Layout
+ * Collision-free placement of event markers and their labels. Markers stay at their year and
+ * are stacked in the rows that fit between top and bottom; each label sits beside its marker
+ * (right by preference, left near the right edge) in the first row where neither overlaps
+ * anything already placed, nor the event lines running down from the markers above. A label
+ * that can't sit beside its marker - pushed off by the chart edges, or with every row taken
+ * there - is staggered along a row and joined to its marker by a leader line.
+ *
+ *   const placements = LabelLayout.place(
+ *       events.map(e => ({ x: xScale(e.year), width: LabelLayout.measureText(group, text(e)) + 8 })),
+ *       { width, top: plotTop + 22, bottom: plotBottom - 8 }
+ *   );
+ *   // placements[i]: { x, y, row, labelX, labelWidth, side: 'right' | 'left' | 'detached', leader }
+ */
+
+export class LabelLayout {
+    /**
+     * Width of a label's text, measured in the SVG where it can be, estimated otherwise
+     * @param {Object} container - D3 selection to measure in
+     * @param {string} text - Label text
+     * @param {Object} style - { fontSize, fontWeight } of the label
+     * @returns {number} Width in px
+     */
+    static measureText(container, text, { fontSize = 10, fontWeight = 'bold' } = {}) {
+        const probe = container.append('text')
+            .style('font-size', `${fontSize}px`)
+            .style('font-weight', fontWeight)
+            .style('visibility', 'hidden')
+            .text(text);
+        const width = probe.node()?.getComputedTextLength?.() || 0;
+        probe.remove();
+        return width > 0 ? width : LabelLayout.estimateWidth(text, fontSize);
+    }
+
+    /**
+     * Rough width of bold text for when nothing is rendered (about 0.55em a character)
+     */
+    static estimateWidth(text, fontSize = 10) {
+        return text.length * fontSize * 0.55;
+    }
+
+    /**
+     * Place markers and labels without overlaps
+     * Rows are filled greedily in year order, from top down to bottom. Each marker's event line
+     * runs down through the rows below it, so nothing in a lower row may sit across it. A label
+     * that fits beside its marker in no row is staggered: moved to the nearest place in the
+     * marker's stretch of free row (over the marker if need be) and joined to it by a leader
+     * line, which keeps that whole stretch. Only when no row has room for it either does it go
+     * where it overlaps least.
+     * @param {Array} items - [{ x: marker position, width: label width }]
+     * @param {Object} options
+     * @param {number} options.width - Width labels must stay within
+     * @param {number} options.top - y of the first row of markers
+     * @param {number} options.bottom - Lowest y a row of markers may take (default: no limit)
+     * @param {number} options.rowHeight - Distance between rows; must exceed a label plus a marker
+     * @param {number} options.markerRadius - Space kept around each marker
+     * @param {number} options.offset - Distance from a marker to its label
+     * @param {number} options.gap - Minimum space between neighbours in a row
+     * @returns {Array} Placement for each item, in input order
+     */
+    static place(items, { width, top = 0, bottom = Infinity, rowHeight = 30, markerRadius = 8, offset = 8, gap = 6 } = {}) {
+        const rowCount = Math.max(1, Math.floor((bottom - top) / rowHeight) + 1);
+        // Per row: spans taken by markers, labels and leaders
+        const rows = [];
+        // Event lines: { x, row } of each marker, running down from its row
+        const lines = [];
+        const placements = new Array(items.length);
+        const order = items.map((item, i) => i).sort((a, b) => items[a].x - items[b].x || a - b);
+        const isFree = (spans, start, end) => spans.every(span => start >= span.end + gap || end + gap <= span.start);
+        // What a row has in it: its own spans and the lines from the rows above
+        const taken = row => (rows[row] || []).concat(lines.filter(line => line.row < row).map(line => ({ start: line.x, end: line.x })));
+        // A marker's line must not cross anything in the rows below it
+        const lineIsClear = (row, x) => rows.slice(row + 1).every(spans => isFree(spans, x, x));
+
+        order.forEach(i => {
+            const { x, width: labelWidth } = items[i];
+            const candidates = LabelLayout.getCandidates(x, labelWidth, { width, markerRadius, offset });
+
+            const place = (row, labelX, side, span) => {
+                rows[row] = rows[row] || [];
+                rows[row].push(span);
+                lines.push({ x, row });
+                placements[i] = { x, y: top + row * rowHeight, row, labelX, labelWidth, side, leader: side === 'detached' };
+            };
+
+            // Rows in use, plus one more while the limit allows
+            const available = Math.min(rowCount, rows.length + 1);
+            for (let row = 0; row < available; row++) {
+                if (!lineIsClear(row, x)) continue;
+                const fit = candidates.find(candidate => isFree(taken(row), candidate.start, candidate.end));
+                if (fit) {
+                    place(row, fit.labelX, fit.side, fit);
+                    return;
+                }
+            }
+
+            // Stagger: the free stretch of a row around the marker, the label detached from it
+            const marker = { start: x - markerRadius, end: x + markerRadius };
+            const staggered = d3.range(available)
+                .map(row => {
+                    const spans = taken(row);
+                    if (!lineIsClear(row, x) || !isFree(spans, marker.start, marker.end)) return null;
+                    const labelX = LabelLayout.findSpaceAround(spans, marker, x + offset, labelWidth, { width, gap });
+                    return labelX === null ? null : { row, labelX, distance: Math.abs(labelX - (x + offset)) };
+                })
+                .filter(Boolean)
+                .sort((a, b) => a.distance - b.distance || a.row - b.row)[0];
+            if (staggered) {
+                const { row, labelX } = staggered;
+                place(row, labelX, 'detached', {
+                    start: Math.min(marker.start, labelX),
+                    end: Math.max(marker.end, labelX + labelWidth)
+                });
+                return;
+            }
+
+            // Every row is full: overlap as little as possible
+            const overlap = (spans, { start, end }) => d3.sum(spans, span => Math.max(0, Math.min(end, span.end) - Math.max(start, span.start)));
+            const fallback = d3.least(
+                d3.range(available).flatMap(row => candidates.map(candidate => ({ row, candidate, overlap: overlap(taken(row), candidate) }))),
+                option => option.overlap
+            );
+            place(fallback.row, fallback.candidate.labelX, fallback.candidate.side, fallback.candidate);
+        });
+
+        return placements;
+    }
+
+    /**
+     * Left edge for a label in the free stretch of a row around its marker, nearest to where
+     * it would like to be; the label may sit over the marker, never across anything else
+     * @param {Array} spans - Taken spans in the row ({ start, end })
+     * @param {Object} marker - Span of the marker ({ start, end })
+     * @param {number} preferredX - Where the label would start
+     * @param {number} labelWidth - Width of the label
+     * @returns {number|null} Label x, or null when the stretch is too narrow
+     */
+    static findSpaceAround(spans, marker, preferredX, labelWidth, { width, gap }) {
+        const from = d3.max(spans.filter(span => span.end <= marker.start), span => span.end + gap) ?? 0;
+        const to = (d3.min(spans.filter(span => span.start >= marker.end), span => span.start - gap) ?? width) - labelWidth;
+        return to < from ? null : Math.max(from, Math.min(preferredX, to));
+    }
+
+    /**
+     * Where a label can go relative to its marker, best first, with the span of the row the
+     * marker and label take up together
+     * @returns {Array} [{ side, labelX, start, end }]
+     */
+    static getCandidates(x, labelWidth, { width, markerRadius, offset }) {
+        const span = (side, labelX) => ({
+            side,
+            labelX,
+            start: Math.min(x - markerRadius, labelX),
+            end: Math.max(x + markerRadius, labelX + labelWidth)
+        });
+
+        const candidates = [];
+        if (x + offset + labelWidth <= width) candidates.push(span('right', x + offset));
+        if (x - offset - labelWidth >= 0) candidates.push(span('left', x - offset - labelWidth));
+
+        // Too wide for either side: keep it inside the chart, as near the marker as it gets
+        if (candidates.length === 0) {
+            candidates.push(span('detached', Math.max(0, Math.min(x + offset, width - labelWidth))));
+        }
+        return candidates;
+    }
+}
@@ -4,6 +4,12 @@
  */
 
 import { ColorPalette } from './ColorPalette.js';
+import { IndicatorRegistry } from '../data/IndicatorRegistry.js';
+import { GapFiller } from '../data/GapFiller.js';
+import { PopulationEstimator } from '../data/PopulationEstimator.js';
+import { InflationWidget } from './InflationWidget.js';
+import { LabelLayout } from './LabelLayout.js';
+import { EventCatalogue } from '../data/EventCatalogue.js';
 
 /**
  * Layout configuration for consistent positioning across scenes
@@ -27,6 +33,18 @@ export const LayoutConfig = {
     chartMargin: { top: 0.05, right: 0.02, bottom: 0.1, left: 0.08 }
 };
 
+/**
+ * View modes for the main series: how values are transformed before plotting
+ * and how the y-axis is scaled and labelled
+ */
+export const VIEW_MODES = {
+    absolute: { label: 'Absolute values' },
+    perCapita: { label: 'Per capita' },
+    indexed: { label: 'Indexed (base year = 100)' },
+    log: { label: 'Log scale' },
+    yoy: { label: 'Year-on-year % change' }
+};
+
 export class SceneUtils {
     
     /**
@@ -39,35 +57,27 @@ export class SceneUtils {
      * @param {Object} yScale - D3 scale for Y-axis
      * @param {boolean} isPrimaryPopulation - Whether showing population or GDP data
      * @param {number} animationDuration - Animation duration in ms
+     * @param {Object} view - View mode in effect, from applyViewMode() (default: absolute)
      */
-    static createMainAxes(sceneGroup, width, height, chartHeight, xScale, yScale, isPrimaryPopulation, animationDuration) {
-        // X-axis
-        const xAxis = d3.axisBottom(xScale)
-            .tickFormat(d3.format('d'))
-            .tickPadding(8);
+    static createMainAxes(sceneGroup, width, height, chartHeight, xScale, yScale, isPrimaryPopulation, animationDuration, view = null) {
+        const indicator = view?.indicator || SceneUtils.getPrimaryIndicator(isPrimaryPopulation);
         
+        // X-axis
         sceneGroup.append('g')
             .attr('class', 'axis x-axis')
             .attr('transform', `translate(0, ${chartHeight})`)
             .style('opacity', animationDuration > 0 ? 0 : 1)
-            .call(xAxis)
+            .call(SceneUtils.createXAxis(xScale))
             .transition()
             .delay(animationDuration)
             .duration(500)
             .style('opacity', 1);
         
         // Y-axis
-        const yAxis = d3.axisLeft(yScale)
-            .tickFormat(d => isPrimaryPopulation ? 
-                d3.format(',')(d) + 'k' : 
-                '£' + d3.format('.1f')(d / 1000) + 'B'
-            )
-            .tickPadding(8);
-        
         sceneGroup.append('g')
             .attr('class', 'axis y-axis')
             .style('opacity', animationDuration > 0 ? 0 : 1)
-            .call(yAxis)
+            .call(SceneUtils.createYAxis(yScale, indicator, view))
             .transition()
             .delay(animationDuration + 200)
             .duration(500)
@@ -99,23 +109,289 @@ export class SceneUtils {
             .style('font-weight', 'bold')
             .style('fill', '#333')
             .style('opacity', animationDuration > 0 ? 0 : 1)
-            .text(isPrimaryPopulation ? 'Population (thousands)' : 'GDP (billions, 2013 prices)')
+            .text(SceneUtils.getViewAxisLabel(indicator, view))
             .transition()
             .delay(animationDuration + 600)
             .duration(500)
             .style('opacity', 1);
     }
     
+    /**
+     * Year axis of the main chart
+     * @param {Object} xScale - D3 scale for x-axis
+     * @returns {Function} D3 axis
+     */
+    static createXAxis(xScale) {
+        return d3.axisBottom(xScale)
+            .tickFormat(d3.format('d'))
+            .tickPadding(8);
+    }
+    
+    /**
+     * Value axis of the main chart - log scales label a subset of their ticks so they don't crowd
+     * @param {Object} yScale - D3 scale for y-axis
+     * @param {string} indicator - Indicator plotted
+     * @param {Object} view - View mode in effect, from applyViewMode()
+     * @returns {Function} D3 axis
+     */
+    static createYAxis(yScale, indicator, view = null) {
+        const formatter = SceneUtils.getViewAxisFormatter(indicator, view);
+        const yAxis = d3.axisLeft(yScale)
+            .tickPadding(8);
+        if (view?.mode === 'log') {
+            yAxis.ticks(6, formatter);
+        } else {
+            yAxis.tickFormat(formatter);
+        }
+        return yAxis;
+    }
+    
+    /**
+     * Registry key of the series plotted on the main chart
+     * @param {boolean} isPrimaryPopulation - Whether showing population or GDP data
+     * @returns {string} Indicator key
+     */
+    static getPrimaryIndicator(isPrimaryPopulation) {
+        return isPrimaryPopulation ? 'population' : 'gdpReal';
+    }
+    
+    /**
+     * Whether a view mode makes sense for an indicator
+     * Per capita needs a money total (not people, rates or indices); log needs positive values
+     * @param {string} indicator - Indicator key
+     * @param {string} mode - Key of VIEW_MODES
+     * @returns {boolean}
+     */
+    static supportsViewMode(indicator, mode) {
+        if (!VIEW_MODES[mode]) return false;
+        if (mode === 'perCapita') return IndicatorRegistry.get(indicator)?.unit === '£mn';
+        if (mode === 'log') return IndicatorRegistry.get(indicator)?.format !== 'percent';
+        return true;
+    }
+    
+    /**
+     * Transform a series for a view mode
+     * Modes the indicator doesn't support fall back to absolute values, noted on the view
+     * @param {Array} data - Series ({ year, value, fill })
+     * @param {string} mode - Key of VIEW_MODES
+     * @param {Object} options
+     * @param {string} options.indicator - Indicator key of the series
+     * @param {Function} options.getPopulation - (year, geography) => population in thousands, for per capita
+     * @param {number} options.baseYear - Base year for indexed values (default: first year of the series)
+     * @returns {Object} { data: [{ year, value, rawValue, fill, view }], view: { mode, requested, indicator, baseYear, note } }
+     */
+    static applyViewMode(data, mode = 'absolute', { indicator, getPopulation = null, baseYear = null } = {}) {
+        const view = { mode, requested: mode, indicator, baseYear: null, note: null };
+        const fallback = note => {
+            const absolute = { ...view, mode: 'absolute', note };
+            return { data: data.map(d => ({ ...d, rawValue: d.value, view: absolute })), view: absolute };
+        };
+        
+        if (!SceneUtils.supportsViewMode(indicator, mode)) {
+            return fallback(`${VIEW_MODES[mode]?.label || mode} isn't available for ${IndicatorRegistry.get(indicator)?.label || indicator}`);
+        }
+        
+        let transformed;
+        switch (mode) {
+            case 'perCapita': {
+                if (!getPopulation) return fallback('No population series for per-capita values');
+                // £mn / thousands of people = £ per person x 1000, over the population the series covers
+                const geography = IndicatorRegistry.get(indicator)?.geography;
+                transformed = data.map(d => {
+                    const population = getPopulation(d.year, geography);
+                    return population > 0 ? { ...d, value: d.value * 1000 / population } : null;
+                });
+                break;
+            }
+            case 'indexed': {
+                const base = (baseYear !== null && data.find(d => d.year === baseYear))
+                    || data.find(d => d.value > 0);
+                if (!base) return fallback('No positive value to index from');
+                view.baseYear = base.year;
+                transformed = data.map(d => ({ ...d, value: d.value / base.value * 100 }));
+                break;
+            }
+            case 'log':
+                transformed = data.map(d => d.value > 0 ? { ...d } : null);
+                break;
+            case 'yoy': {
+                // Only between consecutive years, so a gap in the series isn't read as one year's change
+                transformed = data.map((d, i) => {
+                    const previous = data[i - 1];
+                    if (!previous || previous.year !== d.year - 1 || previous.value === 0) return null;
+                    return { ...d, value: (d.value / previous.value - 1) * 100, fill: d.fill || previous.fill || null };
+                });
+                break;
+            }
+            default:
+                transformed = data.map(d => ({ ...d }));
+        }
+        
+        const points = transformed
+            .map((d, i) => d && isFinite(d.value) ? { ...d, rawValue: data[i].value, view } : null)
+            .filter(Boolean);
+        
+        return points.length > 1 ? { data: points, view } : fallback(`Too little data for ${VIEW_MODES[mode].label.toLowerCase()}`);
+    }
+    
+    /**
+     * Population lookup for per-capita views: England's own population for England-only
+     * series, otherwise the best UK estimate
+     * @param {Array} rows - Rows with populationEngland
+     * @param {PopulationEstimator} estimator - UK population estimator
+     * @returns {Function} (year, geography) => population in thousands, or null
+     */
+    static createPopulationLookup(rows, estimator) {
+        const england = new Map(rows
+            .filter(row => row.populationEngland !== null && row.populationEngland !== undefined)
+            .map(row => [row.year, row.populationEngland]));
+        
+        return (year, geography) => {
+            if (geography === 'England' && england.has(year)) return england.get(year);
+            return estimator.estimate(year)?.value ?? null;
+        };
+    }
+    
+    /**
+     * Rows inside the app's time range
+     * @param {Array} rows - Rows with a year field
+     * @param {Array} timeRange - [startYear, endYear] (null keeps every row)
+     * @returns {Array}
+     */
+    static clipToTimeRange(rows, timeRange) {
+        if (!timeRange) return rows;
+        const [startYear, endYear] = timeRange;
+        return rows.filter(row => row.year >= startYear && row.year <= endYear);
+    }
+    
+    /**
+     * A processed period with its rows and change points clipped to the time range
+     * @param {Object} period - Entry of data.periods
+     * @param {Array} timeRange - [startYear, endYear]
+     * @returns {Object} Copy of the period
+     */
+    static clipPeriod(period, timeRange) {
+        return {
+            ...period,
+            data: SceneUtils.clipToTimeRange(period.data, timeRange),
+            changePoints: SceneUtils.clipToTimeRange(period.changePoints || [], timeRange)
+        };
+    }
+    
+    /**
+     * Whether an indicator is in parameters.selectedIndicators (no selection means all are)
+     * @param {string} indicator - Indicator key
+     * @param {Array} selectedIndicators - Selected indicator keys
+     * @returns {boolean}
+     */
+    static isIndicatorSelected(indicator, selectedIndicators) {
+        return !selectedIndicators || selectedIndicators.includes(indicator);
+    }
+    
+    /**
+     * Selected dataset series with enough data to plot, in the order scenes prefer them:
+     * Real GDP, then population, then the rest in registry order
+     * @param {Array} rows - Processed rows
+     * @param {Array} selectedIndicators - Selected indicator keys (null = all)
+     * @returns {Array} Indicator keys
+     */
+    static getPlottableIndicators(rows, selectedIndicators) {
+        const preferred = ['gdpReal', 'population'];
+        const rank = key => preferred.includes(key) ? preferred.indexOf(key) : preferred.length;
+        
+        return IndicatorRegistry.sourceKeys()
+            .filter(key => SceneUtils.isIndicatorSelected(key, selectedIndicators))
+            .filter(key => rows.filter(row => row[key] !== null && row[key] !== undefined).length > 1)
+            .sort((a, b) => rank(a) - rank(b));
+    }
+    
+    /**
+     * Y scale for a transformed series
+     * @param {Array} values - Plotted values
+     * @param {Object} view - View from applyViewMode()
+     * @param {number} chartHeight - Bottom of the plot area
+     * @param {number} top - Top of the plot area
+     * @returns {Function} D3 scale
+     */
+    static createViewScale(values, view, chartHeight, top = 20) {
+        const minValue = d3.min(values);
+        const maxValue = d3.max(values);
+        const padding = (maxValue - minValue) * 0.1; // 10% padding
+        
+        if (view?.mode === 'log') {
+            return d3.scaleLog()
+                .domain([minValue / 1.1, maxValue * 1.1])
+                .nice()
+                .range([chartHeight, top]);
+        }
+        
+        // Changes and negative series (e.g. the trade balance) swing either side of zero, so
+        // keep zero in view; other series start at zero at most
+        const lower = view?.mode === 'yoy' || minValue < 0 ? Math.min(0, minValue - padding) : Math.max(0, minValue - padding);
+        return d3.scaleLinear()
+            .domain([lower, Math.max(0, maxValue) + padding])
+            .nice()
+            .range([chartHeight, top]);
+    }
+    
+    /**
+     * Tick formatter for an indicator shown in a view mode
+     */
+    static getViewAxisFormatter(indicator, view) {
+        switch (view?.mode) {
+            case 'perCapita':
+                return d => '£' + d3.format(',.0f')(d);
+            case 'indexed':
+                return d => d3.format(',.4~r')(d);
+            case 'yoy':
+                return d => d3.format('+.1f')(d) + '%';
+            default:
+                return IndicatorRegistry.getAxisFormatter(indicator);
+        }
+    }
+    
+    /**
+     * Axis label for an indicator shown in a view mode, e.g. 'Real GDP, index (1750 = 100)'
+     */
+    static getViewAxisLabel(indicator, view) {
+        const label = IndicatorRegistry.get(indicator)?.label || indicator;
+        switch (view?.mode) {
+            case 'perCapita':
+                return `${label} per person (£)`;
+            case 'indexed':
+                return `${label}, index (${view.baseYear} = 100)`;
+            case 'log':
+                return `${IndicatorRegistry.getLabel(indicator)}, log scale`;
+            case 'yoy':
+                return `${label}, year-on-year change (%)`;
+            default:
+                return IndicatorRegistry.getLabel(indicator);
+        }
+    }
+    
+    /**
+     * Tooltip text for a transformed value
+     */
+    static formatViewValue(value, indicator, view) {
+        if (!view || view.mode === 'absolute' || view.mode === 'log') {
+            return IndicatorRegistry.formatValue(indicator, value);
+        }
+        return SceneUtils.getViewAxisFormatter(indicator, view)(value);
+    }
+    
     /**
      * Create main trend line with data points
+     * Points carrying a fill method (gap-filled values) are drawn as a dashed span
+     * with hollow markers so they read as interpolated rather than observed
      * @param {Object} sceneGroup - D3 selection for the scene group
-     * @param {Array} data - Data array
+     * @param {Array} data - Data array ({ year, value, fill })
      * @param {Object} xScale - D3 scale for X-axis
      * @param {Object} yScale - D3 scale for Y-axis
      * @param {boolean} isPrimaryPopulation - Whether showing population or GDP data
      * @param {number} animationDuration - Animation duration in ms
      * @param {Function} onDataPointHover - Callback for data point hover
-     * @param {Function} onDataPointClick - Callback for data point click
+     * @param {Function} onDataPointClick - Callback for data point click (optional; points are
+     *   only clickable with one)
      */
     static createMainTrendLine(sceneGroup, data, xScale, yScale, isPrimaryPopulation, animationDuration, onDataPointHover, onDataPointClick) {
         // Create line generator
@@ -124,14 +400,33 @@ export class SceneUtils {
             .y(d => yScale(d.value))
             .curve(d3.curveMonotoneX);
         
-        // Add trend line
+        const color = isPrimaryPopulation ? '#e91e63' : '#1976d2';
+        
+        // Dashed line under the whole series shows through where values were filled
+        if (data.some(d => d.fill)) {
+            sceneGroup.append('path')
+                .datum(data)
+                .attr('class', 'main-trend-line-interpolated')
+                .attr('fill', 'none')
+                .attr('stroke', color)
+                .attr('stroke-width', 2)
+                .attr('stroke-dasharray', '6,4')
+                .attr('d', line)
+                .style('opacity', 0)
+                .transition()
+                .delay(animationDuration > 0 ? animationDuration : 0)
+                .duration(animationDuration > 0 ? 500 : 0)
+                .style('opacity', 0.7);
+        }
+        
+        // Add trend line (observed values only)
         sceneGroup.append('path')
             .datum(data)
             .attr('class', 'main-trend-line')
             .attr('fill', 'none')
-            .attr('stroke', isPrimaryPopulation ? '#e91e63' : '#1976d2')
+            .attr('stroke', color)
             .attr('stroke-width', 3)
-            .attr('d', line)
+            .attr('d', line.defined(d => !d.fill))
             .style('opacity', animationDuration > 0 ? 0 : 1)
             .transition()
             .delay(animationDuration > 0 ? animationDuration : 0)
@@ -139,18 +434,18 @@ export class SceneUtils {
             .style('opacity', 1);
         
         // Add data points
-        sceneGroup.selectAll('.data-point')
+        const points = sceneGroup.selectAll('.data-point')
             .data(data)
             .enter()
             .append('circle')
-            .attr('class', 'data-point')
+            .attr('class', d => d.fill ? 'data-point interpolated' : 'data-point')
             .attr('cx', d => xScale(d.year))
             .attr('cy', d => yScale(d.value))
             .attr('r', 0)
-            .attr('fill', isPrimaryPopulation ? '#e91e63' : '#1976d2')
-            .attr('stroke', 'white')
+            .attr('fill', d => d.fill ? 'white' : color)
+            .attr('stroke', d => d.fill ? color : 'white')
             .attr('stroke-width', 2)
-            .style('cursor', 'pointer')
+            .style('cursor', onDataPointClick ? 'pointer' : null)
             .style('opacity', animationDuration > 0 ? 0 : 1)
             .on('mouseover', function(event, d) {
                 if (onDataPointHover) {
@@ -168,12 +463,244 @@ export class SceneUtils {
                 if (onDataPointClick) {
                     onDataPointClick(event, d, isPrimaryPopulation);
                 }
-            })
-            .transition()
+            });
+        
+        points.transition()
             .delay((d, i) => animationDuration > 0 ? animationDuration + i * 25 : 0)
             .duration(animationDuration > 0 ? 150 : 0)
             .attr('r', 4)
             .style('opacity', 1);
+        
+        // Keyboard: focus shows the tooltip, Enter acts as a click
+        SceneUtils.makeKeyboardNavigable(points, {
+            onFocus: (pageEvent, d) => onDataPointHover && onDataPointHover(pageEvent, d, isPrimaryPopulation),
+            onBlur: () => onDataPointHover && onDataPointHover(null, null, null),
+            onActivate: onDataPointClick ? (pageEvent, d) => onDataPointClick(pageEvent, d, isPrimaryPopulation) : null
+        });
+    }
+    
+    /**
+     * Make chart elements reachable from the keyboard. Tab reaches the group through a single
+     * stop (roving tabindex), Left/Right and Home/End step through it, Enter or Space activates
+     * @param {Object} selection - D3 selection of circles, in reading order
+     * @param {Object} handlers
+     * @param {Function} handlers.onFocus - (pageEvent, d, index) - pageEvent locates the element like a mouse event
+     * @param {Function} handlers.onBlur - (d, index)
+     * @param {Function} handlers.onActivate - (pageEvent, d, index)
+     */
+    static makeKeyboardNavigable(selection, { onFocus = null, onBlur = null, onActivate = null } = {}) {
+        const nodes = selection.nodes();
+        if (nodes.length === 0) return;
+        
+        const locate = node => SceneUtils.toPageEvent(
+            d3.select(node.parentNode),
+            parseFloat(node.getAttribute('cx')),
+            parseFloat(node.getAttribute('cy'))
+        ) || {};
+        
+        const focusAt = index => {
+            const target = nodes[Math.max(0, Math.min(nodes.length - 1, index))];
+            nodes.forEach(node => node.setAttribute('tabindex', node === target ? 0 : -1));
+            target.focus();
+        };
+        
+        const moves = {
+            ArrowRight: index => index + 1,
+            ArrowLeft: index => index - 1,
+            Home: () => 0,
+            End: () => nodes.length - 1
+        };
+        
+        selection
+            .attr('tabindex', (d, i) => i === 0 ? 0 : -1)
+            .classed('keyboard-navigable', true)
+            .on('focus.keyboard', function(event, d) {
+                if (onFocus) onFocus(locate(this), d, nodes.indexOf(this));
+            })
+            .on('blur.keyboard', function(event, d) {
+                if (onBlur) onBlur(d, nodes.indexOf(this));
+            })
+            .on('keydown.keyboard', function(event, d) {
+                const index = nodes.indexOf(this);
+                
+                if (moves[event.key]) {
+                    // Handled here, so the page doesn't also switch scenes
+                    event.preventDefault();
+                    focusAt(moves[event.key](index));
+                } else if ((event.key === 'Enter' || event.key === ' ') && onActivate) {
+                    event.preventDefault();
+                    onActivate(locate(this), d, index);
+                }
+            });
+    }
+    
+    static getEventLabelText(event) {
+        return `${event.year} - ${event.event}`;
+    }
+    
+    /**
+     * Positions for event markers and labels that don't overlap, see LabelLayout
+     * Rows of markers fill the plot area from the top, keeping each label (drawn 22px above
+     * its marker) inside it, and stop short of the x-axis
+     * @param {Object} sceneGroup - D3 selection the labels will be drawn in (used to measure them)
+     * @param {Array} events - Historical events ({ year, event })
+     * @param {Object} xScale - D3 scale for X-axis
+     * @param {Object} yScale - D3 scale for Y-axis; its range is the plot area
+     * @returns {Array} Placement for each event, in order
+     */
+    static layoutEventMarkers(sceneGroup, events, xScale, yScale) {
+        const [plotBottom, plotTop] = yScale.range();
+        return LabelLayout.place(
+            events.map(event => ({
+                x: xScale(event.year),
+                width: LabelLayout.measureText(sceneGroup, SceneUtils.getEventLabelText(event)) + 8
+            })),
+            { width: xScale.range()[1], top: plotTop + 22, bottom: plotBottom - 8 }
+        );
+    }
+    
+    /**
+     * Value of a plotted series in a year, interpolated between its points
+     * @param {Array} data - Plotted points ({ year, value }) by year
+     * @param {number} year - Year to read
+     * @returns {number|null} Value, or null outside the series
+     */
+    static getTrendValue(data, year) {
+        const i = d3.bisector(d => d.year).left(data, year);
+        if (i >= data.length || (i === 0 && data[0].year !== year)) return null;
+        if (data[i].year === year) return data[i].value;
+        
+        const a = data[i - 1];
+        const b = data[i];
+        return a.value + (b.value - a.value) * (year - a.year) / (b.year - a.year);
+    }
+    
+    /**
+     * An indicator's values from processed rows, in its stored unit
+     * @param {Array} rows - Enriched rows
+     * @param {string} indicator - Indicator key
+     * @returns {Array} [{ year, value, fill }]
+     */
+    static getIndicatorSeries(rows, indicator) {
+        return rows
+            .filter(row => row[indicator] !== null && row[indicator] !== undefined)
+            .map(row => ({ year: row.year, value: row[indicator], fill: row.fills?.[indicator] || null }));
+    }
+    
+    /**
+     * Where an event's line meets the trend: the plotted value in the event's year
+     * @param {Object} trend - { data, yScale } of the chart, see createEventMarkers()
+     * @param {number} year - Event year
+     * @param {number} fallback - y to use without a trend value (e.g. the x-axis)
+     * @returns {number} y position
+     */
+    static getEventAnchorY(trend, year, fallback) {
+        const value = trend ? SceneUtils.getTrendValue(trend.data, year) : null;
+        const y = value !== null ? trend.yScale(value) : NaN;
+        return isFinite(y) ? y : fallback;
+    }
+    
+    /**
+     * Change over an event as shown on its bracket: percent change, or percentage points for
+     * indicators that are already percentages
+     * @param {Object} impact - From EventCatalogue.measureImpact()
+     * @param {string} indicator - Indicator key
+     * @returns {string} e.g. '+12.3%', '−4.1 pts'
+     */
+    static formatImpact(impact, indicator) {
+        const isPercentage = IndicatorRegistry.get(indicator)?.unit === '%';
+        if (!isPercentage && impact.percentChange !== null) {
+            return d3.format('+.1%')(impact.percentChange);
+        }
+        if (isPercentage) {
+            return `${d3.format('+.1f')(impact.change)} pts`;
+        }
+        return `${impact.change < 0 ? '−' : '+'}${IndicatorRegistry.formatValue(indicator, Math.abs(impact.change))}`;
+    }
+    
+    /**
+     * Shade the years an event lasted and bracket the trend across them with the indicator's
+     * change, measured on the processed data rather than the plotted view
+     * @param {Object} sceneGroup - D3 selection for the scene group
+     * @param {Object} event - Historical event with an endYear
+     * @param {Object} xScale - D3 scale for X-axis
+     * @param {Object} trend - See createEventMarkers()
+     * @param {string} color - Event color
+     * @param {number} delay - Time in ms before fading in
+     * @param {number} animationDuration - Animation duration in ms
+     */
+    static createEventSpan(sceneGroup, event, xScale, trend, color, delay, animationDuration) {
+        const [left, right] = xScale.range();
+        const x0 = Math.max(left, xScale(event.year));
+        const x1 = Math.min(right, xScale(event.endYear));
+        if (!(x1 > x0)) return;
+        
+        // Behind the axes and trend line, so it never takes their pointer events
+        const spanGroup = sceneGroup.insert('g', ':first-child')
+            .attr('class', 'event-span')
+            .style('pointer-events', 'none')
+            .style('opacity', animationDuration > 0 ? 0 : 1);
+        
+        spanGroup.append('rect')
+            .attr('x', x0)
+            .attr('y', 0)
+            .attr('width', x1 - x0)
+            .attr('height', trend.yScale.range()[0])
+            .attr('fill', color)
+            .attr('opacity', 0.12);
+        
+        const impact = EventCatalogue.measureImpact(trend.series, event);
+        const y0 = impact ? SceneUtils.getEventAnchorY(trend, impact.before.year, null) : null;
+        const y1 = impact ? SceneUtils.getEventAnchorY(trend, impact.after.year, null) : null;
+        
+        if (y0 !== null && y1 !== null) {
+            const bx0 = xScale(impact.before.year);
+            const bx1 = xScale(impact.after.year);
+            const bracketY = Math.max(12, Math.min(y0, y1) - 18);
+            const change = SceneUtils.formatImpact(impact, trend.indicator);
+            const label = IndicatorRegistry.get(trend.indicator)?.label || trend.indicator;
+            
+            const bracket = sceneGroup.append('g')
+                .attr('class', 'event-impact')
+                .style('opacity', animationDuration > 0 ? 0 : 1);
+            
+            bracket.append('title')
+                .text(`${event.event}: ${label} ${change} from ${impact.before.year} to ${impact.after.year}`);
+            
+            bracket.append('path')
+                .attr('d', `M${bx0},${y0 - 4}V${bracketY}H${bx1}V${y1 - 4}`)
+                .attr('fill', 'none')
+                .attr('stroke', color)
+                .attr('stroke-width', 1.5);
+            
+            bracket.selectAll('circle')
+                .data([[bx0, y0], [bx1, y1]])
+                .enter()
+                .append('circle')
+                .attr('cx', d => d[0])
+                .attr('cy', d => d[1])
+                .attr('r', 3)
+                .attr('fill', color);
+            
+            bracket.append('text')
+                .attr('x', (bx0 + bx1) / 2)
+                .attr('y', bracketY - 4)
+                .attr('text-anchor', 'middle')
+                .style('font-size', '10px')
+                .style('font-weight', 'bold')
+                .style('fill', color)
+                .text(`${label} ${change}`);
+            
+            bracket.transition()
+                .delay(delay)
+                .duration(animationDuration > 0 ? 250 : 0)
+                .style('opacity', 1);
+        }
+        
+        spanGroup.transition()
+            .delay(delay)
+            .duration(animationDuration > 0 ? 250 : 0)
+            .style('opacity', 1);
     }
     
     /**
@@ -185,34 +712,45 @@ export class SceneUtils {
      * @param {number} animationDuration - Animation duration in ms
      * @param {Function} onEventHover - Callback for event hover
      * @param {Function} onEventClick - Callback for event click
+     * @param {Object} trend - Chart the events annotate, to anchor lines to and bracket spans on:
+     *   { data: plotted points, yScale, series: indicator values from the processed data
+     *   (see getIndicatorSeries), indicator }; without it lines run to the x-axis level
      */
-    static createEventMarkers(sceneGroup, events, xScale, height, animationDuration, onEventHover, onEventClick) {
+    static createEventMarkers(sceneGroup, events, xScale, height, animationDuration, onEventHover, onEventClick, trend = null) {
+        // Without a trend, the plot area runs down to the x-axis level the lines fall back to
+        const yScale = trend?.yScale || d3.scaleLinear().range([height * 0.6, 0]);
+        const placements = SceneUtils.layoutEventMarkers(sceneGroup, events, xScale, yScale);
+        
         events.forEach((event, i) => {
-            const x = xScale(event.year);
-            const baseY = 140;
-            const yOffset = (i % 2 === 0) ? 0 : 60;
-            const y = baseY + yOffset;
+            const { x, y } = placements[i];
             const markerColor = ColorPalette.getEventColor(i);
+            const delay = animationDuration > 0 ? animationDuration * 1.5 + i * 150 : 0;
             
-            // Add vertical line - go to X-axis, not all the way down
+            // Wars, depressions and other events that lasted
+            if (trend && event.endYear > event.year) {
+                SceneUtils.createEventSpan(sceneGroup, event, xScale, trend, markerColor, delay, animationDuration);
+            }
+            
+            // Add vertical line - down to the trend in the event's year
             sceneGroup.append('line')
                 .attr('class', 'event-line')
                 .attr('x1', x)
                 .attr('y1', y)
                 .attr('x2', x)
-                .attr('y2', height * 0.6) // Go to X-axis level, not bottom
+                .attr('y2', SceneUtils.getEventAnchorY(trend, event.year, height * 0.6)) // X-axis level without a trend
                 .attr('stroke', markerColor)
                 .attr('stroke-width', 2)
                 .attr('stroke-dasharray', '5,5')
                 .style('opacity', animationDuration > 0 ? 0 : 1)
                 .transition()
-                .delay(animationDuration > 0 ? animationDuration * 1.5 + i * 150 : 0)
+                .delay(delay)
                 .duration(animationDuration > 0 ? 250 : 0)
                 .style('opacity', 0.6);
             
             // Add event circle
             let tooltipTimeout;
             const eventCircle = sceneGroup.append('circle')
+                .datum(event)
                 .attr('class', 'event-marker')
                 .attr('cx', x)
                 .attr('cy', y)
@@ -235,13 +773,20 @@ export class SceneUtils {
                 });
             
             eventCircle.transition()
-                .delay(animationDuration > 0 ? animationDuration * 1.5 + i * 150 : 0)
+                .delay(delay)
                 .duration(animationDuration > 0 ? 250 : 0)
                 .attr('r', 6)
                 .style('opacity', 1);
             
             // Add event label
-            SceneUtils.createEventLabel(sceneGroup, event, x, y, markerColor, animationDuration, i);
+            SceneUtils.createEventLabel(sceneGroup, event, placements[i], markerColor, animationDuration, i);
+        });
+        
+        // Keyboard: focus shows the summary, Enter opens the full story
+        SceneUtils.makeKeyboardNavigable(sceneGroup.selectAll('.event-marker'), {
+            onFocus: (pageEvent, event, i) => onEventHover(pageEvent, event, ColorPalette.getEventColor(i)),
+            onBlur: () => onEventHover(null, null, null),
+            onActivate: (pageEvent, event, i) => onEventClick(null, event, ColorPalette.getEventColor(i))
         });
     }
     
@@ -249,24 +794,34 @@ export class SceneUtils {
      * Create event label with background
      * @param {Object} sceneGroup - D3 selection for the scene group
      * @param {Object} event - Event data
-     * @param {number} x - X position
-     * @param {number} y - Y position
+     * @param {Object} placement - Marker and label position from layoutEventMarkers()
      * @param {string} color - Label color
      * @param {number} animationDuration - Animation duration in ms
      * @param {number} index - Event index
      */
-    static createEventLabel(sceneGroup, event, x, y, color, animationDuration, index) {
+    static createEventLabel(sceneGroup, event, placement, color, animationDuration, index) {
+        const { x, y, labelX, labelWidth } = placement;
         const labelGroup = sceneGroup.append('g')
             .attr('class', 'event-label-group')
             .style('opacity', animationDuration > 0 ? 0 : 1);
         
-        const labelText = `${event.year} - ${event.event}`;
-        const labelWidth = labelText.length * 5.5;
         const labelHeight = 16;
         
+        // Leader line to a label the chart edges pushed off its marker
+        if (placement.leader) {
+            labelGroup.append('line')
+                .attr('class', 'event-leader')
+                .attr('x1', x)
+                .attr('y1', y)
+                .attr('x2', Math.max(labelX, Math.min(x, labelX + labelWidth)))
+                .attr('y2', y - 22 + labelHeight)
+                .attr('stroke', color)
+                .attr('stroke-width', 1);
+        }
+        
         // Background rectangle
         labelGroup.append('rect')
-            .attr('x', x + 8)
+            .attr('x', labelX)
             .attr('y', y - 22)
             .attr('width', labelWidth)
             .attr('height', labelHeight)
@@ -278,13 +833,13 @@ export class SceneUtils {
         // Text label
         labelGroup.append('text')
             .attr('class', 'event-label')
-            .attr('x', x + 12)
+            .attr('x', labelX + 4)
             .attr('y', y - 10)
             .attr('text-anchor', 'start')
             .style('font-size', '10px')
             .style('font-weight', 'bold')
             .style('fill', color)
-            .text(labelText);
+            .text(SceneUtils.getEventLabelText(event));
         
         labelGroup.transition()
             .delay(animationDuration > 0 ? animationDuration * 1.5 + index * 150 + 100 : 0)
@@ -444,6 +999,97 @@ export class SceneUtils {
             .style('opacity', 1);
     }
     
+    /**
+     * Page coordinates of a point in a group's coordinate space, shaped like a mouse event
+     * so tooltips can be opened without one
+     * @param {Object} group - D3 selection the point is relative to
+     * @param {number} x - X in the group's coordinates
+     * @param {number} y - Y in the group's coordinates
+     * @returns {Object|null} { pageX, pageY }, or null when the group isn't laid out
+     */
+    static toPageEvent(group, x, y) {
+        const matrix = group.node()?.getScreenCTM?.();
+        if (!matrix) return null;
+        
+        return {
+            pageX: matrix.a * x + matrix.c * y + matrix.e + window.scrollX,
+            pageY: matrix.b * x + matrix.d * y + matrix.f + window.scrollY
+        };
+    }
+    
+    /**
+     * Re-open the event story or year tooltip recorded in a scene's state (deep links)
+     * An open event story takes precedence over a focused year
+     * @param {Object} scene - Rendered scene: { state: { year, event }, events, primaryData, sceneGroup, xScale, yScale, isPrimaryPopulation, showEnhancedTooltip }
+     * @param {Function} openEventStory - (historicalEvent, index) => void
+     */
+    static restoreFocus(scene, openEventStory) {
+        const { year, event } = scene.state;
+        
+        const eventIndex = event !== null ? (scene.events || []).findIndex(e => e.year === event) : -1;
+        if (eventIndex >= 0) {
+            openEventStory(scene.events[eventIndex], eventIndex);
+            return;
+        }
+        
+        const point = year !== null ? (scene.primaryData || []).find(d => d.year === year) : null;
+        const pageEvent = point && SceneUtils.toPageEvent(scene.sceneGroup, scene.xScale(point.year), scene.yScale(point.value));
+        if (pageEvent) {
+            scene.showEnhancedTooltip(pageEvent, point, scene.isPrimaryPopulation);
+        }
+    }
+    
+    /**
+     * Animate an x-axis from another domain to its scale's own, e.g. from the previous
+     * scene's years to this one's
+     * @param {Object} axisGroup - D3 selection of the axis <g>
+     * @param {Object} xScale - The axis' scale
+     * @param {Array} fromDomain - Domain to start from
+     * @param {number} duration - Transition duration in ms
+     * @param {Function} makeAxis - scale => d3 axis, configured as the axis was drawn
+     */
+    static morphXAxis(axisGroup, xScale, fromDomain, duration = 750, makeAxis = SceneUtils.createXAxis) {
+        if (axisGroup.empty() || !fromDomain) return;
+        
+        // The axis carries the eye from one scene to the next, so it skips the fade-in
+        axisGroup.interrupt().style('opacity', 1);
+        axisGroup.call(makeAxis(xScale.copy().domain(fromDomain)));
+        axisGroup.transition('morph')
+            .duration(duration)
+            .call(makeAxis(xScale));
+    }
+    
+    /**
+     * Fade a scene out before it is destroyed
+     * @param {Object} group - D3 selection of the scene's root group
+     * @param {number} duration - Transition duration in ms
+     * @returns {Promise} Resolves when the fade ends (or is interrupted)
+     */
+    static fadeOutScene(group, duration = 400) {
+        SceneUtils.hideTooltip();
+        return group.transition('exit')
+            .duration(duration)
+            .style('opacity', 0)
+            .end()
+            .catch(() => {});
+    }
+    
+    /**
+     * Remove a scene and everything it left on the page: its SVG group (with the key handlers
+     * on its points and markers), body-level tooltips and HTML controls
+     * @param {Object} scene - Scene with a rootGroup
+     */
+    static destroyScene(scene) {
+        scene.onStateChange = null;
+        scene.rootGroup.interrupt('exit');
+        scene.rootGroup.selectAll('*').interrupt();
+        scene.rootGroup.remove();
+        d3.selectAll('.tooltip').interrupt().remove();
+        d3.selectAll('.scene-controls').remove();
+        // Escape handler of an event story left open (see Scene6Interactive)
+        d3.select('body').on('keydown.event-story', null);
+    }
+    
     /**
      * Hide tooltip
      */
@@ -498,13 +1144,14 @@ export class SceneUtils {
      * @param {number} width - Chart width
      * @param {number} height - Chart height
      * @param {Object} xScale - D3 scale for X-axis
-     * @param {Array} timePoints - Array of time points with industry data
+     * @param {Array} timePoints - From prepareEconomicStructureData()
+     * @param {Array} industries - Sectors to stack, bottom first: [{ key, name, color }] (see getSectorIndustries())
      * @param {number} animationDuration - Animation duration in ms
-     * @param {Function} onIndustryHover - Callback for industry hover
+     * @param {Function} onIndustryHover - (event, timePoint, industries) => void
      * @param {Function} onIndustryOut - Callback for industry mouse out
      * @param {Function} createLegend - Function to create legend
      */
-    static createEconomicStructure(sceneGroup, width, height, xScale, timePoints, animationDuration, onIndustryHover, onIndustryOut, createLegend) {
+    static createEconomicStructure(sceneGroup, width, height, xScale, timePoints, industries, animationDuration, onIndustryHover, onIndustryOut, createLegend) {
         // Create a skinny industry breakdown visualization under the main chart
         const breakdownHeight = 80;
         const breakdownY = height - 100;  // Move down by 50 pixels
@@ -517,7 +1164,7 @@ export class SceneUtils {
             .style('font-size', '14px')
             .style('font-weight', 'bold')
             .style('fill', '#333')
-            .text('Economic Structure');
+            .text(`Economic Structure${SceneUtils.describeEstimatedShares(timePoints)}`);
         
         if (timePoints.length === 0) return;
         
@@ -526,7 +1173,7 @@ export class SceneUtils {
         
         // Create stacked area chart using D3's stack generator
         const stack = d3.stack()
-            .keys(['agriculture', 'crafts', 'services']);
+            .keys(industries.map(industry => industry.key));
         
         const stackedData = stack(timePoints);
         
@@ -541,16 +1188,12 @@ export class SceneUtils {
         const industryGroup = sceneGroup.append('g')
             .attr('class', 'industry-breakdown');
         
-        // Draw each industry layer with colors that match the CSS
-        const industryNames = ['agriculture', 'crafts', 'services'];
-        const industryColors = ['#8B4513', '#4682B4', '#9370DB'];  // Brown, Blue, Purple
-        const industryFullNames = ['Agriculture', 'Crafts & Trade', 'Services'];
-        
+        // Draw each industry layer in its configured colour
         stackedData.forEach((layer, i) => {
             industryGroup.append('path')
                 .datum(layer)
-                .attr('class', `industry-area ${industryNames[i]}`)
-                .attr('fill', industryColors[i])
+                .attr('class', `industry-area ${industries[i].key}`)
+                .attr('fill', industries[i].color)
                 .attr('stroke', '#fff')
                 .attr('stroke-width', 0.5)
                 .style('opacity', 0)
@@ -604,12 +1247,9 @@ export class SceneUtils {
                 // Show comprehensive tooltip with closest year data
                 if (onIndustryHover) {
                     onIndustryHover(event, {
-                        year: closestData.year,
-                        mouseYear: year, // Show what year the mouse is actually over
-                        agriculture: closestData.agriculture,
-                        crafts: closestData.crafts,
-                        services: closestData.services
-                    }, industryColors, industryFullNames);
+                        ...closestData,
+                        mouseYear: year // Show what year the mouse is actually over
+                    }, industries);
                 }
             })
             .on('mouseout', () => {
@@ -625,6 +1265,17 @@ export class SceneUtils {
         }
     }
     
+    /**
+     * Heading note for economic structure built partly or wholly on era-level estimates
+     * @param {Array} timePoints - From prepareEconomicStructureData()
+     * @returns {string} '', ' (era-level estimates)' or ' (partly era-level estimates)'
+     */
+    static describeEstimatedShares(timePoints) {
+        const estimated = timePoints.filter(point => point.estimated).length;
+        if (estimated === 0) return '';
+        return estimated === timePoints.length ? ' (era-level estimates)' : ' (partly era-level estimates)';
+    }
+    
     /**
      * Create generic industry legend
      * @param {Object} sceneGroup - D3 selection for the scene group
@@ -675,23 +1326,39 @@ export class SceneUtils {
      * @param {Object} sceneGroup - D3 selection for the scene group
      * @param {number} width - Chart width
      * @param {number} height - Chart height
-     * @param {Array} populationData - Population data array
-     * @param {Array} gdpData - GDP data array
+     * @param {Object} series - Plottable series by indicator key, preferred first
+     *   ({ gdpReal: [{ year, value, fill }], ... }, see getPlottableIndicators()); the x-axis spans all of them
      * @param {number} animationDuration - Animation duration in ms
      * @param {Function} onNoData - Callback when no data is available
      * @param {Function} onChartReady - Callback when chart is ready with scales
+     * @param {Object} options - indicator: series to plot (default: the first with data), and
+     *   view mode: { viewMode, getPopulation, baseYear } - see applyViewMode()
      */
-    static createChartSetup(sceneGroup, width, height, populationData, gdpData, animationDuration, onNoData, onChartReady) {
-        console.log(`📊 Population: ${populationData.length} points, GDP: ${gdpData.length} points`);
+    static createChartSetup(sceneGroup, width, height, series, animationDuration, onNoData, onChartReady, options = {}) {
+        const indicators = Object.keys(series).filter(key => series[key].length > 0);
         
-        if (populationData.length === 0 && gdpData.length === 0) {
+        console.log(`📊 ${indicators.map(key => `${IndicatorRegistry.getLabel(key)}: ${series[key].length} points`).join(', ') || 'No series'}`);
+        
+        if (indicators.length === 0) {
             if (onNoData) onNoData();
             return;
         }
         
-        // Use GDP data as primary when available, fall back to population
-        const primaryData = gdpData.length > 0 ? gdpData : populationData;
-        const isPrimaryPopulation = gdpData.length === 0;
+        const indicator = indicators.includes(options.indicator) ? options.indicator : indicators[0];
+        const isPrimaryPopulation = indicator === 'population';
+        const { data: primaryData, view } = SceneUtils.applyViewMode(
+            series[indicator],
+            options.viewMode,
+            {
+                indicator,
+                getPopulation: options.getPopulation,
+                baseYear: options.baseYear
+            }
+        );
+        
+        if (view.note) {
+            console.log(`ℹ️ ${view.note}, showing absolute values`);
+        }
         
         if (primaryData.length === 0) {
             if (onNoData) onNoData();
@@ -702,7 +1369,7 @@ export class SceneUtils {
         const chartHeight = height - 200;
         
         // Determine actual data range (not theoretical)
-        const allDataYears = [...populationData.map(d => d.year), ...gdpData.map(d => d.year)];
+        const allDataYears = indicators.flatMap(key => series[key].map(d => d.year));
         const actualStartYear = Math.min(...allDataYears);
         const actualEndYear = Math.max(...allDataYears);
         
@@ -714,16 +1381,7 @@ export class SceneUtils {
             .range([0, width]);
         
         // Y scale - don't force 0 to start, let it be dynamic based on actual data
-        const allValues = primaryData.map(d => d.value);
-        const minValue = d3.min(allValues);
-        const maxValue = d3.max(allValues);
-        const valueRange = maxValue - minValue;
-        const padding = valueRange * 0.1; // 10% padding
-        
-        const yScale = d3.scaleLinear()
-            .domain([Math.max(0, minValue - padding), maxValue + padding])
-            .nice()
-            .range([chartHeight, 20]);
+        const yScale = SceneUtils.createViewScale(primaryData.map(d => d.value), view, chartHeight);
         
         if (onChartReady) {
             onChartReady({
@@ -731,7 +1389,9 @@ export class SceneUtils {
                 yScale,
                 chartHeight,
                 primaryData,
+                indicator,
                 isPrimaryPopulation,
+                view,
                 actualStartYear,
                 actualEndYear
             });
@@ -767,56 +1427,80 @@ export class SceneUtils {
         return dataPoint ? dataPoint[field] : null;
     }
     
+    /**
+     * How a value was produced when it was filled rather than observed
+     * @param {Array} data - Processed rows
+     * @param {number} year - Year to look up
+     * @param {string} field - Field name
+     * @returns {string|null} Fill method, or null for observed values
+     */
+    static getFillMethodForYear(data, year, field) {
+        const dataPoint = data.find(d => d.year === year);
+        return dataPoint?.fills?.[field] || null;
+    }
+    
     /**
      * Create generic enhanced tooltip
      * @param {Event} event - Mouse event
      * @param {Object} d - Data point
      * @param {boolean} isPrimaryPopulation - Whether showing population or GDP
      * @param {Function} getContext - Function to get economic context
-     * @param {Function} getPopulation - Function to get population for year
      * @param {Function} getGDP - Function to get GDP for year
-     * @param {Function} estimatePopulation - Function to estimate population
+     * @param {Function} estimatePopulation - (year) => population estimate, see PopulationEstimator.estimate()
+     * @param {Function} getFillMethod - Optional (year, field) => gap-fill method, null for observed values
+     * @param {ValueConverter} valueConverter - Optional converter for a "£1 then is worth" line
+     * @param {Function} describeIndustries - Optional year => sector shares text, in place of the context's industries
      */
-    static createEnhancedTooltip(event, d, isPrimaryPopulation, getContext, getPopulation, getGDP, estimatePopulation) {
+    static createEnhancedTooltip(event, d, isPrimaryPopulation, getContext, getGDP, estimatePopulation, getFillMethod = null, valueConverter = null, describeIndustries = null) {
         const economicContext = getContext(d.year);
         const indicator = isPrimaryPopulation ? 'Population' : 'GDP';
         
         let tooltipContent = `<div style="border-bottom: 1px solid #444; margin-bottom: 8px; padding-bottom: 6px;">`;
         tooltipContent += `<strong style="color: #d4a574; font-size: 15px;">${d.year} - ${economicContext.period}</strong></div>`;
         
+        // The plotted value when the chart isn't showing absolute GDP or population
+        const isTransformed = d.view && d.view.mode !== 'absolute' && d.view.mode !== 'log';
+        if (d.view && (isTransformed || !['gdpReal', 'population'].includes(d.view.indicator))) {
+            tooltipContent += `<div style="margin-bottom: 8px;"><strong>${SceneUtils.getViewAxisLabel(d.view.indicator, d.view)}:</strong> ${SceneUtils.formatViewValue(d.value, d.view.indicator, d.view)}</div>`;
+        }
+        
         // Get both population and GDP data for this year
-        const populationForYear = getPopulation(d.year);
+        const populationEstimate = estimatePopulation(d.year);
         const gdpForYear = getGDP(d.year);
+        const fillNote = field => {
+            const method = getFillMethod ? GapFiller.describe(getFillMethod(d.year, field)) : null;
+            return method ? ` <em>(${method})</em>` : '';
+        };
         
-        // Always show population
-        if (populationForYear) {
-            const popThousands = populationForYear.toFixed(0);
-            tooltipContent += `<div style="margin-bottom: 8px;"><strong>Population:</strong> ${popThousands} thousand</div>`;
-        } else {
-            const estimatedPop = estimatePopulation(d.year);
-            const popThousands = estimatedPop.toFixed(0);
-            tooltipContent += `<div style="margin-bottom: 8px;"><strong>Population:</strong> ${popThousands} thousand (estimated)</div>`;
-        }
+        // Always show population, saying how it was estimated when not observed
+        const populationNote = PopulationEstimator.describe(populationEstimate);
+        tooltipContent += `<div style="margin-bottom: 8px;"><strong>Population:</strong> ${IndicatorRegistry.formatValue('population', populationEstimate?.value)}${populationNote ? ` <em>(${populationNote})</em>` : ''}</div>`;
         
         // Always show GDP if available
         if (gdpForYear) {
-            tooltipContent += `<div style="margin-bottom: 8px;"><strong>GDP:</strong> £${(gdpForYear / 1000).toFixed(1)}B (2013 prices)</div>`;
+            tooltipContent += `<div style="margin-bottom: 8px;"><strong>GDP:</strong> ${IndicatorRegistry.formatValue('gdpReal', gdpForYear)}${fillNote('gdpReal')}</div>`;
             
             // Calculate proper GDP per capita
-            const population = populationForYear || estimatePopulation(d.year);
-            const gdpPerCapita = (gdpForYear * 1000000) / (population * 1000);
-            tooltipContent += `<div style="margin-bottom: 8px;"><strong>GDP per capita:</strong> £${gdpPerCapita.toFixed(0)}</div>`;
+            if (populationEstimate) {
+                const gdpPerCapita = (gdpForYear * 1000000) / (populationEstimate.value * 1000);
+                tooltipContent += `<div style="margin-bottom: 8px;"><strong>GDP per capita:</strong> £${gdpPerCapita.toFixed(0)}${populationNote ? ' <em>(estimated)</em>' : ''}</div>`;
+            }
         } else {
             tooltipContent += `<div style="margin-bottom: 8px;"><strong>GDP:</strong> Not available for this period</div>`;
         }
         
+        // What money of the day is worth now
+        if (valueConverter) {
+            tooltipContent += `<div style="margin-bottom: 8px;"><strong>Value of money:</strong> ${InflationWidget.describe(valueConverter, 1, d.year)}</div>`;
+        }
+        
         tooltipContent += `<div style="background: rgba(100,50,0,0.3); padding: 6px; border-radius: 3px; margin-bottom: 8px;">`;
         tooltipContent += `<strong style="color: #FFB74D;">Economic Structure:</strong><br/>`;
         tooltipContent += `<small>${economicContext.structure}</small></div>`;
         
         tooltipContent += `<div style="background: rgba(0,50,100,0.3); padding: 6px; border-radius: 3px; margin-bottom: 8px;">`;
         tooltipContent += `<strong style="color: #90CAF9;">Key Industries:</strong><br/>`;
-        tooltipContent += `<small>${economicContext.industries}</small></div>`;
+        tooltipContent += `<small>${describeIndustries ? describeIndustries(d.year) : economicContext.industries}</small></div>`;
         
         tooltipContent += `<div style="background: rgba(50,0,100,0.3); padding: 6px; border-radius: 3px; margin-bottom: 8px;">`;
         tooltipContent += `<strong style="color: #CE93D8;">Social Context:</strong><br/>`;
@@ -850,14 +1534,14 @@ export class SceneUtils {
     }
     
     /**
-     * Prepare economic structure data with generic logic
+     * Prepare economic structure data: sector shares every interval years across the data
      * @param {Array} data - Raw data array
-     * @param {Function} getPeriodForYear - Function to get period for a year
-     * @param {Function} getIndustriesForPeriod - Function to get industries for a period
+     * @param {Function} getSectorShares - year => { shares, estimated, sourceLabel } (see SectorShares.get)
+     * @param {Array} sectors - Sector keys (data.sectorShares.sectors)
      * @param {number} interval - Year interval for data points (default: 5)
-     * @returns {Array} Array of time points with industry data
+     * @returns {Array} Time points: { year, <sector>: share, ..., estimated, sourceLabel }
      */
-    static prepareEconomicStructureData(data, getPeriodForYear, getIndustriesForPeriod, interval = 5) {
+    static prepareEconomicStructureData(data, getSectorShares, sectors, interval = 5) {
         // Get the data range for the breakdown
         const availableYears = data
             .filter(d => d.population !== null || d.gdpReal !== null)
@@ -868,40 +1552,60 @@ export class SceneUtils {
         const actualStartYear = Math.min(...availableYears);
         const actualEndYear = Math.max(...availableYears);
         
-        // Create time-based data points - every interval years for stable tooltips
-        const timePoints = [];
-        for (let year = actualStartYear; year <= actualEndYear; year += interval) {
-            const period = getPeriodForYear(year);
-            const industries = getIndustriesForPeriod(period);
-            const agriculture = industries.find(i => i.key === 'agriculture')?.percentage || 0;
-            const crafts = industries.find(i => i.key === 'crafts')?.percentage || 0;
-            const services = industries.find(i => i.key === 'services')?.percentage || 0;
-            timePoints.push({ year, agriculture, crafts, services });
-        }
-        
-        // Add final year if not included
+        // Create time-based data points - every interval years for stable tooltips, plus the final year
+        const years = d3.range(actualStartYear, actualEndYear + 1, interval);
         if ((actualEndYear - actualStartYear) % interval !== 0) {
-            const finalYear = actualEndYear;
-            const period = getPeriodForYear(finalYear);
-            const industries = getIndustriesForPeriod(period);
-            const agriculture = industries.find(i => i.key === 'agriculture')?.percentage || 0;
-            const crafts = industries.find(i => i.key === 'crafts')?.percentage || 0;
-            const services = industries.find(i => i.key === 'services')?.percentage || 0;
-            timePoints.push({ year: finalYear, agriculture, crafts, services });
+            years.push(actualEndYear);
         }
         
-        return timePoints;
+        return years.map(year => {
+            const entry = getSectorShares(year);
+            if (!entry?.shares) return null;
+            return {
+                year,
+                ...Object.fromEntries(sectors.map(sector => [sector, entry.shares[sector] || 0])),
+                estimated: entry.estimated,
+                sourceLabel: entry.sourceLabel
+            };
+        }).filter(point => point !== null);
+    }
+    
+    /**
+     * Sector shares as text, e.g. 'Agriculture 75%, Crafts & Trade 18%, Services 7% (era-level estimate)'
+     * @param {Object} entry - From SectorShares.get()
+     * @param {Object} names - Display name by sector key
+     * @returns {string}
+     */
+    static describeSectorShares(entry, names = {}) {
+        if (!entry?.shares) return 'No sector data for this year';
+        const shares = Object.entries(entry.shares)
+            .map(([sector, share]) => `${names[sector] || sector} ${share.toFixed(0)}%`)
+            .join(', ');
+        return `${shares} (${entry.estimated ? 'era-level estimate' : entry.sourceLabel})`;
+    }
+    
+    /**
+     * Sectors of the processed sector shares with their display names and colours from the
+     * period config
+     * @param {SectorShares} sectorShares - Shares for the dataset; its sectors come from sectors.json
+     * @param {PeriodCatalogue} periodCatalogue - Names and colours (null = keys, in grey)
+     * @param {string} periodKey - Period whose industry labels apply (optional)
+     * @returns {Array} [{ key, name, color }]
+     */
+    static getSectorIndustries(sectorShares, periodCatalogue, periodKey = null) {
+        return periodCatalogue
+            ? periodCatalogue.describeIndustries(sectorShares.sectors, periodKey)
+            : sectorShares.sectors.map(key => ({ key, name: key, color: '#999' }));
     }
     
     /**
      * Create generic industry breakdown tooltip
      * @param {Event} event - Mouse event
-     * @param {Object} data - Data object with industry percentages
-     * @param {Array} colors - Array of colors for each industry
-     * @param {Array} names - Array of names for each industry
-     * @param {Array} fields - Array of field names in data object (default: ['agriculture', 'crafts', 'services'])
+     * @param {Object} data - Time point with a share for each industry key, see prepareEconomicStructureData();
+     *   data.sourceLabel and data.estimated, when present, say where the shares come from
+     * @param {Array} industries - [{ key, name, color }] to list, see getSectorIndustries()
      */
-    static createIndustryBreakdownTooltip(event, data, colors, names, fields = ['agriculture', 'crafts', 'services']) {
+    static createIndustryBreakdownTooltip(event, data, industries) {
         const tooltip = d3.select('body').selectAll('.tooltip').data([0]);
         tooltip.enter().append('div').attr('class', 'tooltip')
             .merge(tooltip)
@@ -921,11 +1625,15 @@ export class SceneUtils {
         let tooltipContent = `<div style="font-weight: bold; margin-bottom: 8px; border-bottom: 1px solid #444; padding-bottom: 4px;">`;
         tooltipContent += `Year: ${data.year}</div>`;
         
-        // Dynamically generate tooltip content based on fields
-        fields.forEach((field, i) => {
-            tooltipContent += `<div style="margin-bottom: 4px;"><span style="color: ${colors[i]}">●</span> ${names[i]}: ${data[field]}%</div>`;
+        industries.forEach(({ key, name, color }) => {
+            tooltipContent += `<div style="margin-bottom: 4px;"><span style="color: ${color}">●</span> ${name}: ${data[key].toFixed(1)}%</div>`;
         });
         
+        // Where the shares come from, and whether they are only an era-level estimate
+        if (data.sourceLabel) {
+            tooltipContent += `<div style="font-size: 11px; margin-top: 6px; opacity: 0.8;${data.estimated ? ' font-style: italic;' : ''}">${data.sourceLabel}</div>`;
+        }
+        
         tooltip.html(tooltipContent)
             .style('left', Math.min(event.pageX + 15, window.innerWidth - 220) + 'px')
             .style('top', Math.max(event.pageY - 10, 10) + 'px')
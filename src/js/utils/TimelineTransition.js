@@ -0,0 +1,215 @@
+/**
+ * Timeline Transition
+ * "Zoom along the millennium" between two narrative scenes: the trend line and axes stay on
+ * screen while the x domain travels from one period to the next and the y domain follows,
+ * with the outgoing scene's event markers fading out on the way
+ *
+ *   const timeline = TimelineTransition.from(svg, outgoingScene, { data, parameters });
+ *   await outgoingScene.exit();
+ *   await timeline.morphTo(data.periods.awakening);
+ *   // ...render the incoming scene, then
+ *   timeline.finish(delay);
+ */
+
+import { SceneUtils } from './SceneUtils.js';
+import { ColorPalette } from './ColorPalette.js';
+import { PopulationEstimator } from '../data/PopulationEstimator.js';
+
+export class TimelineTransition {
+    /**
+     * @param {Object} svg - D3 selection of the chart SVG
+     * @param {Object} options
+     * @param {Array} options.series - Whole time range of the plotted series, in the view ({ year, value, fill })
+     * @param {Object} options.view - View from applyViewMode()
+     * @param {boolean} options.isPrimaryPopulation - Whether the series is population
+     * @param {Object} options.xScale - Outgoing scene's x scale (copied)
+     * @param {Object} options.yScale - Outgoing scene's y scale (copied)
+     * @param {Object} options.margin - Chart margins of the scenes
+     * @param {Array} options.events - Outgoing scene's events ({ year, event })
+     */
+    constructor(svg, { series, view, isPrimaryPopulation, xScale, yScale, margin, events = [] }) {
+        this.series = series;
+        this.view = view;
+        this.indicator = view?.indicator || SceneUtils.getPrimaryIndicator(isPrimaryPopulation);
+        this.xScale = xScale.copy();
+        this.yScale = yScale.copy();
+        this.width = this.xScale.range()[1];
+        this.chartHeight = this.yScale.range()[0];
+
+        this.line = d3.line()
+            .defined(d => !d.fill)
+            .x(d => this.xScale(d.year))
+            .y(d => this.yScale(d.value))
+            .curve(d3.curveMonotoneX);
+
+        this.group = svg.append('g')
+            .attr('class', 'timeline-transition')
+            .attr('transform', `translate(${margin.left}, ${margin.top})`)
+            .style('pointer-events', 'none');
+
+        // Keep the line inside the plot area as the domains move
+        const clipId = 'timeline-transition-clip';
+        this.group.append('clipPath')
+            .attr('id', clipId)
+            .append('rect')
+            .attr('width', this.width)
+            .attr('height', this.chartHeight);
+
+        this.xAxisGroup = this.group.append('g')
+            .attr('class', 'axis x-axis')
+            .attr('transform', `translate(0, ${this.chartHeight})`);
+        this.yAxisGroup = this.group.append('g')
+            .attr('class', 'axis y-axis');
+
+        const plot = this.group.append('g')
+            .attr('clip-path', `url(#${clipId})`);
+
+        this.markers = plot.selectAll('.timeline-event')
+            .data(events)
+            .enter()
+            .append('line')
+            .attr('class', 'timeline-event')
+            .attr('y1', 0)
+            .attr('y2', this.chartHeight)
+            .attr('stroke', (d, i) => ColorPalette.getEventColor(i))
+            .attr('stroke-width', 2)
+            .attr('stroke-dasharray', '4,4')
+            .style('opacity', 0.6);
+
+        this.path = plot.append('path')
+            .datum(series)
+            .attr('fill', 'none')
+            .attr('stroke', isPrimaryPopulation ? '#e91e63' : '#1976d2')
+            .attr('stroke-width', 3);
+
+        this.draw();
+    }
+
+    /**
+     * Whether a scene's chart can be carried into the next one: it plots a series, in a view
+     * whose values don't depend on the period (indexed views rebase per period unless a base
+     * year is set)
+     * @param {Object} scene - Outgoing scene instance
+     * @param {Object} parameters - App parameters
+     * @returns {boolean}
+     */
+    static canMorph(scene, parameters) {
+        if (!scene?.xScale || !scene.yScale || !scene.view || !(scene.primaryData?.length > 0)) return false;
+        return scene.view.mode !== 'indexed' || parameters.baseYear !== null;
+    }
+
+    /**
+     * Start a transition from the chart an outgoing scene is showing
+     * @param {Object} svg - D3 selection of the chart SVG
+     * @param {Object} scene - Outgoing scene instance, see canMorph()
+     * @param {Object} options
+     * @param {Object} options.data - Processed dataset
+     * @param {Object} options.parameters - App parameters
+     * @returns {TimelineTransition}
+     */
+    static from(svg, scene, { data, parameters }) {
+        return new TimelineTransition(svg, {
+            series: TimelineTransition.getSeries(data, scene.view, parameters),
+            view: scene.view,
+            isPrimaryPopulation: scene.isPrimaryPopulation,
+            xScale: scene.xScale,
+            yScale: scene.yScale,
+            margin: scene.margin,
+            events: scene.events || []
+        });
+    }
+
+    /**
+     * The plotted series across the whole time range, in the same view the scenes use
+     * @param {Object} data - Processed dataset
+     * @param {Object} view - View from applyViewMode()
+     * @param {Object} parameters - App parameters
+     * @returns {Array} [{ year, value, fill }]
+     */
+    static getSeries(data, view, parameters) {
+        const rows = SceneUtils.clipToTimeRange(data.enriched || [], parameters.timeRange);
+
+        return SceneUtils.applyViewMode(SceneUtils.getIndicatorSeries(rows, view.indicator), view.mode, {
+            indicator: view.indicator,
+            getPopulation: SceneUtils.createPopulationLookup(rows, PopulationEstimator.forData(data)),
+            baseYear: view.baseYear
+        }).data;
+    }
+
+    /**
+     * Domains the scene for a period will show: the period's boundaries from the processor,
+     * narrowed to the years the series covers, and the matching value range
+     * @param {Object} period - Processed period ({ start, end })
+     * @returns {Object|null} { x, y } domains, or null when the series has no values in the period
+     */
+    getDomains(period) {
+        const points = this.series.filter(d => d.year >= period.start && d.year <= period.end);
+        if (points.length === 0) return null;
+
+        return {
+            x: d3.extent(points, d => d.year),
+            y: SceneUtils.createViewScale(points.map(d => d.value), this.view, this.chartHeight).domain()
+        };
+    }
+
+    /**
+     * Travel to a period: zoom out along the timeline and back in on the period, moving the
+     * y domain with it, while the outgoing event markers fade
+     * @param {Object} period - Processed period ({ start, end }) of the incoming scene
+     * @param {number} maxDuration - Upper bound in ms; nearby periods take less
+     * @returns {Promise} Resolves when the morph ends (or is interrupted)
+     */
+    morphTo(period, maxDuration = 1500) {
+        const target = this.getDomains(period);
+        if (!target) return Promise.resolve();
+
+        const [x0, x1] = this.xScale.domain();
+        const zoom = d3.interpolateZoom(
+            [(x0 + x1) / 2, 0, x1 - x0],
+            [(target.x[0] + target.x[1]) / 2, 0, target.x[1] - target.x[0]]
+        );
+        const yDomain = d3.interpolateArray(this.yScale.domain(), target.y);
+        const duration = Math.max(600, Math.min(maxDuration, zoom.duration));
+
+        this.markers.transition('timeline')
+            .duration(duration / 2)
+            .style('opacity', 0);
+
+        return this.group.transition('timeline')
+            .duration(duration)
+            .ease(d3.easeCubicInOut)
+            .tween('domains', () => t => {
+                const [center, , span] = zoom(t);
+                this.xScale.domain([center - span / 2, center + span / 2]);
+                this.yScale.domain(yDomain(t));
+                this.draw();
+            })
+            .end()
+            .catch(() => {});
+    }
+
+    draw() {
+        this.path.attr('d', this.line);
+        this.markers
+            .attr('x1', d => this.xScale(d.year))
+            .attr('x2', d => this.xScale(d.year));
+        this.xAxisGroup.call(SceneUtils.createXAxis(this.xScale));
+        this.yAxisGroup.call(SceneUtils.createYAxis(this.yScale, this.indicator, this.view));
+    }
+
+    /**
+     * Fade out once the incoming scene has drawn its own line and axes
+     * @param {number} delay - Time in ms to stay on screen first
+     */
+    finish(delay = 0) {
+        this.group.transition('timeline')
+            .delay(delay)
+            .duration(400)
+            .style('opacity', 0)
+            .remove();
+    }
+
+    remove() {
+        this.group.interrupt('timeline').remove();
+    }
+}
@@ -0,0 +1,4 @@
+// The app modules expect d3 as a global, as the page provides it
+import * as d3 from 'd3';
+
+globalThis.d3 = d3;
@@ -0,0 +1,30 @@
+import { ChangePointDetector } from '../../src/js/data/ChangePointDetector.js';
+
+const hit = (year, confidence, type = 'growth') => ({ year, indicator: 'gdpReal', type, confidence });
+
+describe('ChangePointDetector.dedupe', () => {
+    test('merges hits within mergeWindow years, keeping the most confident', () => {
+        const detector = new ChangePointDetector({ mergeWindow: 5 });
+        const merged = detector.dedupe([hit(1914, 0.4), hit(1918, 0.9, 'variance')]);
+
+        expect(merged).toHaveLength(1);
+        expect(merged[0]).toMatchObject({ year: 1918, confidence: 0.9, mergedTypes: ['growth', 'variance'] });
+    });
+
+    test('measures the window from the first year of the cluster', () => {
+        const detector = new ChangePointDetector({ mergeWindow: 5 });
+
+        // Each hit is within 5 years of the previous one and more confident, so comparing
+        // against the kept hit's year would chain all of them into one
+        const merged = detector.dedupe([hit(1900, 0.1), hit(1904, 0.2), hit(1908, 0.3), hit(1912, 0.4)]);
+
+        expect(merged.map(point => point.year)).toEqual([1904, 1912]);
+    });
+
+    test('keeps hits for different indicators apart', () => {
+        const detector = new ChangePointDetector({ mergeWindow: 5 });
+        const merged = detector.dedupe([hit(1914, 0.5), { ...hit(1915, 0.5), indicator: 'cpi' }]);
+
+        expect(merged).toHaveLength(2);
+    });
+});
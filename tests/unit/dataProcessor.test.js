@@ -0,0 +1,48 @@
+import { fileURLToPath } from 'url';
+import { MillenniumDataProcessor } from '../../src/js/data/DataProcessor.js';
+
+// Description and Units rows plus 1900-1919 of the v3 headline sheet
+const FIXTURE = fileURLToPath(new URL('../fixtures/millenniumofdata_v3_sample.csv', import.meta.url));
+
+const load = async (timeRange = null) => {
+    const processor = new MillenniumDataProcessor({
+        dataSource: { type: 'path', path: FIXTURE },
+        useWorker: false,
+        useCache: false
+    });
+    if (timeRange) processor.configure({ timeRange });
+    return processor.loadData();
+};
+
+const row = (data, year) => data.enriched.find(d => d.year === year);
+
+describe('MillenniumDataProcessor time range', () => {
+    let full;
+    let narrowed;
+
+    beforeAll(async () => {
+        full = await load();
+        narrowed = await load([1905, 1919]);
+    });
+
+    test('derives the first year of a narrowed range from the years before it', () => {
+        const first = row(narrowed, 1905);
+        ['gdpGrowthRate', 'populationGrowthRate', 'inflationRate'].forEach(key => {
+            expect(first[key]).not.toBeNull();
+            expect(first[key]).toBeCloseTo(row(full, 1905)[key]);
+        });
+        expect(row(narrowed, 1912).gdpCagr10).toBeCloseTo(1.49, 2);
+    });
+
+    test('clips rows, series and the summary to the range', () => {
+        expect(narrowed.enriched.map(d => d.year)).toEqual(d3.range(1905, 1920));
+        expect(narrowed.raw.map(d => d.year)).toEqual(d3.range(1905, 1920));
+        expect(narrowed.summary.yearRange).toEqual([1905, 1919]);
+        Object.values(narrowed.series).forEach(series => {
+            expect(d3.min(series.values, d => d.year)).toBeGreaterThanOrEqual(1905);
+        });
+        Object.values(narrowed.periods).forEach(period => {
+            period.data.forEach(d => expect(d.year).toBeGreaterThanOrEqual(1905));
+        });
+    });
+});
@@ -0,0 +1,58 @@
+import { fileURLToPath, pathToFileURL } from 'url';
+import { createDataSource, NodeFileSource } from '../../src/js/data/DataSources.js';
+import { MillenniumDataProcessor } from '../../src/js/data/DataProcessor.js';
+
+// Description and Units rows plus 1900-1919 of the v3 headline sheet
+const FIXTURE = fileURLToPath(new URL('../fixtures/millenniumofdata_v3_sample.csv', import.meta.url));
+
+describe('path data source', () => {
+    test('loads a CSV from the filesystem and reports its provenance', async () => {
+        const source = await createDataSource({ type: 'path', path: FIXTURE });
+        expect(source).toBeInstanceOf(NodeFileSource);
+
+        const { rows, provenance } = await source.load();
+        expect(rows).toHaveLength(21);
+        expect(rows[0]['Description']).toBe('Units');
+        expect(provenance).toMatchObject({
+            type: 'path',
+            url: FIXTURE,
+            vintage: 'v3',
+            rowCount: 21
+        });
+    });
+
+    test('prefers a configured vintage over the one in the file name', async () => {
+        const source = await createDataSource({ type: 'path', path: FIXTURE, vintage: 'v3.1' });
+        const { provenance } = await source.load();
+        expect(provenance.vintage).toBe('v3.1');
+    });
+
+    test('routes file: URLs to the filesystem loader', async () => {
+        const url = pathToFileURL(FIXTURE).href;
+        const source = await createDataSource({ type: 'csv', url });
+        expect(source).toBeInstanceOf(NodeFileSource);
+
+        const { rows, provenance } = await source.load();
+        expect(rows).toHaveLength(21);
+        expect(provenance.url).toBe(url);
+    });
+});
+
+describe('MillenniumDataProcessor with a path source', () => {
+    test('processes the fixture and carries its provenance into the result', async () => {
+        const processor = new MillenniumDataProcessor({
+            dataSource: { type: 'path', path: FIXTURE },
+            useWorker: false,
+            useCache: false
+        });
+
+        const data = await processor.loadData();
+        expect(data.enriched.map(row => row.year)).toEqual(d3.range(1900, 1920));
+        expect(data.provenance).toMatchObject({
+            type: 'path',
+            url: FIXTURE,
+            vintage: 'v3',
+            rowCount: 21
+        });
+    });
+});
@@ -0,0 +1,68 @@
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { EventCatalogue, DEFAULT_EVENT_CONFIG, EVENT_SCHEMA } from '../../src/js/data/EventCatalogue.js';
+import { JsonSchema } from '../../src/js/data/JsonSchema.js';
+
+const readConfig = () => JSON.parse(readFileSync(fileURLToPath(DEFAULT_EVENT_CONFIG), 'utf8'));
+
+describe('EventCatalogue.validate', () => {
+    let schema;
+
+    beforeAll(async () => {
+        schema = await JsonSchema.load(EVENT_SCHEMA);
+    });
+
+    test('the shipped catalogue is valid', async () => {
+        expect(EventCatalogue.validate(readConfig(), schema)).toEqual([]);
+        await expect(EventCatalogue.load()).resolves.toBeInstanceOf(EventCatalogue);
+    });
+
+    test('reports schema violations by JSON pointer', () => {
+        const config = readConfig();
+        config.events[0].colour = 'red';
+        delete config.events[1].story2;
+        config.events[1].tags = ['story'];
+
+        expect(EventCatalogue.validate(config, schema)).toEqual([
+            "/events/0: unknown property 'colour'",
+            '/events/1: story2 is required'
+        ]);
+    });
+
+    test('accepts any absolute URI as a source, as format: uri does', () => {
+        const config = readConfig();
+        config.events[0].sources = [{ title: 'Book', url: 'urn:isbn:9780198714019' }];
+        config.events[1].sources = [{ title: 'Relative', url: 'wiki/Black_Death' }];
+
+        expect(EventCatalogue.validate(config, schema)).toEqual(['/events/1/sources/0/url: must be a uri']);
+    });
+
+    test('adds the checks the schema cannot express', () => {
+        const config = readConfig();
+        config.events[1].id = config.events[0].id;
+        config.events[2].endYear = config.events[2].year - 1;
+        config.events[3].category = 'weather';
+        config.events[4].indicators = ['rainfall'];
+
+        expect(EventCatalogue.validate(config, schema)).toEqual([
+            `event ${config.events[0].id}: duplicate id`,
+            `event ${config.events[2].id}: endYear is earlier than year`,
+            `event ${config.events[3].id}: unknown category 'weather'`,
+            `event ${config.events[4].id}: unknown indicator 'rainfall'`
+        ]);
+    });
+
+    test('load() rejects an invalid config', async () => {
+        const config = readConfig();
+        config.version = 2;
+
+        await expect(EventCatalogue.load(config)).rejects.toThrow('Invalid event catalogue: /version: must be 1');
+    });
+});
+
+describe('JsonSchema', () => {
+    test('rejects schemas using keywords it does not check', () => {
+        expect(() => new JsonSchema({ type: 'integer', maximum: 10 }).validate(5))
+            .toThrow("Unsupported JSON Schema keyword 'maximum'");
+    });
+});
@@ -0,0 +1,76 @@
+import { LabelLayout } from '../../src/js/utils/LabelLayout.js';
+
+// Horizontal stretch of its row a placement covers: marker, label and any leader between them
+const extent = p => ({ start: Math.min(p.x - 8, p.labelX), end: Math.max(p.x + 8, p.labelX + p.labelWidth) });
+
+// Whether two placements collide: in the same row, or one's event line running down through the other
+const collide = (a, b) => {
+    const [ea, eb] = [extent(a), extent(b)];
+    if (a.y === b.y) return ea.start < eb.end && eb.start < ea.end;
+    const [upper, lower] = a.y < b.y ? [a, b] : [b, a];
+    return upper.x >= extent(lower).start && upper.x <= extent(lower).end;
+};
+
+const expectNoCollisions = placements => {
+    placements.forEach((a, i) => placements.slice(i + 1).forEach(b => expect(collide(a, b)).toBe(false)));
+};
+
+describe('LabelLayout.place', () => {
+    test('stacks close events in rows, labels beside their markers', () => {
+        const placements = LabelLayout.place(
+            [1914, 1918, 1929].map(year => ({ x: (year - 1900) * 10, width: 200 })),
+            { width: 1000, top: 40 }
+        );
+
+        expect(placements.map(p => p.y)).toEqual([40, 70, 100]);
+        expect(placements.every(p => p.side === 'right' && !p.leader)).toBe(true);
+        expectNoCollisions(placements);
+    });
+
+    test('keeps rows between top and bottom', () => {
+        const items = d3.range(8).map(i => ({ x: 100 + i * 100, width: 150 }));
+        const placements = LabelLayout.place(items, { width: 1000, top: 40, bottom: 75 });
+
+        expect(new Set(placements.map(p => p.y))).toEqual(new Set([40, 70]));
+    });
+
+    test('staggers a label along its row when there is no room beside the marker', () => {
+        const placements = LabelLayout.place(
+            [{ x: 700, width: 150 }, { x: 950, width: 120 }],
+            { width: 1000, top: 40, bottom: 40 }
+        );
+
+        // Too near the edge for the right, and the left is taken: over the marker, with a
+        // leader that stays clear of the first label
+        expect(placements[1]).toMatchObject({ y: 40, side: 'detached', leader: true, labelX: 880 });
+        expectNoCollisions(placements);
+    });
+
+    test('keeps labels in lower rows off the event lines of the markers above', () => {
+        const placements = LabelLayout.place(
+            [{ x: 300, width: 200 }, { x: 450, width: 300 }],
+            { width: 700, top: 40 }
+        );
+
+        // The left of the second marker would sit across the first marker's line
+        expect(placements[1]).toMatchObject({ y: 70, side: 'detached', leader: true, labelX: 400 });
+        expectNoCollisions(placements);
+    });
+
+    test('keeps event lines off the labels in the rows below', () => {
+        const items = d3.range(8).map(i => ({ x: 100 + i * 100, width: 150 }));
+        expectNoCollisions(LabelLayout.place(items, { width: 1000, top: 40 }));
+    });
+
+    test('draws a leader to every label not beside its marker', () => {
+        const placements = LabelLayout.place(
+            [{ x: 10, width: 300 }, { x: 500, width: 80 }, { x: 990, width: 80 }],
+            { width: 320, top: 0 }
+        );
+
+        placements.forEach(p => {
+            const beside = p.labelX === p.x + 8 || p.labelX + p.labelWidth === p.x - 8;
+            expect(p.leader).toBe(!beside);
+        });
+    });
+});
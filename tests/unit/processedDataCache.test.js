@@ -0,0 +1,153 @@
+import { jest } from '@jest/globals';
+import { IDBFactory } from 'fake-indexeddb';
+import { fileURLToPath } from 'url';
+import { NodeFileSource } from '../../src/js/data/DataSources.js';
+import { MillenniumDataProcessor } from '../../src/js/data/DataProcessor.js';
+import { ProcessedDataCache, CACHE_SCHEMA_VERSION } from '../../src/js/data/ProcessedDataCache.js';
+
+const FIXTURE = fileURLToPath(new URL('../fixtures/millenniumofdata_v3_sample.csv', import.meta.url));
+
+const load = async cache => {
+    const processor = new MillenniumDataProcessor({ useWorker: false, cache });
+    const data = await processor.loadData(new NodeFileSource({ type: 'path', path: FIXTURE }));
+    return { processor, data };
+};
+
+// The raw entry for a key, read past the cache
+const readEntry = (indexedDB, key) => new Promise((resolve, reject) => {
+    const open = indexedDB.open('uk-millennium');
+    open.onerror = () => reject(open.error);
+    open.onsuccess = () => {
+        const request = open.result.transaction('processed').objectStore('processed').get(key);
+        request.onsuccess = () => {
+            open.result.close();
+            resolve(request.result);
+        };
+        request.onerror = () => reject(request.error);
+    };
+});
+
+describe('ProcessedDataCache', () => {
+    let indexedDB;
+
+    beforeEach(() => {
+        indexedDB = new IDBFactory();
+    });
+
+    test('creates its store on first open and keeps entries between instances', async () => {
+        expect(await new ProcessedDataCache({ indexedDB }).set('data.csv', 'abc', { rows: [1, 2, 3] })).toBe(true);
+
+        const entry = await new ProcessedDataCache({ indexedDB }).get('data.csv', 'abc');
+        expect(entry.data).toEqual({ rows: [1, 2, 3] });
+        expect(entry.storedAt).toEqual(expect.any(String));
+    });
+
+    test('drops an entry whose hash no longer matches', async () => {
+        const cache = new ProcessedDataCache({ indexedDB });
+        await cache.set('data.csv', 'abc', { rows: [] });
+
+        expect(await cache.get('data.csv', 'def')).toBeNull();
+        expect(await readEntry(indexedDB, 'data.csv')).toBeUndefined();
+    });
+
+    test('drops an entry written for another shape of processed output', async () => {
+        const cache = new ProcessedDataCache({ indexedDB });
+        await cache.set('data.csv', 'abc', { rows: [] });
+        const entry = await readEntry(indexedDB, 'data.csv');
+        expect(entry.schemaVersion).toBe(CACHE_SCHEMA_VERSION);
+
+        const store = await cache.store('readwrite');
+        await new Promise(resolve => {
+            store.put({ ...entry, schemaVersion: CACHE_SCHEMA_VERSION - 1 }).onsuccess = resolve;
+        });
+
+        expect(await cache.get('data.csv', 'abc')).toBeNull();
+        expect(await readEntry(indexedDB, 'data.csv')).toBeUndefined();
+    });
+
+    test('clears one entry or all of them', async () => {
+        const cache = new ProcessedDataCache({ indexedDB });
+        await cache.set('a.csv', 'abc', {});
+        await cache.set('b.csv', 'abc', {});
+
+        await cache.clear('a.csv');
+        expect(await cache.get('a.csv', 'abc')).toBeNull();
+        expect(await cache.get('b.csv', 'abc')).not.toBeNull();
+
+        await cache.clear();
+        expect(await cache.get('b.csv', 'abc')).toBeNull();
+    });
+
+    test('is a quiet miss without IndexedDB', async () => {
+        const cache = new ProcessedDataCache({ enabled: false, indexedDB });
+        expect(await cache.set('data.csv', 'abc', {})).toBe(false);
+        expect(await cache.get('data.csv', 'abc')).toBeNull();
+    });
+});
+
+describe('ProcessedDataCache.hash', () => {
+    const crypto = Object.getOwnPropertyDescriptor(globalThis, 'crypto');
+
+    afterEach(() => {
+        Object.defineProperty(globalThis, 'crypto', crypto);
+    });
+
+    test('is a SHA-256 digest with Web Crypto', async () => {
+        expect(await ProcessedDataCache.hash({ a: 1 })).toMatch(/^[0-9a-f]{64}$/);
+    });
+
+    test('falls back to FNV-1a without Web Crypto', async () => {
+        Object.defineProperty(globalThis, 'crypto', { value: undefined, configurable: true });
+
+        const hash = await ProcessedDataCache.hash({ a: 1 });
+        expect(hash).toMatch(/^fnv1a-[0-9a-f]{8}$/);
+        expect(await ProcessedDataCache.hash({ a: 1 })).toBe(hash);
+        expect(await ProcessedDataCache.hash({ a: 2 })).not.toBe(hash);
+    });
+});
+
+describe('processed data cache', () => {
+    let cache;
+
+    beforeEach(() => {
+        cache = new ProcessedDataCache({ indexedDB: new IDBFactory() });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('a hit on the source version skips reading the file', async () => {
+        const first = await load(cache);
+
+        const read = jest.spyOn(NodeFileSource.prototype, 'read');
+        const second = await load(cache);
+
+        expect(read).not.toHaveBeenCalled();
+        expect(second.data.provenance.cachedAt).toBeDefined();
+        expect(second.data.enriched).toEqual(first.data.enriched);
+        expect(second.processor.indicatorColumns).toEqual(first.processor.indicatorColumns);
+    });
+
+    test('a new source version reprocesses the file', async () => {
+        await load(cache);
+
+        jest.spyOn(NodeFileSource.prototype, 'getVersion').mockResolvedValue('edited');
+        const read = jest.spyOn(NodeFileSource.prototype, 'read');
+        const { data } = await load(cache);
+
+        expect(read).toHaveBeenCalledTimes(1);
+        expect(data.provenance.cachedAt).toBeUndefined();
+    });
+
+    test('sources without a version are matched on their contents', async () => {
+        jest.spyOn(NodeFileSource.prototype, 'getVersion').mockResolvedValue(null);
+        await load(cache);
+
+        const read = jest.spyOn(NodeFileSource.prototype, 'read');
+        const { data } = await load(cache);
+
+        expect(read).toHaveBeenCalledTimes(1);
+        expect(data.provenance.cachedAt).toBeDefined();
+    });
+});
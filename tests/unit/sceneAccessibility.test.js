@@ -0,0 +1,79 @@
+/**
+ * @jest-environment jsdom
+ */
+import axe from 'axe-core';
+import { fileURLToPath } from 'url';
+import { MillenniumDataProcessor } from '../../src/js/data/DataProcessor.js';
+import { BaseScene } from '../../src/js/scenes/BaseScene.js';
+import { crisisScene } from '../../src/js/scenes/definitions/crisis.js';
+import { ChartDescription } from '../../src/js/utils/ChartDescription.js';
+
+// 1900-1919 of the v3 headline sheet, the start of the crisis scene
+const FIXTURE = fileURLToPath(new URL('../fixtures/millenniumofdata_v3_sample.csv', import.meta.url));
+const TITLE = 'Scene 4: Crisis & Transformation (1900-1950)';
+
+describe('scene text alternatives', () => {
+    let scene;
+
+    beforeAll(async () => {
+        const processor = new MillenniumDataProcessor({
+            dataSource: { type: 'path', path: FIXTURE },
+            useWorker: false,
+            useCache: false
+        });
+        const data = await processor.loadData();
+
+        // As NarrativeVisualization sets up the page and renders a scene
+        document.documentElement.lang = 'en';
+        document.body.innerHTML = '<main><div id="visualization-container"></div></main>';
+        const container = d3.select('#visualization-container');
+        const svg = container.append('svg')
+            .attr('width', 1000)
+            .attr('height', 700);
+        ChartDescription.labelChart(svg);
+        const description = container.append('div')
+            .attr('class', 'chart-description');
+
+        scene = new BaseScene(crisisScene, svg.append('g'), data, {
+            timeRange: [1900, 1919],
+            selectedIndicators: ['gdpReal', 'population', 'cpi'],
+            viewMode: 'absolute',
+            baseYear: null,
+            width: 1000,
+            height: 700
+        });
+        scene.render();
+        ChartDescription.describeScene(svg, description, TITLE, scene);
+    });
+
+    test('the chart is a group named by its title and described by the summary', () => {
+        const svg = document.querySelector('svg');
+        expect(svg.getAttribute('role')).toBe('group');
+        expect(document.getElementById(svg.getAttribute('aria-labelledby')).textContent).toBe(TITLE);
+
+        const summary = document.getElementById(svg.getAttribute('aria-describedby')).textContent;
+        expect(summary).toMatch(/^Scene 4: Crisis & Transformation \(1900-1950\)\. Line chart of Real GDP/);
+    });
+
+    test('event markers are buttons named by their year and event', () => {
+        const markers = d3.selectAll('.event-marker').filter(d => d && d.event);
+        expect(markers.size()).toBeGreaterThan(0);
+
+        markers.each(function(d) {
+            expect(this.getAttribute('role')).toBe('button');
+            expect(this.getAttribute('aria-label')).toBe(`${d.year}: ${d.event}. Press Enter for the full story.`);
+        });
+    });
+
+    test('the data table has a row for each plotted year', () => {
+        const rows = Array.from(document.querySelectorAll('.chart-data-table tbody tr'));
+        expect(rows.map(row => Number(row.querySelector('th').textContent))).toEqual(scene.primaryData.map(d => d.year));
+        expect(rows[0].querySelectorAll('td')).toHaveLength(1);
+    });
+
+    test('has no axe violations', async () => {
+        // jsdom doesn't render, so colour contrast can't be measured
+        const results = await axe.run(document.body, { rules: { 'color-contrast': { enabled: false } } });
+        expect(results.violations.map(v => `${v.id}: ${v.nodes.map(n => n.target).join(', ')}`)).toEqual([]);
+    });
+});
@@ -0,0 +1,79 @@
+import { fileURLToPath } from 'url';
+import { MillenniumDataProcessor } from '../../src/js/data/DataProcessor.js';
+import { SectorShares } from '../../src/js/data/SectorShares.js';
+import { SceneUtils } from '../../src/js/utils/SceneUtils.js';
+
+const FIXTURE = fileURLToPath(new URL('../fixtures/millenniumofdata_v3_sample.csv', import.meta.url));
+
+// The headline sample plus small A16 (1910-1919, 1915 incomplete), A53 (1905-1919) and
+// A49 (1900-1909) sheets whose sectors come to round shares
+const WORKBOOK = fileURLToPath(new URL('../fixtures/workbook/manifest.json', import.meta.url));
+
+describe('sector shares from the headline sheet only', () => {
+    let data;
+
+    beforeAll(async () => {
+        const processor = new MillenniumDataProcessor({
+            dataSource: { type: 'path', path: FIXTURE },
+            useWorker: false,
+            useCache: false
+        });
+        data = await processor.loadData();
+    });
+
+    test('skips every sectoral source and says which sheets are missing', () => {
+        expect(data.sectorShares.skipped.map(source => source.sheet)).toEqual(['A16', 'A53', 'A49']);
+
+        const entry = SectorShares.forData(data).get(1910);
+        expect(entry.estimated).toBe(true);
+        expect(entry.sourceLabel).toBe('Era-level estimate; sectoral sheets A16, A53, A49 are not loaded');
+    });
+
+    test('economic structure points carry a share for each configured sector', () => {
+        const sectorShares = SectorShares.forData(data);
+        const [point] = SceneUtils.prepareEconomicStructureData(data.enriched, year => sectorShares.get(year), sectorShares.sectors);
+
+        expect(Object.keys(point)).toEqual(['year', ...data.sectorShares.sectors, 'estimated', 'sourceLabel']);
+        expect(d3.sum(data.sectorShares.sectors, sector => point[sector])).toBeCloseTo(100);
+    });
+});
+
+describe('sector shares from a workbook with the sectoral sheets', () => {
+    let data;
+
+    beforeAll(async () => {
+        const processor = new MillenniumDataProcessor({
+            dataSource: { type: 'workbook', path: WORKBOOK },
+            useWorker: false,
+            useCache: false
+        });
+        data = await processor.loadData();
+    });
+
+    test('takes every year from the sectoral series', () => {
+        expect(data.sectorShares.skipped).toEqual([]);
+        expect(data.sectorShares.values.map(entry => entry.year)).toEqual(d3.range(1900, 1920));
+        expect(data.sectorShares.values.every(entry => !entry.estimated)).toBe(true);
+    });
+
+    test('prefers the first source in the config that covers a year', () => {
+        const sourceOf = year => data.sectorShares.values.find(entry => entry.year === year).source;
+
+        expect(d3.range(1900, 1905).map(sourceOf)).toEqual(new Array(5).fill('employment-c18'));
+        expect(d3.range(1905, 1910).map(sourceOf)).toEqual(new Array(5).fill('employment-by-industry'));
+        expect(sourceOf(1912)).toBe('gva-shares');
+        // A16 lacks one of its columns that year
+        expect(sourceOf(1915)).toBe('employment-by-industry');
+        expect(data.sectorShares.sources['gva-shares'].years).toEqual([1910, 1919]);
+    });
+
+    test('sums each sector\'s columns and scales the sectors to 100%', () => {
+        const sectorShares = SectorShares.forData(data);
+        const shares = year => Object.values(sectorShares.get(year).shares).map(share => Math.round(share * 10) / 10);
+
+        expect(shares(1902)).toEqual([30, 40, 30]);
+        expect(shares(1907)).toEqual([10, 40, 50]);
+        expect(shares(1912)).toEqual([5, 40, 55]);
+        expect(sectorShares.get(1912).sourceLabel).toBe('Industry GVA shares by SIC (output, sheet A16)');
+    });
+});
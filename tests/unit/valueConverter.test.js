@@ -0,0 +1,64 @@
+import { fileURLToPath } from 'url';
+import { MillenniumDataProcessor } from '../../src/js/data/DataProcessor.js';
+import { ValueConverter } from '../../src/js/data/ValueConverter.js';
+
+// Description and Units rows plus 1900-1919 of the v3 headline sheet
+const FIXTURE = fileURLToPath(new URL('../fixtures/millenniumofdata_v3_sample.csv', import.meta.url));
+
+// CPI with 1902 missing and 1901 interpolated
+const converter = new ValueConverter([
+    { year: 1900, cpi: 10, gdpDeflator: null, fills: {} },
+    { year: 1901, cpi: 15, gdpDeflator: null, fills: { cpi: 'linear' } },
+    { year: 1903, cpi: 20, gdpDeflator: null, fills: {} }
+]);
+
+describe('ValueConverter.convert', () => {
+    test('converts between observed years without notes', () => {
+        expect(converter.convert(10, 1900, 1903)).toMatchObject({ value: 20, factor: 2, estimated: false, notes: [] });
+    });
+
+    test('converts to the latest year of the index by default', () => {
+        expect(converter.convert(10, 1900)).toMatchObject({ toYear: 1903, value: 20 });
+    });
+
+    test('flags a filled index value as an estimate', () => {
+        const result = converter.convert(15, 1901, 1903);
+        expect(result).toMatchObject({ value: 20, estimated: true });
+        expect(result.notes).toEqual(['Consumer Price Index for 1901 is interpolated']);
+    });
+
+    test('gives null for a year the index misses by default', () => {
+        const result = converter.convert(10, 1902, 1903);
+        expect(result).toMatchObject({ value: null, factor: null, estimated: false });
+        expect(result.notes).toEqual(['No Consumer Price Index for 1902 (covers 1900-1903)']);
+    });
+
+    test('uses the nearest year when asked, as an estimate', () => {
+        const result = converter.convert(10, 1899, 1903, { missing: 'nearest' });
+        expect(result).toMatchObject({ value: 20, estimated: true, from: { year: 1900, requestedYear: 1899 } });
+        expect(result.notes).toEqual(['No Consumer Price Index for 1899 (covers 1900-1903); used 1900']);
+    });
+
+    test('throws for a missing year when asked', () => {
+        expect(() => converter.convert(10, 1899, 1903, { missing: 'throw' }))
+            .toThrow('Cannot convert 1899 to 1903: No Consumer Price Index for 1899 (covers 1900-1903)');
+        expect(() => converter.convert(10, 1900, 1903, { missing: 'skip' })).toThrow("Unknown missing-year policy 'skip'");
+    });
+});
+
+describe('ValueConverter.forData', () => {
+    test('covers every year of the index, not just the time range', async () => {
+        const processor = new MillenniumDataProcessor({
+            dataSource: { type: 'path', path: FIXTURE },
+            useWorker: false,
+            useCache: false
+        });
+        processor.configure({ timeRange: [1905, 1910] });
+        const data = await processor.loadData();
+        const forData = ValueConverter.forData(data);
+
+        expect(forData.getRange('cpi')).toEqual({ start: 1900, end: 1919 });
+        expect(forData.convert(10, 1900).toYear).toBe(1919);
+        expect(forData.convertValue(10, 1900, 1919)).not.toBeNull();
+    });
+});